@@ -1,38 +1,68 @@
-// socket-test.js
-import { io } from "socket.io-client";
+// events-test.js — nghe realtime events của server qua SSE (GET /events)
+import fetch from "node-fetch";
 
 // ✅ URL server Railway của bạn
-const SERVER_URL = "https://embeddedprogramming-healtheworldserver.up.railway.app";
+const SERVER_URL = process.env.SERVER_URL || "https://embeddedprogramming-healtheworldserver.up.railway.app";
+// ✅ token = EVENTS_TOKEN của server; robot = device id muốn theo dõi
+const EVENTS_TOKEN = process.env.EVENTS_TOKEN || "";
+const ROBOT = process.env.ROBOT || "";
+const TYPES = process.env.TYPES || "status,job,chat,podcast_chunk";
 
-console.log("🚀 Connecting to", SERVER_URL, "...");
+let lastEventId = 0;
+let attempts = 0;
 
-// ✅ Khởi tạo socket client
-const socket = io(SERVER_URL, {
-  transports: ["websocket"], // chỉ dùng WebSocket, tránh fallback HTTP polling
-  reconnectionAttempts: 5,
-  timeout: 5000,
-});
+async function connect() {
+  const qs = new URLSearchParams({ types: TYPES });
+  if (ROBOT) qs.set("robot", ROBOT);
+  const url = `${SERVER_URL}/events?${qs}`;
+  console.log("🚀 Connecting to", url, "...");
+
+  const res = await fetch(url, {
+    headers: {
+      Accept: "text/event-stream",
+      ...(EVENTS_TOKEN ? { Authorization: `Bearer ${EVENTS_TOKEN}` } : {}),
+      ...(lastEventId ? { "Last-Event-ID": String(lastEventId) } : {}),
+    },
+  });
+  if (res.status === 401) throw new Error("unauthorized (thiếu / sai EVENTS_TOKEN)");
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
 
-// Khi kết nối thành công
-socket.on("connect", () => {
   console.log("✅ Connected to server!");
-  console.log("🔗 Socket ID:", socket.id);
-
-  // Gửi thử message lên server
-  socket.emit("client_message", "Hello from Node.js client 👋");
-});
-
-// Khi server emit event "status"
-socket.on("status", (data) => {
-  console.log("📡 Received 'status' event:", data);
-});
-
-// Khi bị ngắt kết nối
-socket.on("disconnect", (reason) => {
-  console.log("❌ Disconnected:", reason);
-});
-
-// Khi gặp lỗi kết nối
-socket.on("connect_error", (err) => {
-  console.error("⚠️ Connection error:", err.message);
-});
+  attempts = 0;
+
+  // SSE: các block cách nhau bởi dòng trống; mỗi block có id / event / data
+  let buf = "";
+  for await (const chunk of res.body) {
+    buf += chunk.toString("utf8");
+    let cut;
+    while ((cut = buf.indexOf("\n\n")) >= 0) {
+      const block = buf.slice(0, cut);
+      buf = buf.slice(cut + 2);
+      const ev = { id: null, type: "message", data: "" };
+      for (const line of block.split("\n")) {
+        if (line.startsWith("id: ")) ev.id = Number(line.slice(4));
+        else if (line.startsWith("event: ")) ev.type = line.slice(7);
+        else if (line.startsWith("data: ")) ev.data += line.slice(6);
+      }
+      if (!ev.data) continue; // ping / retry
+      if (ev.id) lastEventId = ev.id;
+      console.log(`📡 Received '${ev.type}' event:`, JSON.parse(ev.data));
+    }
+  }
+  console.log("❌ Disconnected: stream ended");
+}
+
+// Khi mất kết nối -> thử lại (tối đa 5 lần), replay từ Last-Event-ID
+async function run() {
+  while (attempts < 5) {
+    try {
+      await connect();
+    } catch (err) {
+      console.error("⚠️ Connection error:", err.message);
+    }
+    attempts += 1;
+    await new Promise((r) => setTimeout(r, 3000));
+  }
+}
+
+run();
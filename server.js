@@ -6,6 +6,31 @@
    - ✅ NEW (LONG YT): LẤY TRANSCRIPT từ YT server -> GPT chấm dấu câu -> TTS theo CHUNKS (podcast)
         + trả về podcast_id + audio_url chunk đầu
         + client gọi /podcast_next để lấy tiếp
+   - ✅ NEW: conversation memory server-side theo user/device (/memory)
+   - ✅ NEW: intent router dùng chung MQTT + HTTP (clap / stop / nhac / movement / chat)
+   - ✅ NEW: INTENT_CLASSIFIER_MODE=llm (model -> label + slots), fallback keyword rules
+   - ✅ NEW: movement có tham số (distance/angle/speed/repeat) -> robot/move/v1 + ack TTS
+   - ✅ NEW: chuỗi lệnh từ 1 câu ("đi tới rồi quay phải rồi ngồi xuống") + macros (/plan, /macros)
+   - ✅ NEW: streaming TTS /tts/stream/:id (pipe MP3 theo từng câu, Eleven -> OpenAI fallback)
+   - ✅ NEW: TTS cache trên disk (hash text + voice settings), giới hạn size/tuổi, pre-warm
+   - ✅ NEW: TTS provider chain (TTS_PROVIDERS=eleven,openai,local) + circuit breaker + voice/speed/lang theo request
+   - ✅ NEW: audio janitor cho public/audio (TTL theo purpose, quota + LRU, giữ file còn được tham chiếu)
+   - ✅ NEW: STATE_STORE=memory|file cho jobs / chat answers / podcast sessions (resume job sau restart)
+   - ✅ NEW: job queue thật (priority, concurrency theo type, timeout, retry backoff, DELETE /job cancel, GET /jobs)
+   - ✅ NEW: status chat / job publish qua MQTT /pidog/chat/status/<id>, /pidog/job/status/<id> (PIDOG_STATUS_MQTT=0 -> HTTP only)
+   - ✅ NEW: realtime SSE /events (scan status, gesture, job, chat, podcast chunk) theo robot/user, token + Last-Event-ID
+   - ✅ NEW: podcast seek / prev / skip / pause / resume / status + prefetch K đoạn kế tiếp
+   - ✅ NEW: chấm câu transcript map-reduce (window chồng lấn, song song, cache) -> không cắt 20k ký tự, podcast phát từ window đầu
+   - ✅ NEW: video dài chọn mode bằng giọng nói: đọc hết / tóm tắt N phút / ý chính + dịch transcript tiếng Anh sang tiếng Việt
+   - ✅ NEW: transcript giữ mốc thời gian (segment -> window -> đoạn podcast), /podcast_seek_time + "đọc từ phút thứ 10"
+   - ✅ NEW: hàng chờ nhạc theo robot (thêm / bỏ / qua bài / xoá / trộn / lặp) bằng giọng nói + REST /music/queue, chuẩn bị sẵn bài kế
+   - ✅ NEW: chấm điểm nhiều kết quả YouTube (tiêu đề, độ dài, kênh Official/Topic, lượt xem, bản karaoke/cover...) + hỏi lại "bài A hay bài B?"
+   - ✅ NEW: thư viện nhạc local (MUSIC_LIBRARY_DIR, tag ID3, tìm không dấu / sai 1 ký tự) + chuỗi nguồn MUSIC_SOURCES=local,youtube,itunes
+   - ✅ NEW: chơi caro với robot: /game/start|move|status|reset, đọc nước đi từ ảnh /scan_chess, robot tính nước (minimax), MQTT robot/game/move
+   - ✅ NEW: /scan_chess: 1 schema chung cho prompt + validate (robot_line, nhận cả robot_circle), ký hiệu quân cấu hình được, sửa / loại ô lỗi, debug=1 trả raw + repaired
+   - ✅ NEW: /scan_chess: 4 góc bàn cờ + homography để map ô đúng phối cảnh (fallback chia đều grid_bbox), trả corners + polygon / confidence từng ô
+   - ✅ NEW: board profile cho /scan_chess + /game (caro, tictactoe, gomoku 15x15, connect_four có gravity), thêm / xoá qua /scan_chess/profiles
+   - ✅ NEW: /scan_chess/consensus: nhiều frame -> bỏ phiếu từng ô theo confidence, trả disagreement map + stable / rescan (/game/move nhận nhiều frame)
    - PI endpoint: TEXT ONLY (no vision), image optional (ignored)
    - AvoidObstacle vision endpoint kept
    - Label override + scan endpoints + camera rotate
@@ -16,7 +41,7 @@ import http from "http";
 import fs from "fs";
 import path from "path";
 import dns from "dns";
-import { randomUUID } from "crypto";
+import { randomUUID, createHash } from "crypto";
 import { fileURLToPath } from "url";
 import mqtt from "mqtt";
 import dotenv from "dotenv";
@@ -28,6 +53,9 @@ import multer from "multer";
 import cors from "cors";
 import yts from "yt-search";
 import { spawn } from "child_process";
+import { once } from "events";
+import { AsyncLocalStorage } from "async_hooks";
+import { Worker } from "worker_threads";
 import { FormData } from "undici";
 
 dotenv.config();
@@ -47,6 +75,9 @@ app.use((req, res, next) => { try { res.setTimeout(0); } catch { } next(); });
 const PORT = process.env.PORT || 8080;
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// request OpenAI gọi bên trong 1 job attempt -> hủy theo signal của attempt (timeout / cancel)
+const openaiFetch = openai.fetch;
+openai.fetch = (url, init = {}) => openaiFetch(url, withJobSignal(init));
 
 const publicDir = path.join(__dirname, "public");
 const audioDir = path.join(publicDir, "audio");
@@ -67,7 +98,7 @@ app.use(
       if (!origin || allowedOrigins.includes(origin)) return cb(null, true);
       return cb(new Error("Not allowed by CORS"));
     },
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type"],
   })
 );
@@ -96,9 +127,10 @@ function uploadLimiter(req, res, next) {
 /* ===========================================================================  
    RUN helper (spawn)
 ===========================================================================*/
-function run(cmd, args, { timeoutMs = 180000 } = {}) {
+function run(cmd, args, { timeoutMs = 180000, input = null, signal = null } = {}) {
+  signal = signal || currentJobSignal(); // gọi trong job attempt -> child process dừng theo attempt
   return new Promise((resolve, reject) => {
-    const p = spawn(cmd, args, { stdio: ["ignore", "pipe", "pipe"] });
+    const p = spawn(cmd, args, { stdio: [input !== null ? "pipe" : "ignore", "pipe", "pipe"] });
     let out = "";
     let err = "";
 
@@ -107,16 +139,30 @@ function run(cmd, args, { timeoutMs = 180000 } = {}) {
       reject(new Error(`Timeout: ${cmd} ${args.join(" ")}`));
     }, timeoutMs);
 
+    // job bị cancel -> kill child process luôn
+    const onAbort = () => {
+      try { p.kill("SIGKILL"); } catch { }
+      reject(new Error(`Aborted: ${cmd}`));
+    };
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
     p.stdout.on("data", (d) => (out += d.toString()));
     p.stderr.on("data", (d) => (err += d.toString()));
+    if (input !== null) {
+      p.stdin.on("error", () => { });
+      p.stdin.end(input);
+    }
 
     p.on("error", (e) => {
       clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
       reject(e);
     });
 
     p.on("close", (code) => {
       clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
       if (code === 0) return resolve({ out, err });
       reject(new Error(`Exit ${code}\nSTDERR:\n${err}\nSTDOUT:\n${out}`));
     });
@@ -208,6 +254,11 @@ async function checkYtServerConnectivity(remoteBaseUrl) {
 /* ===========================================================================  
    STATIC  
 ===========================================================================*/
+// robot tải file -> cập nhật lastUsed cho LRU của AUDIO JANITOR
+app.use("/audio", (req, res, next) => {
+  touchAudioFile(req.path);
+  next();
+});
 app.use("/audio", express.static(audioDir));
 
 /* ===========================================================================  
@@ -219,6 +270,9 @@ const MQTT_USER = process.env.MQTT_USER || "robot_matthew";
 const MQTT_PASS = process.env.MQTT_PASS || "";
 const PIDOG_CHAT_REQUEST_TOPIC = process.env.PIDOG_CHAT_REQUEST_TOPIC || "/pidog/chat/request";
 const PIDOG_CHAT_STATUS_PREFIX = process.env.PIDOG_CHAT_STATUS_PREFIX || "/pidog/chat/status";
+const JOB_STATUS_PREFIX = process.env.JOB_STATUS_PREFIX || "/pidog/job/status";
+// 0 = HTTP-only như cũ (Pi tự poll /pidog/chat/status, /getmyaudioanswer, /job)
+const PIDOG_STATUS_MQTT = String(process.env.PIDOG_STATUS_MQTT ?? "1") === "1";
 
 const mqttUrl = `mqtts://${MQTT_HOST}:${MQTT_PORT}`;
 const mqttClient = mqtt.connect(mqttUrl, {
@@ -239,6 +293,8 @@ mqttClient.on("connect", () => {
   mqttClient.subscribe("robot/scanning180");
   mqttClient.subscribe("robot/label");
   mqttClient.subscribe(PIDOG_CHAT_REQUEST_TOPIC);
+  mqttClient.subscribe(ROBOT_PLAN_ACK_TOPIC);
+  mqttClient.subscribe(MUSIC_DONE_TOPIC);
 
   mqttClient.subscribe("/robot/gesture/stopmusic");
   mqttClient.subscribe("/robot/gesture/stop");
@@ -246,13 +302,17 @@ mqttClient.on("connect", () => {
   mqttClient.subscribe("robot/gesture/sit");
   mqttClient.subscribe("robot/gesture/moveleft");
   mqttClient.subscribe("robot/moveright");
-  // status updates now handled via HTTP only (no MQTT publish)
+  // status updates: publish ${PIDOG_CHAT_STATUS_PREFIX}/<id> + ${JOB_STATUS_PREFIX}/<job_id> (PIDOG_STATUS_MQTT=0 -> HTTP only)
 });
 
 mqttClient.on("message", (topic, message) => {
   try {
     const msg = message.toString();
 
+    if (topic.includes("/gesture/") || topic === "robot/moveright") {
+      emitEvent("gesture", { topic, message: msg.slice(0, 500) });
+    }
+
     if (topic === PIDOG_CHAT_REQUEST_TOPIC) {
       handlePidogChatRequest(msg).catch((err) => {
         console.error("PIDOG chat request error:", err?.message || err);
@@ -260,6 +320,16 @@ mqttClient.on("message", (topic, message) => {
       return;
     }
 
+    if (topic === ROBOT_PLAN_ACK_TOPIC) {
+      handlePlanAckMessage(msg);
+      return;
+    }
+
+    if (topic === MUSIC_DONE_TOPIC) {
+      handleMusicDoneMessage(msg);
+      return;
+    }
+
     if (topic === "robot/label") {
       console.log("==> Robot quyết định hướng:", msg);
       return;
@@ -271,7 +341,7 @@ mqttClient.on("message", (topic, message) => {
     }
 
     if (topic === "robot/scanning_done") {
-      scanStatus = "done";
+      setScanStatus("done");
       return;
     }
 
@@ -285,10 +355,12 @@ mqttClient.on("message", (topic, message) => {
     }
     if (topic === "robot/gesture/standup") {
       console.log("==> Detect gesture stand up");
+      resolvePlanStepByAction("standup", msg);
       return;
     }
     if (topic === "robot/gesture/sit") {
       console.log("==> Detect gesture sidown");
+      resolvePlanStepByAction("sit", msg);
       return;
     }
     if (topic === "robot/gesture/moveleft") {
@@ -304,6 +376,128 @@ mqttClient.on("message", (topic, message) => {
   }
 });
 
+/* ===========================================================================  
+   ✅ REALTIME EVENTS (Server-Sent Events) — GET /events
+   - event types: status (scan) | gesture | job | chat | podcast_chunk | music_queue | game
+   - subscribe: ?robot=<id>&user=<id>&types=job,chat
+     event không gắn robot/user = broadcast; event gắn robot/user chỉ tới client đăng ký đúng robot/user đó
+     (chat / job / podcast: user key chính là device id của robot -> gắn cả robot lẫn user)
+   - auth: EVENTS_TOKEN -> "Authorization: Bearer <token>" hoặc ?token= (EventSource không set header được)
+     chưa cấu hình EVENTS_TOKEN -> chỉ nhận kết nối từ localhost
+   - resume: header Last-Event-ID (hoặc ?last_event_id=) -> replay từ ring buffer
+   - id tăng dần theo thời gian boot -> vẫn đúng thứ tự sau restart
+===========================================================================*/
+const EVENTS_TOKEN = process.env.EVENTS_TOKEN || "";
+const EVENTS_BUFFER_SIZE = Number(process.env.EVENTS_BUFFER_SIZE || 500);
+const EVENTS_HEARTBEAT_MS = Number(process.env.EVENTS_HEARTBEAT_MS || 25000);
+const EVENTS_MAX_CLIENTS = Number(process.env.EVENTS_MAX_CLIENTS || 100);
+
+const eventBuffer = [];
+const eventClients = new Set();
+let eventSeq = Date.now();
+
+function eventMatches(client, ev) {
+  if (client.types.length && !client.types.includes(ev.type)) return false;
+  if (client.robot && ev.robot && ev.robot !== client.robot) return false;
+  if (client.user && ev.user && ev.user !== client.user) return false;
+  // event riêng (chat, job, podcast của 1 user) -> không gửi cho client không lọc theo robot / user
+  if (ev.robot || ev.user) return (!!client.robot && ev.robot === client.robot) || (!!client.user && ev.user === client.user);
+  return true;
+}
+
+function writeSseEvent(res, ev) {
+  res.write(`id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev)}\n\n`);
+}
+
+function emitEvent(type, data = {}, { robot = null, user = null } = {}) {
+  const ev = { id: ++eventSeq, type, robot: robot || null, user: user || null, ts: Date.now(), data };
+  eventBuffer.push(ev);
+  if (eventBuffer.length > EVENTS_BUFFER_SIZE) eventBuffer.splice(0, eventBuffer.length - EVENTS_BUFFER_SIZE);
+
+  for (const c of eventClients) {
+    if (!eventMatches(c, ev)) continue;
+    try { writeSseEvent(c.res, ev); } catch { }
+  }
+  return ev;
+}
+
+function isLoopbackRequest(req) {
+  const addr = (req.socket?.remoteAddress || "").toString();
+  return addr === "127.0.0.1" || addr === "::1" || addr === "::ffff:127.0.0.1";
+}
+
+// "Authorization: Bearer <token>" hoặc ?token=; chưa cấu hình token -> chỉ localhost
+function tokenAuthorized(req, expected) {
+  if (!expected) return isLoopbackRequest(req);
+  const auth = (req.headers.authorization || "").toString();
+  const token = auth.startsWith("Bearer ") ? auth.slice(7).trim() : (req.query.token || "").toString();
+  return token === expected;
+}
+
+function eventsAuthorized(req) {
+  return tokenAuthorized(req, EVENTS_TOKEN);
+}
+
+function setScanStatus(status, extra = {}) {
+  if (scanStatus === status) return;
+  scanStatus = status;
+  emitEvent("status", { scanStatus: status, ...extra });
+}
+
+app.get("/events", (req, res) => {
+  if (!eventsAuthorized(req)) return res.status(401).json({ ok: false, error: "unauthorized" });
+  if (eventClients.size >= EVENTS_MAX_CLIENTS) return res.status(503).json({ ok: false, error: "too_many_clients" });
+
+  const csv = (v) => (v || "").toString().split(",").map((s) => s.trim()).filter(Boolean);
+  const client = {
+    res,
+    robot: (req.query.robot || "").toString().trim(),
+    user: (req.query.user || req.query.device || "").toString().trim(),
+    types: csv(req.query.types),
+    since: Date.now(),
+  };
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  // replay những event bị lỡ trong lúc mất kết nối
+  const lastId = Number(req.headers["last-event-id"] || req.query.last_event_id || 0);
+  if (lastId) {
+    const missed = eventBuffer.filter((ev) => ev.id > lastId && eventMatches(client, ev));
+    if (eventBuffer.length && eventBuffer[0].id > lastId + 1) res.write(`event: gap\ndata: ${JSON.stringify({ oldest: eventBuffer[0].id })}\n\n`);
+    for (const ev of missed) writeSseEvent(res, ev);
+  }
+  // snapshot trạng thái hiện tại (không có id -> không làm lệch Last-Event-ID)
+  const snapshot = { type: "status", robot: null, user: null, ts: Date.now(), data: { scanStatus } };
+  if (eventMatches(client, snapshot)) res.write(`event: status\ndata: ${JSON.stringify(snapshot)}\n\n`);
+
+  eventClients.add(client);
+  const heartbeat = setInterval(() => {
+    try { res.write(": ping\n\n"); } catch { }
+  }, EVENTS_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventClients.delete(client);
+  });
+});
+
+app.get("/events/stats", (req, res) => {
+  if (!eventsAuthorized(req)) return res.status(401).json({ ok: false, error: "unauthorized" });
+  return res.json({
+    ok: true,
+    clients: Array.from(eventClients).map((c) => ({ robot: c.robot || null, user: c.user || null, types: c.types, since: c.since })),
+    buffered: eventBuffer.length,
+    last_event_id: eventSeq,
+    auth: !!EVENTS_TOKEN,
+  });
+});
+
 /* ===========================================================================  
    HELPERS — normalize / routing
 ===========================================================================*/
@@ -350,15 +544,13 @@ function getPublicHost() {
 }
 
 /* ===========================================================================  
-   VOICE (Eleven proxy server -> WAV -> MP3) + fallback OpenAI
+   VOICE (Eleven proxy server -> WAV -> MP3) + fallback OpenAI (+ local espeak/piper)
 ===========================================================================*/
 const VOICE_SERVER_URL =
   process.env.VOICE_SERVER_URL ||
   "https://eleven-tts-wav-server-matthewrobotvoice.up.railway.app/convertvoice";
 
 const VOICE_TIMEOUT_MS = Number(process.env.VOICE_TIMEOUT_MS || 45000);
-const VOICE_TIMEOUT_PI_MS = Number(process.env.VOICE_TIMEOUT_PI_MS || 12000);
-const VOICE_TIMEOUT_LONG_MS = Number(process.env.VOICE_TIMEOUT_LONG_MS || 45000);
 
 const DEFAULT_VOICE_PAYLOAD = {
   voice_settings: {
@@ -370,22 +562,45 @@ const DEFAULT_VOICE_PAYLOAD = {
   optimize_streaming_latency: 0,
 };
 
-async function openaiTtsToMp3(replyText, prefix = "tts") {
+const OPENAI_TTS_MODEL = process.env.OPENAI_TTS_MODEL || "gpt-4o-mini-tts";
+const OPENAI_TTS_VOICE = process.env.OPENAI_TTS_VOICE || "ballad";
+const OPENAI_TTS_VOICES = ["alloy", "ash", "ballad", "coral", "echo", "fable", "nova", "onyx", "sage", "shimmer", "verse"];
+
+// voice/speed/lang theo request -> payload cho Eleven proxy
+function buildVoicePayload({ voice = "", speed = null, lang = "" } = {}) {
+  const payload = { ...DEFAULT_VOICE_PAYLOAD, voice_settings: { ...DEFAULT_VOICE_PAYLOAD.voice_settings } };
+  if (voice) payload.voice_id = voice;
+  if (speed) payload.voice_settings.speed = clamp(speed, 0.7, 1.2);
+  if (lang) payload.language_code = lang;
+  return payload;
+}
+
+function buildOpenaiSpeechParams(input, { voice = "", speed = null, lang = "" } = {}) {
+  const params = {
+    model: OPENAI_TTS_MODEL,
+    voice: OPENAI_TTS_VOICES.includes(voice) ? voice : OPENAI_TTS_VOICE,
+    format: "mp3",
+    input,
+  };
+  if (speed) params.speed = clamp(speed, 0.25, 4);
+  if (lang && OPENAI_TTS_MODEL.startsWith("gpt-4o")) params.instructions = `Speak in language: ${lang}.`;
+  return params;
+}
+
+async function openaiTtsToMp3(replyText, prefix = "tts", opts = {}) {
   const filename = `${prefix}_${Date.now()}.mp3`;
   const outPath = path.join(audioDir, filename);
 
-  const speech = await openai.audio.speech.create({
-    model: "gpt-4o-mini-tts",
-    voice: "ballad",
-    format: "mp3",
-    input: replyText,
-  });
+  const speech = await openai.audio.speech.create(
+    buildOpenaiSpeechParams(replyText, opts),
+    opts.timeoutMs ? { timeout: opts.timeoutMs } : undefined
+  );
 
   fs.writeFileSync(outPath, Buffer.from(await speech.arrayBuffer()));
   return `${getPublicHost()}/audio/${filename}`;
 }
 
-async function voiceServerToMp3WithTimeout(replyText, prefix = "eleven", timeoutMs = VOICE_TIMEOUT_MS) {
+async function voiceServerToMp3WithTimeout(replyText, prefix = "eleven", timeoutMs = VOICE_TIMEOUT_MS, opts = {}) {
   const ts = Date.now();
   const wavTmp = path.join(audioDir, `${prefix}_${ts}.wav`);
   const mp3Out = path.join(audioDir, `${prefix}_${ts}.mp3`);
@@ -397,7 +612,7 @@ async function voiceServerToMp3WithTimeout(replyText, prefix = "eleven", timeout
     const resp = await fetch(VOICE_SERVER_URL, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ text: replyText, ...DEFAULT_VOICE_PAYLOAD }),
+      body: JSON.stringify({ text: replyText, ...buildVoicePayload(opts) }),
       signal: controller.signal,
     });
 
@@ -432,30 +647,591 @@ async function voiceServerToMp3WithTimeout(replyText, prefix = "eleven", timeout
   }
 }
 
-async function textToSpeechMp3Pi(replyText, prefix = "pi_v2") {
-  const safeText = (replyText || "").trim();
-  if (!safeText) return await openaiTtsToMp3("Dạ.", `${prefix}_fallback`);
+// espeak-ng / piper CLI -> WAV -> MP3 (chạy offline, không cần network)
+async function localTtsToMp3(replyText, prefix = "local", { voice = "", speed = null, lang = "", timeoutMs = 30000 } = {}) {
+  const ts = Date.now();
+  const wavTmp = path.join(audioDir, `${prefix}_${ts}.wav`);
+  const mp3Out = path.join(audioDir, `${prefix}_${ts}.mp3`);
 
   try {
-    return await voiceServerToMp3WithTimeout(safeText, `${prefix}_eleven`, VOICE_TIMEOUT_PI_MS);
+    if (TTS_LOCAL_ENGINE === "piper") {
+      const args = ["--model", voice || TTS_LOCAL_PIPER_MODEL, "--output_file", wavTmp];
+      if (speed) args.push("--length_scale", String(1 / clamp(speed, 0.5, 2)));
+      await run(TTS_LOCAL_BIN, args, { timeoutMs, input: replyText });
+    } else {
+      const wpm = Math.round(175 * clamp(speed || 1, 0.5, 2));
+      await run(TTS_LOCAL_BIN, ["-v", voice || lang || "vi", "-s", String(wpm), "-w", wavTmp, replyText], { timeoutMs });
+    }
+
+    await new Promise((resolve, reject) =>
+      ffmpeg(wavTmp).toFormat("mp3").on("end", resolve).on("error", reject).save(mp3Out)
+    );
+
+    safeUnlink(wavTmp);
+    return `${getPublicHost()}/audio/${path.basename(mp3Out)}`;
   } catch (e) {
-    console.error("⚠️ PI voice server timeout/fail -> fallback OpenAI:", e?.message || e);
-    return await openaiTtsToMp3(safeText, `${prefix}_openai`);
+    safeUnlink(wavTmp);
+    safeUnlink(mp3Out);
+    throw e;
+  }
+}
+
+// reply ngắn cho Pi: mỗi provider có budget cố định TTS_<NAME>_PI_TIMEOUT_MS, không nới theo độ dài text
+async function textToSpeechMp3Pi(replyText, prefix = "pi_v2", opts = {}) {
+  return await synthesizeTts(replyText, { ...opts, pi: true, prefix });
+}
+
+// podcast chunk dài: timeout tự nới theo độ dài text (timeoutPerCharMs của provider)
+async function textToSpeechMp3Long(replyText, prefix = "long", opts = {}) {
+  return await synthesizeTts(replyText, { ...opts, prefix });
+}
+
+/* ===========================================================================  
+   ✅ TTS PROVIDERS (fallback chain + circuit breaker)
+   - TTS_PROVIDERS="eleven,openai,local" = thứ tự fallback
+   - timeout theo provider: TTS_<NAME>_TIMEOUT_MS + TTS_<NAME>_TIMEOUT_PER_CHAR_MS,
+     chặn trên bởi TTS_<NAME>_MAX_TIMEOUT_MS; reply ngắn cho Pi dùng TTS_<NAME>_PI_TIMEOUT_MS cố định
+   - lỗi liên tiếp >= TTS_CB_FAILURES -> bỏ qua provider trong TTS_CB_COOLDOWN_MS
+   - request chọn được voice / speed / lang (voice có thể là object theo provider)
+===========================================================================*/
+const TTS_PROVIDER_CHAIN = (process.env.TTS_PROVIDERS || "eleven,openai")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+const TTS_CB_FAILURES = Number(process.env.TTS_CB_FAILURES || 3);
+const TTS_CB_COOLDOWN_MS = Number(process.env.TTS_CB_COOLDOWN_MS || 60 * 1000);
+const TTS_LOCAL_ENGINE = (process.env.TTS_LOCAL_ENGINE || "espeak").toLowerCase();
+const TTS_LOCAL_BIN = process.env.TTS_LOCAL_BIN || (TTS_LOCAL_ENGINE === "piper" ? "piper" : "espeak-ng");
+const TTS_LOCAL_PIPER_MODEL = process.env.TTS_LOCAL_PIPER_MODEL || "";
+
+const ttsProviders = new Map();
+
+function ttsTimeoutsFromEnv(name, { base, perChar, max, pi }) {
+  const key = name.toUpperCase();
+  return {
+    timeoutMs: Number(process.env[`TTS_${key}_TIMEOUT_MS`] || base),
+    timeoutPerCharMs: Number(process.env[`TTS_${key}_TIMEOUT_PER_CHAR_MS`] || perChar),
+    maxTimeoutMs: Number(process.env[`TTS_${key}_MAX_TIMEOUT_MS`] || max),
+    piTimeoutMs: Number(process.env[`TTS_${key}_PI_TIMEOUT_MS`] || pi),
+  };
+}
+
+function registerTtsProvider(p) {
+  if (!p?.name || typeof p.synthesize !== "function") throw new Error("TTS provider needs name + synthesize()");
+  p.health = { calls: 0, successes: 0, failures: 0, openedUntil: 0, lastError: null, lastLatencyMs: null };
+  ttsProviders.set(p.name, p);
+  return p;
+}
+
+function ttsProviderTimeout(p, text = "", pi = false) {
+  if (pi) return p.piTimeoutMs;
+  return Math.min(p.maxTimeoutMs, p.timeoutMs + text.length * p.timeoutPerCharMs);
+}
+
+// chain còn "sống"; nếu tất cả đều đang mở circuit thì vẫn thử lại cả chain
+function ttsProviderOrder() {
+  const chain = TTS_PROVIDER_CHAIN.map((n) => ttsProviders.get(n)).filter(Boolean);
+  const alive = chain.filter((p) => Date.now() >= p.health.openedUntil);
+  return alive.length ? alive : chain;
+}
+
+function recordTtsResult(p, ok, err = null, latencyMs = null) {
+  const h = p.health;
+  h.calls += 1;
+  h.lastLatencyMs = latencyMs;
+  if (ok) {
+    h.successes += 1;
+    h.failures = 0;
+    h.openedUntil = 0;
+    return;
+  }
+  h.failures += 1;
+  h.lastError = String(err?.message || err || "").slice(0, 200);
+  if (h.failures >= TTS_CB_FAILURES) {
+    h.openedUntil = Date.now() + TTS_CB_COOLDOWN_MS;
+    console.error(`⛔ TTS provider ${p.name} circuit OPEN (${h.failures} fails) for ${TTS_CB_COOLDOWN_MS}ms`);
+  }
+}
+
+function resolveProviderVoice(name, voice) {
+  if (voice && typeof voice === "object") return (voice[name] || "").toString().trim();
+  return (voice || "").toString().trim();
+}
+
+function ttsProviderOptions(p, { voice = null, speed = null, lang = "", pi = false } = {}, text = "") {
+  return { voice: resolveProviderVoice(p.name, voice), speed, lang, timeoutMs: ttsProviderTimeout(p, text, pi) };
+}
+
+// đọc voice/speed/lang từ body / meta / query của request
+function parseVoiceOptions(...sources) {
+  const out = {};
+  for (const src of sources) {
+    if (!src || typeof src !== "object") continue;
+    if (out.voice === undefined && src.voice) out.voice = typeof src.voice === "object" ? src.voice : String(src.voice);
+    const speed = Number(src.speed);
+    if (out.speed === undefined && Number.isFinite(speed) && speed > 0) out.speed = speed;
+    const lang = src.lang || src.language;
+    if (out.lang === undefined && lang) out.lang = String(lang).trim().slice(0, 16);
+  }
+  return out;
+}
+
+async function synthesizeTts(text, { prefix = "tts", voice = null, speed = null, lang = "", pi = false } = {}) {
+  throwIfJobAborted();
+  const safeText = (text || "").trim() || "Dạ.";
+  let lastErr = null;
+
+  for (const p of ttsProviderOrder()) {
+    const o = ttsProviderOptions(p, { voice, speed, lang, pi }, safeText);
+    const cached = ttsCacheGet(safeText, p, o, prefix);
+    if (cached) return trackAudioFile(cached);
+
+    const t0 = Date.now();
+    try {
+      const url = await p.synthesize(safeText, { ...o, prefix: `${prefix}_${p.name}` });
+      recordTtsResult(p, true, null, Date.now() - t0);
+      return trackAudioFile(ttsCachePut(safeText, p, o, url));
+    } catch (e) {
+      recordTtsResult(p, false, e, Date.now() - t0);
+      lastErr = e;
+      console.error(`⚠️ TTS provider ${p.name} timeout/fail -> next provider:`, e?.message || e);
+    }
   }
+
+  throw lastErr || new Error("No TTS provider available");
 }
 
-async function textToSpeechMp3Long(replyText, prefix = "long") {
-  const safeText = (replyText || "").trim();
-  if (!safeText) return await openaiTtsToMp3("Dạ.", `${prefix}_fallback`);
+registerTtsProvider({
+  name: "eleven",
+  ...ttsTimeoutsFromEnv("eleven", { base: 12000, perChar: 65, max: VOICE_TIMEOUT_MS, pi: 12000 }),
+  identity: (o) => ({ url: VOICE_SERVER_URL, payload: buildVoicePayload(o) }),
+  synthesize: (text, o) => voiceServerToMp3WithTimeout(text, o.prefix, o.timeoutMs, o),
+  stream: (text, res, state, o) => streamVoiceServerChunk(text, res, state, o),
+});
+
+registerTtsProvider({
+  name: "openai",
+  ...ttsTimeoutsFromEnv("openai", { base: 30000, perChar: 40, max: 90000, pi: 15000 }),
+  identity: (o) => buildOpenaiSpeechParams("", o),
+  synthesize: (text, o) => openaiTtsToMp3(text, o.prefix, o),
+  stream: (text, res, state, o) => streamOpenaiChunk(text, res, state, o),
+});
+
+registerTtsProvider({
+  name: "local",
+  ...ttsTimeoutsFromEnv("local", { base: 15000, perChar: 30, max: 60000, pi: 10000 }),
+  identity: (o) => ({ engine: TTS_LOCAL_ENGINE, bin: TTS_LOCAL_BIN, model: TTS_LOCAL_PIPER_MODEL, voice: o.voice, speed: o.speed, lang: o.lang }),
+  synthesize: (text, o) => localTtsToMp3(text, o.prefix, o),
+});
+
+app.get("/tts/providers", (req, res) => {
+  const now = Date.now();
+  const providers = Array.from(ttsProviders.values()).map((p) => ({
+    name: p.name,
+    in_chain: TTS_PROVIDER_CHAIN.includes(p.name),
+    streaming: typeof p.stream === "function",
+    timeout_ms: p.timeoutMs,
+    timeout_per_char_ms: p.timeoutPerCharMs,
+    max_timeout_ms: p.maxTimeoutMs,
+    pi_timeout_ms: p.piTimeoutMs,
+    circuit: now < p.health.openedUntil ? "open" : p.health.failures >= TTS_CB_FAILURES ? "half_open" : "closed",
+    ...p.health,
+  }));
+  return res.json({ ok: true, chain: TTS_PROVIDER_CHAIN, providers });
+});
 
+/* ===========================================================================  
+   ✅ TTS CACHE (content-addressed, trên disk trong TTS_CACHE_DIR, mặc định data/tts_cache)
+   - key = sha256(text + provider + voice settings của provider (identity))
+   - thư mục cache nằm NGOÀI audioDir: không ai tải / dò được entry qua /audio/tts_cache/<key>.mp3
+   - nâng cấp từ bản cũ (cache trong public/audio/tts_cache, bị express.static phục vụ công khai):
+     ops xoá tay thư mục đó sau khi deploy (rm -rf public/audio/tts_cache); server không tự xoá
+   - hit -> copy ra file mới trong audioDir (caller vẫn được safeUnlink như cũ); chỉ URL server trả về mới tải được
+   - giới hạn tổng dung lượng (LRU theo lastUsed) + tuổi tối đa
+   - pre-warm lúc start cho các câu cố định (TTS_CACHE_PREWARM_PHRASES, ngăn bởi "|")
+===========================================================================*/
+const TTS_CACHE_ENABLED = String(process.env.TTS_CACHE_ENABLED || "1") === "1";
+const TTS_CACHE_DIR = process.env.TTS_CACHE_DIR || path.join(__dirname, "data", "tts_cache");
+const TTS_CACHE_MAX_BYTES = Number(process.env.TTS_CACHE_MAX_BYTES || 200 * 1024 * 1024);
+const TTS_CACHE_MAX_AGE_MS = Number(process.env.TTS_CACHE_MAX_AGE_MS || 7 * 24 * 60 * 60 * 1000);
+// chỉ cache câu ngắn (câu cố định, intro); reply GPT dài hầu như không lặp lại
+const TTS_CACHE_MAX_CHARS = Number(process.env.TTS_CACHE_MAX_CHARS || 300);
+const TTS_CACHE_PREWARM = String(process.env.TTS_CACHE_PREWARM || "0") === "1";
+const TTS_CACHE_PREWARM_PHRASES = (
+  process.env.TTS_CACHE_PREWARM_PHRASES ||
+  [
+    "Dạ, em tắt nhạc nha.",
+    "Em chưa hiểu câu này.",
+    "Em không tìm thấy bài trên YouTube và iTunes. Anh nói lại tên bài + ca sĩ giúp em nha.",
+    "Em không tải được bài hát từ YouTube và iTunes. Anh thử bài khác giúp em nha.",
+  ].join("|")
+)
+  .split("|")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const ttsCacheIndex = new Map();
+const ttsCacheStats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+
+if (TTS_CACHE_ENABLED) {
+  fs.mkdirSync(TTS_CACHE_DIR, { recursive: true });
+  for (const f of fs.readdirSync(TTS_CACHE_DIR)) {
+    if (!f.endsWith(".mp3")) continue;
+    try {
+      const st = fs.statSync(path.join(TTS_CACHE_DIR, f));
+      ttsCacheIndex.set(f.slice(0, -4), { size: st.size, createdAt: st.mtimeMs, lastUsed: st.mtimeMs });
+    } catch { }
+  }
+}
+
+function ttsCacheKey(text, provider, opts = {}) {
+  const voice = provider.identity ? provider.identity(opts) : {};
+  return createHash("sha256").update(JSON.stringify({ text, provider: provider.name, voice })).digest("hex");
+}
+
+function ttsCachePath(key) {
+  return path.join(TTS_CACHE_DIR, `${key}.mp3`);
+}
+
+function ttsCacheCacheable(text) {
+  return TTS_CACHE_ENABLED && !!text && text.length <= TTS_CACHE_MAX_CHARS;
+}
+
+function ttsCacheGet(text, provider, opts = {}, prefix = "tts") {
+  if (!ttsCacheCacheable(text)) return null;
+  const key = ttsCacheKey(text, provider, opts);
+  const entry = ttsCacheIndex.get(key);
+  const src = ttsCachePath(key);
+
+  if (!entry || Date.now() - entry.createdAt > TTS_CACHE_MAX_AGE_MS || !fs.existsSync(src)) {
+    if (entry) ttsCacheEvict(key);
+    ttsCacheStats.misses += 1;
+    return null;
+  }
+
+  try {
+    const filename = `${prefix}_${provider.name}_cache_${Date.now()}.mp3`;
+    fs.copyFileSync(src, path.join(audioDir, filename));
+    entry.lastUsed = Date.now();
+    ttsCacheStats.hits += 1;
+    return `${getPublicHost()}/audio/${filename}`;
+  } catch (e) {
+    console.error("⚠️ TTS cache read fail:", e?.message || e);
+    ttsCacheStats.misses += 1;
+    return null;
+  }
+}
+
+// trả lại audio_url để dùng inline: return ttsCachePut(text, provider, opts, await synth())
+function ttsCachePut(text, provider, opts, audio_url) {
+  if (!ttsCacheCacheable(text)) return audio_url;
+  const localPath = resolveLocalAudioPath(audio_url);
+  if (!localPath) return audio_url;
+
+  try {
+    const key = ttsCacheKey(text, provider, opts);
+    fs.copyFileSync(localPath, ttsCachePath(key));
+    const size = fs.statSync(ttsCachePath(key)).size;
+    ttsCacheIndex.set(key, { size, createdAt: Date.now(), lastUsed: Date.now() });
+    ttsCacheStats.writes += 1;
+    ttsCacheEnforceLimits();
+  } catch (e) {
+    console.error("⚠️ TTS cache write fail:", e?.message || e);
+  }
+  return audio_url;
+}
+
+function ttsCacheEvict(key) {
+  ttsCacheIndex.delete(key);
+  safeUnlink(ttsCachePath(key));
+  ttsCacheStats.evictions += 1;
+}
+
+function ttsCacheTotalBytes() {
+  let total = 0;
+  for (const e of ttsCacheIndex.values()) total += e.size || 0;
+  return total;
+}
+
+function ttsCacheEnforceLimits() {
+  const now = Date.now();
+  for (const [key, e] of ttsCacheIndex.entries()) {
+    if (now - e.createdAt > TTS_CACHE_MAX_AGE_MS) ttsCacheEvict(key);
+  }
+
+  let total = ttsCacheTotalBytes();
+  if (total <= TTS_CACHE_MAX_BYTES) return;
+
+  const lru = Array.from(ttsCacheIndex.entries()).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+  for (const [key, e] of lru) {
+    if (total <= TTS_CACHE_MAX_BYTES) break;
+    ttsCacheEvict(key);
+    total -= e.size || 0;
+  }
+}
+
+async function prewarmTtsCache(phrases = TTS_CACHE_PREWARM_PHRASES) {
+  if (!TTS_CACHE_ENABLED || !TTS_CACHE_PREWARM) return;
+  const first = ttsProviderOrder()[0];
+  let warmed = 0;
+  for (const phrase of phrases) {
+    if (first && ttsCacheIndex.has(ttsCacheKey(phrase, first, ttsProviderOptions(first, {}, phrase)))) continue;
+    try {
+      // textToSpeechMp3Pi tự ghi cache; file copy trả về thì bỏ
+      const url = await textToSpeechMp3Pi(phrase, "prewarm");
+      safeUnlink(resolveLocalAudioPath(url));
+      warmed += 1;
+    } catch (e) {
+      console.error("⚠️ TTS prewarm fail:", phrase.slice(0, 60), e?.message || e);
+    }
+  }
+  console.log("🔥 TTS cache prewarm:", { warmed, total: phrases.length, entries: ttsCacheIndex.size });
+}
+
+setInterval(() => ttsCacheEnforceLimits(), 60 * 60 * 1000);
+
+app.get("/tts/cache", (req, res) => {
+  return res.json({
+    ok: true,
+    enabled: TTS_CACHE_ENABLED,
+    entries: ttsCacheIndex.size,
+    bytes: ttsCacheTotalBytes(),
+    max_bytes: TTS_CACHE_MAX_BYTES,
+    max_age_ms: TTS_CACHE_MAX_AGE_MS,
+    ...ttsCacheStats,
+  });
+});
+
+/* ===========================================================================  
+   ✅ STREAMING TTS (/tts/stream/:id)
+   - reply dài được cắt theo câu (chunkTextSmart), mỗi đoạn pipe MP3 ngay khi
+     voice server / OpenAI trả byte đầu tiên -> Pi phát sớm, không chờ cả file
+   - cùng provider chain như textToSpeechMp3Pi (Eleven -> OpenAI -> ...),
+     provider không stream được thì tổng hợp ra file rồi pipe file
+===========================================================================*/
+const ttsStreams = new Map();
+const TTS_STREAM_TTL_MS = Number(process.env.TTS_STREAM_TTL_MS || 10 * 60 * 1000);
+const TTS_STREAM_CHUNK_CHARS = Number(process.env.TTS_STREAM_CHUNK_CHARS || 240);
+// provider đã trả header nhưng body đứng yên quá lâu -> huỷ đoạn (không để /tts/stream treo mãi)
+const TTS_STREAM_IDLE_MS = Number(process.env.TTS_STREAM_IDLE_MS || 15000);
+// bật mặc định streaming cho reply GPT (Pi vẫn có thể xin ?stream=1 từng request)
+const TTS_STREAM_REPLIES = String(process.env.TTS_STREAM_REPLIES || "0") === "1";
+
+function createTtsStream(text = "", voiceOpts = {}) {
+  const safeText = (text || "").trim() || "Dạ.";
+  const id = `tts_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+  ttsStreams.set(id, {
+    id,
+    text: safeText,
+    chunks: chunkTextSmart(safeText, TTS_STREAM_CHUNK_CHARS),
+    voiceOpts,
+    createdAt: Date.now(),
+  });
+  return { id, stream_url: `${getPublicHost()}/tts/stream/${id}` };
+}
+
+function getTtsStream(id) {
+  const s = ttsStreams.get(id);
+  if (!s) return null;
+  if (Date.now() - s.createdAt > TTS_STREAM_TTL_MS) {
+    ttsStreams.delete(id);
+    return null;
+  }
+  return s;
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, s] of ttsStreams.entries()) {
+    if (!s?.createdAt || now - s.createdAt > TTS_STREAM_TTL_MS) ttsStreams.delete(id);
+  }
+}, 5 * 60 * 1000);
+
+async function writeWithBackpressure(res, chunk) {
+  if (!res.write(chunk)) await once(res, "drain");
+}
+
+// chỉ đếm lúc chờ byte từ provider (lúc chờ Pi đọc / backpressure không tính là treo)
+async function* idleGuardedBody(body, idleMs, onStall) {
+  let timer = setTimeout(onStall, idleMs);
   try {
-    return await voiceServerToMp3WithTimeout(safeText, `${prefix}_eleven`, VOICE_TIMEOUT_LONG_MS);
-  } catch (e) {
-    console.error("⚠️ LONG voice server fail -> fallback OpenAI:", e?.message || e);
-    return await openaiTtsToMp3(safeText, `${prefix}_openai`);
+    for await (const chunk of body) {
+      clearTimeout(timer);
+      yield chunk;
+      timer = setTimeout(onStall, idleMs);
+    }
+  } finally {
+    clearTimeout(timer);
   }
 }
 
+async function pipeBodyToResponse(body, res, state) {
+  for await (const chunk of body) {
+    if (state.closed) break;
+    state.bytes += chunk.length;
+    await writeWithBackpressure(res, chunk);
+  }
+}
+
+// WAV stream -> ffmpeg (stdin/stdout) -> MP3 stream
+async function pipeWavAsMp3(body, res, state) {
+  const p = spawn(ffmpegPath, ["-hide_banner", "-loglevel", "error", "-i", "pipe:0", "-f", "mp3", "-b:a", "128k", "pipe:1"], {
+    stdio: ["pipe", "pipe", "pipe"],
+  });
+  state.child = p;
+
+  let err = "";
+  p.stderr.on("data", (d) => (err += d.toString()));
+  p.stdin.on("error", () => { });
+
+  const feeding = (async () => {
+    try {
+      for await (const chunk of body) {
+        if (state.closed) break;
+        if (!p.stdin.write(chunk)) await once(p.stdin, "drain");
+      }
+    } finally {
+      p.stdin.end();
+    }
+  })();
+  feeding.catch(() => { }); // lỗi body (abort / treo) ném lại ở `await feeding` bên dưới
+
+  const closed = new Promise((resolve) => p.on("close", resolve));
+  await pipeBodyToResponse(p.stdout, res, state);
+  await feeding;
+  const code = await closed;
+  state.child = null;
+  if (code !== 0 && !state.closed) throw new Error(`ffmpeg stream exit ${code}: ${err.slice(0, 200)}`);
+}
+
+// timeoutMs: chờ header; sau đó body phải có byte mới trong TTS_STREAM_IDLE_MS (cả nhánh pipe MP3 lẫn WAV -> ffmpeg)
+async function streamVoiceServerChunk(text, res, state, { timeoutMs = VOICE_TIMEOUT_MS, ...opts } = {}) {
+  const controller = new AbortController();
+  state.abort = () => controller.abort();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let resp;
+  try {
+    resp = await fetch(VOICE_SERVER_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text, ...buildVoicePayload(opts) }),
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!resp.ok) {
+    const errText = await resp.text().catch(() => "");
+    throw new Error(`VOICE_SERVER ${resp.status}: ${errText.slice(0, 400)}`);
+  }
+
+  let stalled = false;
+  const body = idleGuardedBody(resp.body, TTS_STREAM_IDLE_MS, () => {
+    stalled = true;
+    controller.abort();
+    try { state.child?.kill("SIGKILL"); } catch { }
+  });
+  const ct = (resp.headers.get("content-type") || "").toLowerCase();
+  try {
+    if (ct.includes("audio/mpeg") || ct.includes("audio/mp3")) return await pipeBodyToResponse(body, res, state);
+    return await pipeWavAsMp3(body, res, state);
+  } catch (e) {
+    if (stalled) throw new Error(`VOICE_SERVER body stalled > ${TTS_STREAM_IDLE_MS}ms`);
+    throw e;
+  }
+}
+
+async function streamOpenaiChunk(text, res, state, opts = {}) {
+  const controller = new AbortController();
+  state.abort = () => controller.abort();
+  const speech = await openai.audio.speech.create(buildOpenaiSpeechParams(text, opts), {
+    signal: controller.signal,
+    timeout: opts.timeoutMs,
+  });
+  await pipeBodyToResponse(idleGuardedBody(speech.body, TTS_STREAM_IDLE_MS, () => controller.abort()), res, state);
+}
+
+async function pipeSynthesizedFile(p, text, res, state, opts) {
+  const audio_url = await p.synthesize(text, { ...opts, prefix: `stream_${p.name}` });
+  const localPath = resolveLocalAudioPath(audio_url);
+  if (!localPath) throw new Error(`${p.name}: synthesized file missing`);
+  try {
+    await pipeBodyToResponse(fs.createReadStream(localPath), res, state);
+  } finally {
+    safeUnlink(localPath);
+  }
+}
+
+// fallback sang provider sau chỉ khi provider trước fail TRƯỚC byte đầu tiên của đoạn
+// (đã phát được 1 phần thì không ghép lại được)
+async function streamTtsChunk(text, res, state, voiceOpts = {}) {
+  let lastErr = null;
+
+  for (const p of ttsProviderOrder()) {
+    const o = ttsProviderOptions(p, voiceOpts, text);
+    const before = state.bytes;
+    const t0 = Date.now();
+    try {
+      if (p.stream) await p.stream(text, res, state, o);
+      else await pipeSynthesizedFile(p, text, res, state, o);
+      recordTtsResult(p, true, null, Date.now() - t0);
+      return p.name;
+    } catch (e) {
+      if (state.closed) throw e;
+      recordTtsResult(p, false, e, Date.now() - t0);
+      if (state.bytes > before) {
+        console.error(`⚠️ TTS stream: ${p.name} broke mid-chunk:`, e?.message || e);
+        return `${p.name}_partial`;
+      }
+      console.error(`⚠️ TTS stream: ${p.name} timeout/fail -> next provider:`, e?.message || e);
+      lastErr = e;
+    }
+  }
+
+  throw lastErr || new Error("No TTS provider available");
+}
+
+app.post("/tts/stream", (req, res) => {
+  const text = (req.body?.text || "").toString();
+  if (!text.trim()) return res.status(400).json({ ok: false, error: "Missing text" });
+  const { id, stream_url } = createTtsStream(text, parseVoiceOptions(req.body));
+  return res.json({ ok: true, id, stream_url, chunks: getTtsStream(id)?.chunks.length || 0 });
+});
+
+app.get("/tts/stream/:id", async (req, res) => {
+  const s = getTtsStream(req.params.id);
+  if (!s) return res.status(404).json({ ok: false, error: "TTS stream not found/expired" });
+
+  const state = { bytes: 0, closed: false, abort: null, child: null };
+  res.on("close", () => {
+    if (res.writableFinished) return;
+    state.closed = true;
+    try { state.abort?.(); } catch { }
+    try { state.child?.kill("SIGKILL"); } catch { }
+  });
+
+  res.setHeader("Content-Type", "audio/mpeg");
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("X-Tts-Chunks", String(s.chunks.length));
+  res.flushHeaders();
+
+  const t0 = Date.now();
+  const providers = [];
+  try {
+    for (const chunk of s.chunks) {
+      if (state.closed) break;
+      providers.push(await streamTtsChunk(chunk, res, state, s.voiceOpts));
+    }
+    console.log("🔊 TTS_STREAM done:", { id: s.id, chunks: s.chunks.length, bytes: state.bytes, providers, ms: Date.now() - t0 });
+  } catch (e) {
+    console.error("❌ TTS_STREAM error:", { id: s.id, error: e?.message || String(e), bytes: state.bytes });
+  } finally {
+    if (!state.closed) res.end();
+  }
+});
+
 /* ===========================================================================  
    CONCAT mp3 helpers
 ===========================================================================*/
@@ -506,69 +1282,486 @@ async function concatMp3LocalToPublicUrl(mp3APath, mp3BPath, prefix = "music_fin
       .save(outPath);
   });
 
-  return `${getPublicHost()}/audio/${path.basename(outPath)}`;
-}
-
-/* ===========================================================================  
-   ✅ Podcast session store (transcript -> chunks)
-===========================================================================*/
-const podcastSessions = new Map();
-const PODCAST_TTL_MS = Number(process.env.PODCAST_TTL_MS || 60 * 60 * 1000);
-const PODCAST_MAX_CHUNKS = Number(process.env.PODCAST_MAX_CHUNKS || 240);
-
-function newPodcastId() {
-  return `pod_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+  return trackAudioFile(`${getPublicHost()}/audio/${path.basename(outPath)}`, { purpose: "music" });
 }
 
-function chunkTextSmart(text = "", maxChars = 520) {
-  const t = (text || "").replace(/\s+/g, " ").trim();
-  if (!t) return [];
-
-  const parts = t.split(/(?<=[\.\!\?\。\！\？])\s+/g);
-  const chunks = [];
-  let cur = "";
-
-  for (const p of parts) {
-    const s = (p || "").trim();
-    if (!s) continue;
-
-    if ((cur + " " + s).trim().length <= maxChars) {
-      cur = (cur + " " + s).trim();
-      continue;
-    }
-
-    if (cur) chunks.push(cur);
-    cur = "";
-
-    if (s.length <= maxChars) {
-      cur = s;
-    } else {
-      for (let i = 0; i < s.length; i += maxChars) {
-        chunks.push(s.slice(i, i + maxChars).trim());
-      }
-    }
-  }
-
+/* ===========================================================================  
+   ✅ AUDIO JANITOR (public/audio lifecycle + disk quota)
+   - mỗi file trong audioDir có { owner, purpose } (track lúc tạo / suy ra từ tên)
+   - hết TTL theo purpose -> xoá; tổng size > AUDIO_QUOTA_BYTES -> xoá LRU
+   - KHÔNG xoá file đang được chat answer / podcast session còn sống tham chiếu
+   - chỉ quét file trực tiếp trong audioDir; TTS cache ở TTS_CACHE_DIR tự quản lý riêng (TTS CACHE)
+   - GET /audio_janitor, POST /audio_janitor/sweep cần JANITOR_TOKEN (Bearer hoặc ?token=); chưa cấu hình -> chỉ localhost
+===========================================================================*/
+const JANITOR_TOKEN = process.env.JANITOR_TOKEN || "";
+const AUDIO_JANITOR_INTERVAL_MS = Number(process.env.AUDIO_JANITOR_INTERVAL_MS || 5 * 60 * 1000);
+const AUDIO_QUOTA_BYTES = Number(process.env.AUDIO_QUOTA_BYTES || 1024 * 1024 * 1024);
+const AUDIO_MIN_AGE_MS = Number(process.env.AUDIO_MIN_AGE_MS || 2 * 60 * 1000);
+const AUDIO_TTL_MS = {
+  tts: Number(process.env.AUDIO_TTL_TTS_MS || 2 * 60 * 60 * 1000),
+  music: Number(process.env.AUDIO_TTL_MUSIC_MS || 3 * 60 * 60 * 1000),
+  podcast: Number(process.env.AUDIO_TTL_PODCAST_MS || 2 * 60 * 60 * 1000),
+  tmp: Number(process.env.AUDIO_TTL_TMP_MS || 30 * 60 * 1000),
+};
+
+const audioFiles = new Map(); // filename -> { owner, purpose, size, createdAt, lastUsed }
+const audioJanitorStats = {
+  sweeps: 0,
+  expired: 0,
+  evicted: 0,
+  bytesFreed: 0,
+  protectedSkips: 0,
+  lastSweepAt: null,
+  lastSweepMs: null,
+};
+
+function inferAudioFile(filename) {
+  const podcast = filename.match(/pod_\d+_[0-9a-f]+/);
+  if (!filename.endsWith(".mp3") || filename.startsWith("cap_")) return { purpose: "tmp", owner: null };
+  if (podcast) return { purpose: "podcast", owner: podcast[0] };
+  if (/^(music_final|yt_|itunes_|local_)/.test(filename)) return { purpose: "music", owner: null };
+  return { purpose: "tts", owner: null };
+}
+
+// nhận audio_url hoặc local path; trả lại input để dùng inline như ttsCachePut
+function trackAudioFile(ref, { owner = null, purpose = "" } = {}) {
+  const localPath = resolveLocalAudioPath(ref) || (ref && path.isAbsolute(String(ref)) ? ref : null);
+  if (!localPath || path.dirname(localPath) !== audioDir) return ref;
+
+  const filename = path.basename(localPath);
+  const inferred = inferAudioFile(filename);
+  const prev = audioFiles.get(filename);
+  let size = prev?.size || 0;
+  try { size = fs.statSync(localPath).size; } catch { }
+
+  audioFiles.set(filename, {
+    owner: owner || prev?.owner || inferred.owner,
+    purpose: purpose || prev?.purpose || inferred.purpose,
+    size,
+    createdAt: prev?.createdAt || Date.now(),
+    lastUsed: Date.now(),
+  });
+  return ref;
+}
+
+function touchAudioFile(filename) {
+  const e = audioFiles.get(path.basename(filename || ""));
+  if (e) e.lastUsed = Date.now();
+}
+
+function collectAudioRefs(value, out, depth = 0) {
+  if (!value || depth > 4) return out;
+  if (typeof value === "string") {
+    const p = resolveLocalAudioPath(value);
+    if (p) out.add(path.basename(p));
+  } else if (typeof value === "object") {
+    for (const v of Object.values(value)) collectAudioRefs(v, out, depth + 1);
+  }
+  return out;
+}
+
+// file được tham chiếu bởi chat answer / podcast session còn sống
+function liveAudioRefs() {
+  const names = new Set();
+  const now = Date.now();
+  for (const rec of chatAnswers.values()) {
+    if (now - (rec.createdAt || 0) > CHAT_ANSWER_TTL_MS) continue;
+    collectAudioRefs(rec.result, names);
+    if (rec.audio_path) names.add(path.basename(rec.audio_path));
+  }
+  for (const mq of musicQueues.values()) {
+    collectAudioRefs(mq.prepared, names);
+    collectAudioRefs(mq.current, names);
+  }
+  const podcastIds = [];
+  for (const s of podcastSessions.values()) {
+    if (now - (s.createdAt || 0) <= PODCAST_TTL_MS) podcastIds.push(s.id);
+  }
+  return { names, podcastIds };
+}
+
+function isAudioProtected(filename, entry, refs) {
+  if (refs.names.has(filename)) return true;
+  if (entry.owner && refs.podcastIds.includes(entry.owner)) return true;
+  return refs.podcastIds.some((id) => filename.includes(id));
+}
+
+function deleteAudioFile(filename, entry, reason) {
+  safeUnlink(path.join(audioDir, filename));
+  audioFiles.delete(filename);
+  audioJanitorStats[reason] += 1;
+  audioJanitorStats.bytesFreed += entry.size || 0;
+}
+
+function sweepAudioFiles() {
+  const t0 = Date.now();
+  let names = [];
+  try {
+    names = fs.readdirSync(audioDir, { withFileTypes: true }).filter((d) => d.isFile()).map((d) => d.name);
+  } catch (e) {
+    console.error("⚠️ audio janitor readdir fail:", e?.message || e);
+    return null;
+  }
+
+  // đồng bộ index với disk (file cũ từ lần chạy trước / file không được track)
+  const onDisk = new Set(names);
+  for (const name of audioFiles.keys()) if (!onDisk.has(name)) audioFiles.delete(name);
+  for (const name of names) {
+    try {
+      const st = fs.statSync(path.join(audioDir, name));
+      const e = audioFiles.get(name);
+      if (e) e.size = st.size;
+      else audioFiles.set(name, { ...inferAudioFile(name), size: st.size, createdAt: st.mtimeMs, lastUsed: st.mtimeMs });
+    } catch { }
+  }
+
+  const refs = liveAudioRefs();
+  const now = Date.now();
+  const before = { expired: audioJanitorStats.expired, evicted: audioJanitorStats.evicted };
+
+  for (const [name, e] of audioFiles.entries()) {
+    const ttl = AUDIO_TTL_MS[e.purpose] ?? AUDIO_TTL_MS.tts;
+    if (now - e.createdAt <= ttl || now - e.lastUsed < AUDIO_MIN_AGE_MS) continue;
+    if (isAudioProtected(name, e, refs)) {
+      audioJanitorStats.protectedSkips += 1;
+      continue;
+    }
+    deleteAudioFile(name, e, "expired");
+  }
+
+  let total = audioTotalBytes();
+  if (total > AUDIO_QUOTA_BYTES) {
+    const lru = Array.from(audioFiles.entries()).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [name, e] of lru) {
+      if (total <= AUDIO_QUOTA_BYTES) break;
+      if (now - e.lastUsed < AUDIO_MIN_AGE_MS) continue;
+      if (isAudioProtected(name, e, refs)) {
+        audioJanitorStats.protectedSkips += 1;
+        continue;
+      }
+      deleteAudioFile(name, e, "evicted");
+      total -= e.size || 0;
+    }
+    if (total > AUDIO_QUOTA_BYTES) console.warn("⚠️ audio janitor: still over quota (protected/young files)", { total, quota: AUDIO_QUOTA_BYTES });
+  }
+
+  audioJanitorStats.sweeps += 1;
+  audioJanitorStats.lastSweepAt = now;
+  audioJanitorStats.lastSweepMs = Date.now() - t0;
+
+  const expired = audioJanitorStats.expired - before.expired;
+  const evicted = audioJanitorStats.evicted - before.evicted;
+  if (expired || evicted) console.log("🧹 audio janitor:", { expired, evicted, files: audioFiles.size, bytes: total });
+  return { expired, evicted };
+}
+
+function audioTotalBytes() {
+  let total = 0;
+  for (const e of audioFiles.values()) total += e.size || 0;
+  return total;
+}
+
+setInterval(() => sweepAudioFiles(), AUDIO_JANITOR_INTERVAL_MS);
+
+function audioJanitorReport() {
+  const byPurpose = {};
+  for (const e of audioFiles.values()) {
+    const b = (byPurpose[e.purpose] ||= { files: 0, bytes: 0 });
+    b.files += 1;
+    b.bytes += e.size || 0;
+  }
+  return {
+    files: audioFiles.size,
+    bytes: audioTotalBytes(),
+    quota_bytes: AUDIO_QUOTA_BYTES,
+    ttl_ms: AUDIO_TTL_MS,
+    by_purpose: byPurpose,
+    ...audioJanitorStats,
+  };
+}
+
+function requireJanitorAuth(req, res, next) {
+  if (tokenAuthorized(req, JANITOR_TOKEN)) return next();
+  return res.status(401).json({ ok: false, error: "unauthorized" });
+}
+
+app.get("/audio_janitor", requireJanitorAuth, (req, res) => {
+  return res.json({ ok: true, ...audioJanitorReport() });
+});
+
+app.post("/audio_janitor/sweep", requireJanitorAuth, (req, res) => {
+  const result = sweepAudioFiles();
+  if (!result) return res.status(500).json({ ok: false, error: "sweep_failed" });
+  return res.json({ ok: true, swept: result, ...audioJanitorReport() });
+});
+
+/* ===========================================================================  
+   ✅ STATE STORE (jobs / chat answers / podcast sessions)
+   - STATE_STORE=memory (mặc định) | file (JSON trong STATE_STORE_DIR, sống qua redeploy)
+   - API giống Map: get / set / has / delete / entries / values / keys / size
+   - file backend: ghi debounce (tmp + rename), flush đồng bộ khi SIGTERM/SIGINT
+   - object sửa tại chỗ phải set() lại để được ghi xuống file
+===========================================================================*/
+const STATE_STORE = (process.env.STATE_STORE || "memory").toLowerCase();
+const STATE_STORE_DIR = process.env.STATE_STORE_DIR || path.join(__dirname, "data");
+const STATE_STORE_FLUSH_MS = Number(process.env.STATE_STORE_FLUSH_MS || 500);
+
+const stateStores = new Map();
+
+function createMemoryStore(name) {
+  const map = new Map();
+  return {
+    name,
+    backend: "memory",
+    get: (k) => map.get(k),
+    has: (k) => map.has(k),
+    set(k, v) {
+      map.set(k, v);
+      return this;
+    },
+    delete: (k) => map.delete(k),
+    entries: () => map.entries(),
+    values: () => map.values(),
+    keys: () => map.keys(),
+    get size() { return map.size; },
+    flush() { },
+  };
+}
+
+function createFileStore(name) {
+  const store = createMemoryStore(name);
+  const file = path.join(STATE_STORE_DIR, `${name}.json`);
+  const { set, delete: del } = store;
+  let timer = null;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const [k, v] of Object.entries(raw || {})) set.call(store, k, v);
+    console.log(`💾 state store ${name}: loaded ${store.size} from ${file}`);
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error(`⚠️ state store ${name} load fail:`, e?.message || e);
+  }
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      fs.mkdirSync(STATE_STORE_DIR, { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(store.entries())));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error(`⚠️ state store ${name} flush fail:`, e?.message || e);
+    }
+  };
+  const schedule = () => {
+    if (!timer) timer = setTimeout(flush, STATE_STORE_FLUSH_MS);
+  };
+
+  return Object.assign(store, {
+    backend: "file",
+    set(k, v) {
+      set.call(store, k, v);
+      schedule();
+      return store;
+    },
+    delete(k) {
+      const removed = del(k);
+      if (removed) schedule();
+      return removed;
+    },
+    flush,
+  });
+}
+
+function createStateStore(name) {
+  const store = STATE_STORE === "file" ? createFileStore(name) : createMemoryStore(name);
+  stateStores.set(name, store);
+  return store;
+}
+
+function flushStateStores() {
+  for (const s of stateStores.values()) s.flush();
+}
+
+for (const sig of ["SIGTERM", "SIGINT"]) {
+  process.on(sig, () => {
+    console.log(`🛑 ${sig} -> flush state stores`);
+    flushStateStores();
+    process.exit(0);
+  });
+}
+
+/* ===========================================================================  
+   ✅ Podcast session store (transcript -> chunks)
+   - session tạo ngay khi window chấm câu đầu tiên xong (complete=false)
+   - appendPodcastText() nối các window sau (job podcast_punctuate); câu dở dang cuối window giữ lại (pendingTail)
+   - s.times[i] = { start, end } giây trong video của đoạn i (null nếu transcript không có mốc)
+===========================================================================*/
+const podcastSessions = createStateStore("podcast_sessions");
+const PODCAST_TTL_MS = Number(process.env.PODCAST_TTL_MS || 60 * 60 * 1000);
+const PODCAST_MAX_CHUNKS = Number(process.env.PODCAST_MAX_CHUNKS || 240);
+const PODCAST_CHUNK_CHARS = 520;
+// session chỉ giữ PODCAST_MAX_CHUNKS đoạn -> chấm câu / dịch quá số này là phí GPT
+const PODCAST_MAX_CHARS = PODCAST_MAX_CHUNKS * PODCAST_CHUNK_CHARS;
+const PODCAST_WAIT_CHUNK_MS = Number(process.env.PODCAST_WAIT_CHUNK_MS || 15000);
+const podcastChunkWaiters = new Map(); // podcast_id -> Set<fn>
+
+function newPodcastId() {
+  return `pod_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+}
+
+function chunkTextSmart(text = "", maxChars = PODCAST_CHUNK_CHARS) {
+  const t = (text || "").replace(/\s+/g, " ").trim();
+  if (!t) return [];
+
+  const parts = t.split(/(?<=[\.\!\?\。\！\？])\s+/g);
+  const chunks = [];
+  let cur = "";
+
+  for (const p of parts) {
+    const s = (p || "").trim();
+    if (!s) continue;
+
+    if ((cur + " " + s).trim().length <= maxChars) {
+      cur = (cur + " " + s).trim();
+      continue;
+    }
+
+    if (cur) chunks.push(cur);
+    cur = "";
+
+    if (s.length <= maxChars) {
+      cur = s;
+    } else {
+      for (let i = 0; i < s.length; i += maxChars) {
+        chunks.push(s.slice(i, i + maxChars).trim());
+      }
+    }
+  }
+
   if (cur) chunks.push(cur);
   return chunks;
 }
 
-function createPodcastSession({ title = "", url = "", transcriptText = "" }) {
-  let chunks = chunkTextSmart(transcriptText, 520);
-  if (chunks.length > PODCAST_MAX_CHUNKS) chunks = chunks.slice(0, PODCAST_MAX_CHUNKS);
-
+function createPodcastSession({
+  title = "",
+  url = "",
+  transcriptText = "",
+  voice = {},
+  user = "",
+  complete = true,
+  mode = "full",
+  minutes = null,
+  sourceLang = null,
+  lang = null,
+  durationSec = null,
+  range = null,
+}) {
   const id = newPodcastId();
   podcastSessions.set(id, {
     id,
     title,
     url,
-    chunks,
+    durationSec,
+    chunks: [],
+    times: [],
+    pendingTail: "",
+    pendingTailRange: null,
+    complete: false,
+    mode,
+    minutes,
+    sourceLang,
+    lang,
     index: 0,
+    audio: {},
+    paused: false,
+    voice,
+    user: user || null,
     createdAt: Date.now(),
   });
+  appendPodcastText(id, transcriptText, { final: complete, range });
   return id;
 }
 
+// chia khoảng thời gian cho các đoạn theo tỉ lệ độ dài chữ
+function spreadTimeRange(chunks, span) {
+  if (!span) return chunks.map(() => null);
+  const total = chunks.reduce((n, c) => n + c.length + 1, 0) || 1;
+  const at = (pos) => Math.round((span.start + ((span.end - span.start) * pos) / total) * 10) / 10;
+  let pos = 0;
+  return chunks.map((c) => {
+    const start = at(pos);
+    pos += c.length + 1;
+    return { start, end: at(pos) };
+  });
+}
+
+function appendPodcastText(id, text = "", { final = false, range = null } = {}) {
+  const s = podcastSessions.get(id);
+  if (!s) return null;
+
+  const tailRange = s.pendingTail ? s.pendingTailRange : null;
+  const span = range || tailRange ? { start: (tailRange || range).start, end: (range || tailRange).end } : null;
+  const ready = chunkTextSmart(`${s.pendingTail || ""} ${text || ""}`);
+  const times = spreadTimeRange(ready, span);
+  let tail = "";
+  let nextTailRange = null;
+  // đoạn cuối chưa hết câu -> chờ window sau nối tiếp (trừ khi session chưa có đoạn nào)
+  const last = ready[ready.length - 1] || "";
+  if (!final && last && !/[\.\!\?\。\！\？]["')\]]*$/.test(last) && s.chunks.length + ready.length > 1) {
+    tail = ready.pop();
+    nextTailRange = times.pop();
+  }
+
+  const room = Math.max(0, PODCAST_MAX_CHUNKS - s.chunks.length);
+  s.chunks = s.chunks.concat(ready.slice(0, room));
+  s.times = (s.times || []).concat(times.slice(0, room));
+  s.pendingTail = room > ready.length ? tail : "";
+  s.pendingTailRange = s.pendingTail ? nextTailRange : null;
+  s.complete = final || s.chunks.length >= PODCAST_MAX_CHUNKS;
+  podcastSessions.set(id, s);
+
+  for (const fn of podcastChunkWaiters.get(id) || []) fn();
+  return s;
+}
+
+// chờ tới khi có đoạn index (hoặc session đã đủ / hết hạn); true nếu đoạn đã sẵn sàng
+function waitForPodcastChunk(id, index, timeoutMs = PODCAST_WAIT_CHUNK_MS) {
+  const ready = () => {
+    const s = getPodcastSession(id);
+    return !s || s.complete || index < s.chunks.length;
+  };
+  if (ready()) return Promise.resolve(index < (getPodcastSession(id)?.chunks.length || 0));
+
+  return new Promise((resolve) => {
+    const set = podcastChunkWaiters.get(id) || new Set();
+    podcastChunkWaiters.set(id, set);
+    const finish = () => {
+      clearTimeout(timer);
+      set.delete(check);
+      if (!set.size) podcastChunkWaiters.delete(id);
+      resolve(index < (getPodcastSession(id)?.chunks.length || 0));
+    };
+    const check = () => {
+      if (ready()) finish();
+    };
+    const timer = setTimeout(finish, timeoutMs);
+    set.add(check);
+  });
+}
+
+// job podcast_punctuate không resume khi restart -> chốt session với phần đã có
+function finalizeInterruptedPodcastSessions() {
+  let finalized = 0;
+  for (const s of Array.from(podcastSessions.values())) {
+    if (s.complete !== false) continue;
+    appendPodcastText(s.id, "", { final: true });
+    finalized += 1;
+  }
+  if (finalized) console.log("♻️ Interrupted podcast sessions on boot:", { finalized });
+}
+
 function getPodcastSession(id) {
   const s = podcastSessions.get(id);
   if (!s) return null;
@@ -590,9 +1783,86 @@ setInterval(() => {
 
 /* ===========================================================================  
    ✅ JOB QUEUE (avoid client timeout / disconnect)
+   - enqueueJob(type, payload) -> worker chạy theo priority (số nhỏ chạy trước) rồi FIFO
+   - giới hạn: JOB_MAX_CONCURRENCY tổng + JOB_<TYPE>_CONCURRENCY theo type
+   - mỗi attempt có timeout (JOB_<TYPE>_TIMEOUT_MS), fail -> retry backoff (JOB_<TYPE>_MAX_ATTEMPTS)
+   - DELETE /job?id= -> abort signal (fetch / OpenAI / yt-dlp child process)
+   - signal của attempt đi theo AsyncLocalStorage: run() / OpenAI / TTS tự dừng khi attempt bị abort,
+     không chạy tiếp ngầm sau khi attemptJob đã bỏ attempt
 ===========================================================================*/
-const jobs = new Map();
+const jobs = createStateStore("jobs");
 const JOB_TTL_MS = Number(process.env.JOB_TTL_MS || 60 * 60 * 1000);
+const JOB_RESUME_ON_BOOT = String(process.env.JOB_RESUME_ON_BOOT ?? "1") === "1";
+const JOB_RESUME_MAX = Number(process.env.JOB_RESUME_MAX || 1);
+const JOB_MAX_CONCURRENCY = Number(process.env.JOB_MAX_CONCURRENCY || 4);
+const JOB_RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS || 2000);
+const JOB_RETRY_MAX_MS = Number(process.env.JOB_RETRY_MAX_MS || 60 * 1000);
+const JOB_DEFAULTS = { concurrency: 2, priority: 5, timeoutMs: 10 * 60 * 1000, maxAttempts: 1, resumable: true, publishStatus: true };
+const JOB_FINAL_STATUSES = ["done", "error", "cancelled"];
+
+// type -> { fn: async (payload, { signal, job }) => result, defaults }
+// job có runner thì resume được khi boot lại
+const jobRunners = new Map();
+const runningJobs = new Map(); // id -> { controller, type, queued }
+const jobWaiters = new Map(); // id -> [{ resolve, reject }]
+const jobAttemptContext = new AsyncLocalStorage(); // { signal, jobId } của attempt đang chạy
+let jobPumpTimer = null;
+
+function currentJobSignal() {
+  return jobAttemptContext.getStore()?.signal || null;
+}
+
+// checkpoint giữa các bước dài: attempt đã timeout / bị cancel -> dừng luôn
+function throwIfJobAborted() {
+  const signal = currentJobSignal();
+  if (signal?.aborted) throw new Error(`job_${signal.reason}`);
+}
+
+function withJobSignal(init = {}) {
+  const signal = currentJobSignal();
+  if (!signal) return init;
+  return { ...init, signal: init.signal ? AbortSignal.any([init.signal, signal]) : signal };
+}
+
+function registerJobRunner(type, fn, defaults = {}) {
+  jobRunners.set(type, { fn, defaults });
+}
+
+function jobTypeConfig(type) {
+  const d = { ...JOB_DEFAULTS, ...(jobRunners.get(type)?.defaults || {}) };
+  const key = String(type || "").toUpperCase();
+  const num = (name, def) => Number(process.env[`JOB_${key}_${name}`] || def);
+  return {
+    concurrency: num("CONCURRENCY", d.concurrency),
+    priority: num("PRIORITY", d.priority),
+    timeoutMs: num("TIMEOUT_MS", d.timeoutMs),
+    maxAttempts: Math.max(1, num("MAX_ATTEMPTS", d.maxAttempts)),
+    resumable: d.resumable !== false,
+    publishStatus: d.publishStatus !== false,
+  };
+}
+
+// ${JOB_STATUS_PREFIX}/<job_id>: trạng thái mới nhất (retained) mỗi lần đổi status / progress
+function publishJobStatus(j, extra = {}) {
+  if (!j || !jobTypeConfig(j.type).publishStatus) return;
+  const payload = { ...summarizeJob(j), result: j.status === "done" ? j.result : undefined, ...extra };
+  emitEvent("job", payload, { robot: j.user, user: j.user });
+  if (!PIDOG_STATUS_MQTT) return;
+  mqttClient.publish(`${JOB_STATUS_PREFIX}/${j.id}`, JSON.stringify({ ...payload, ts: Date.now() }), {
+    qos: 1,
+    retain: true,
+  });
+}
+
+function clearJobStatus(id) {
+  if (!PIDOG_STATUS_MQTT) return;
+  mqttClient.publish(`${JOB_STATUS_PREFIX}/${id}`, "", { qos: 1, retain: true });
+}
+
+function reportJobProgress(id, stage, extra = {}) {
+  const j = id ? patchJob(id, { stage, progress: { stage, ...extra, at: Date.now() } }) : null;
+  if (j) publishJobStatus(j, { event: "progress" });
+}
 
 function newJobId() {
   return `job_${Date.now()}_${Math.random().toString(16).slice(2)}`;
@@ -600,23 +1870,31 @@ function newJobId() {
 
 function createJob(initial = {}) {
   const id = newJobId();
+  const cfg = jobTypeConfig(initial.type);
   jobs.set(id, {
     id,
     status: "queued",
+    priority: cfg.priority,
+    attempts: 0,
+    maxAttempts: cfg.maxAttempts,
+    timeoutMs: cfg.timeoutMs,
     createdAt: Date.now(),
     updatedAt: Date.now(),
     result: null,
     error: null,
     ...initial,
   });
+  publishJobStatus(jobs.get(id), { event: "status" });
   return id;
 }
 
 function patchJob(id, patch = {}) {
   const j = jobs.get(id);
   if (!j) return null;
+  const prevStatus = j.status;
   Object.assign(j, patch, { updatedAt: Date.now() });
   jobs.set(id, j);
+  if (j.status !== prevStatus) publishJobStatus(j, { event: "status" });
   return j;
 }
 
@@ -630,25 +1908,210 @@ function getJob(id) {
   return j;
 }
 
-async function runJob(id, fn) {
-  patchJob(id, { status: "running" });
+function enqueueJob(type, payload = {}, { meta = {}, priority = null } = {}) {
+  const id = createJob({ ...meta, type, payload, ...(priority !== null ? { priority } : {}) });
+  pumpJobs();
+  return id;
+}
+
+function settleJobWaiters(j) {
+  const waiters = jobWaiters.get(j.id) || [];
+  jobWaiters.delete(j.id);
+  for (const w of waiters) {
+    if (j.status === "done") w.resolve(j.result);
+    else w.reject(Object.assign(new Error(j.error || j.status), { code: j.status, job_id: j.id }));
+  }
+}
+
+function waitForJob(id) {
+  const j = jobs.get(id);
+  if (!j) return Promise.reject(new Error("Job not found/expired"));
+  return new Promise((resolve, reject) => {
+    if (!jobWaiters.has(id)) jobWaiters.set(id, []);
+    jobWaiters.get(id).push({ resolve, reject });
+    if (JOB_FINAL_STATUSES.includes(j.status)) settleJobWaiters(j);
+  });
+}
+
+function jobBackoffMs(attempt) {
+  return Math.min(JOB_RETRY_MAX_MS, JOB_RETRY_BASE_MS * 2 ** Math.max(0, attempt - 1));
+}
+
+// 1 attempt: abort khi timeout / cancel -> nhả slot ngay; fn chạy trong jobAttemptContext nên các bước bên trong cũng dừng
+async function attemptJob(j, fn, { queued = false, parentSignal = null } = {}) {
+  const controller = new AbortController();
+  let deadline = Date.now() + (j.timeoutMs || JOB_DEFAULTS.timeoutMs);
+  let timer = null;
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort("timeout"), Math.max(0, deadline - Date.now()));
+  };
+  const extendDeadline = (ms) => {
+    if (Date.now() + ms <= deadline) return;
+    deadline = Date.now() + ms;
+    arm();
+  };
+  runningJobs.set(j.id, { controller, type: j.type, queued, extendDeadline });
+  const onParentAbort = () => controller.abort("cancelled");
+  parentSignal?.addEventListener("abort", onParentAbort, { once: true });
+  arm();
+  const aborted = new Promise((_, reject) =>
+    controller.signal.addEventListener("abort", () => reject(new Error(`job_${controller.signal.reason}`)), { once: true })
+  );
+
+  patchJob(j.id, { status: "running", attempts: Number(j.attempts || 0) + 1, startedAt: Date.now(), runAfter: null });
   try {
-    const result = await fn();
-    patchJob(id, { status: "done", result, error: null });
-    return result;
+    const work = jobAttemptContext.run({ signal: controller.signal, jobId: j.id }, () => fn(controller.signal, j));
+    work.catch(() => { }); // attempt bị bỏ (timeout) -> lỗi abort của fn không thành unhandled rejection
+    const result = await Promise.race([work, aborted]);
+    return { ok: true, result };
   } catch (e) {
-    patchJob(id, { status: "error", error: e?.message || String(e) });
-    throw e;
+    return { ok: false, error: e, reason: controller.signal.aborted ? controller.signal.reason : "error" };
+  } finally {
+    clearTimeout(timer);
+    parentSignal?.removeEventListener("abort", onParentAbort);
+    runningJobs.delete(j.id);
+  }
+}
+
+// job cha chờ job con lâu hơn timeout của chính nó (vd. chat sync_wait chờ podcast) -> dời deadline attempt đang chạy
+function extendJobDeadline(id, ms) {
+  runningJobs.get(id)?.extendDeadline(ms);
+}
+
+function jobOutcomeError(j, outcome) {
+  if (outcome.reason === "timeout") return `timeout after ${j.timeoutMs}ms`;
+  return outcome.error?.message || String(outcome.error || outcome.reason);
+}
+
+function finishJob(j, outcome) {
+  if (j.status === "cancelled") return; // cancelJob đã chốt trạng thái + báo waiters
+  const patch = outcome.ok
+    ? { status: "done", result: outcome.result, error: null }
+    : { status: outcome.reason === "cancelled" ? "cancelled" : "error", error: jobOutcomeError(j, outcome) };
+  settleJobWaiters(patchJob(j.id, { ...patch, finishedAt: Date.now() }));
+}
+
+function canRetryJob(j, outcome) {
+  return !outcome.ok && j.status !== "cancelled" && outcome.reason !== "cancelled" && Number(j.attempts || 0) < Number(j.maxAttempts || 1);
+}
+
+async function startQueuedJob(j) {
+  const runner = jobRunners.get(j.type);
+  const outcome = runner
+    ? await attemptJob(j, (signal, job) => runner.fn(job.payload, { signal, job }), { queued: true })
+    : { ok: false, error: new Error(`No runner for job type ${j.type}`) };
+  const cur = jobs.get(j.id) || j;
+
+  if (canRetryJob(cur, outcome)) {
+    const wait = jobBackoffMs(cur.attempts);
+    const error = jobOutcomeError(cur, outcome);
+    console.warn("🔁 JOB_RETRY:", { job_id: j.id, type: j.type, attempt: cur.attempts, wait, error });
+    patchJob(j.id, { status: "queued", runAfter: Date.now() + wait, error });
+  } else {
+    finishJob(cur, outcome);
+  }
+  pumpJobs();
+}
+
+function pumpJobs() {
+  clearTimeout(jobPumpTimer);
+  jobPumpTimer = null;
+
+  const now = Date.now();
+  const running = Array.from(runningJobs.values()).filter((r) => r.queued);
+  const perType = {};
+  for (const r of running) perType[r.type] = (perType[r.type] || 0) + 1;
+
+  const queued = Array.from(jobs.values())
+    .filter((j) => j.status === "queued" && !runningJobs.has(j.id))
+    .sort((a, b) => (a.priority ?? 5) - (b.priority ?? 5) || a.createdAt - b.createdAt);
+
+  let slots = JOB_MAX_CONCURRENCY - running.length;
+  let wakeAt = Infinity;
+  for (const j of queued) {
+    if (slots <= 0) break;
+    if ((j.runAfter || 0) > now) {
+      wakeAt = Math.min(wakeAt, j.runAfter);
+      continue;
+    }
+    if ((perType[j.type] || 0) >= jobTypeConfig(j.type).concurrency) continue;
+    perType[j.type] = (perType[j.type] || 0) + 1;
+    slots -= 1;
+    startQueuedJob(j).catch((e) => console.error("❌ Job worker crash:", j.id, e?.message || e));
+  }
+
+  if (wakeAt < Infinity) jobPumpTimer = setTimeout(pumpJobs, Math.max(50, wakeAt - now));
+}
+
+// chạy job ngay trong request hiện tại (sync_wait=1): không chiếm slot queue, vẫn có timeout/retry/cancel
+async function runJob(id, fn, { parentSignal = null } = {}) {
+  for (; ;) {
+    const j = jobs.get(id);
+    const outcome = await attemptJob(j, fn, { parentSignal });
+    const cur = jobs.get(id);
+    if (cur.status === "cancelled") throw new Error("job_cancelled");
+    if (canRetryJob(cur, outcome)) {
+      await new Promise((r) => setTimeout(r, jobBackoffMs(cur.attempts)));
+      continue;
+    }
+    finishJob(cur, outcome);
+    if (outcome.ok) return outcome.result;
+    throw outcome.error;
   }
 }
 
+function cancelJob(id) {
+  const j = getJob(id);
+  if (!j) return null;
+  if (JOB_FINAL_STATUSES.includes(j.status)) return j;
+
+  const running = runningJobs.get(id);
+  const cur = patchJob(id, { status: "cancelled", error: "cancelled", finishedAt: Date.now() });
+  if (running) running.controller.abort("cancelled");
+  settleJobWaiters(cur);
+  pumpJobs();
+  return cur;
+}
+
+function summarizeJob(j) {
+  const { payload, result, ...rest } = j;
+  return { ...rest, has_result: result != null };
+}
+
 setInterval(() => {
   const now = Date.now();
   for (const [id, j] of jobs.entries()) {
-    if (!j?.createdAt || now - j.createdAt > JOB_TTL_MS) jobs.delete(id);
+    if (!j?.createdAt || now - j.createdAt > JOB_TTL_MS) {
+      jobs.delete(id);
+      if (jobTypeConfig(j?.type).publishStatus) clearJobStatus(id);
+    }
   }
 }, 20 * 60 * 1000);
 
+// job queued/running lúc process chết: xếp hàng lại nếu có runner + payload, không thì đánh dấu lỗi
+function resumeInterruptedJobs() {
+  let resumed = 0;
+  let failed = 0;
+  for (const j of Array.from(jobs.values())) {
+    if (j.status !== "queued" && j.status !== "running") continue;
+    const runner = jobRunners.get(j.type);
+    const resumes = Number(j.resumes || 0);
+    const resumable = !!runner && jobTypeConfig(j.type).resumable && !j.inline && !!j.payload;
+
+    if (!JOB_RESUME_ON_BOOT || !resumable || resumes >= JOB_RESUME_MAX) {
+      patchJob(j.id, { status: "error", error: "interrupted_by_restart" });
+      failed += 1;
+      continue;
+    }
+
+    patchJob(j.id, { status: "queued", resumes: resumes + 1, runAfter: null });
+    resumed += 1;
+  }
+  if (resumed || failed) console.log("♻️ Interrupted jobs on boot:", { resumed, failed });
+  pumpJobs();
+}
+
 app.get("/job", (req, res) => {
   const id = (req.query.id || "").toString().trim();
   if (!id) return res.status(400).json({ ok: false, error: "Missing ?id=" });
@@ -657,14 +2120,49 @@ app.get("/job", (req, res) => {
   return res.json({ ok: true, job: j });
 });
 
+app.delete("/job", (req, res) => {
+  const id = (req.query.id || req.body?.id || "").toString().trim();
+  if (!id) return res.status(400).json({ ok: false, error: "Missing ?id=" });
+  const j = cancelJob(id);
+  if (!j) return res.status(404).json({ ok: false, error: "Job not found/expired" });
+  return res.json({ ok: true, cancelled: j.status === "cancelled", job: summarizeJob(j) });
+});
+
+// GET /jobs?status=queued,running&type=yt_podcast&user=...&limit=50
+app.get("/jobs", (req, res) => {
+  const csv = (v) => (v || "").toString().split(",").map((s) => s.trim()).filter(Boolean);
+  const statuses = csv(req.query.status);
+  const types = csv(req.query.type);
+  const user = (req.query.user || "").toString().trim();
+  const limit = clamp(Number(req.query.limit || 50), 1, 500);
+
+  const list = Array.from(jobs.values())
+    .filter((j) => !statuses.length || statuses.includes(j.status))
+    .filter((j) => !types.length || types.includes(j.type))
+    .filter((j) => !user || j.user === user)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  const counts = {};
+  for (const j of jobs.values()) counts[j.status] = (counts[j.status] || 0) + 1;
+
+  return res.json({
+    ok: true,
+    total: list.length,
+    counts,
+    running: runningJobs.size,
+    max_concurrency: JOB_MAX_CONCURRENCY,
+    jobs: list.slice(0, limit).map(summarizeJob),
+  });
+});
+
 /* ===========================================================================  
    ✅ PIDOG chat answer store (MQTT request -> HTTP fetch)
 ===========================================================================*/
-const chatAnswers = new Map();
+const chatAnswers = createStateStore("chat_answers");
 const chatRequestsInFlight = new Set();
 const CHAT_ANSWER_TTL_MS = Number(process.env.CHAT_ANSWER_TTL_MS || 60 * 60 * 1000);
 
-function saveChatAnswer(id, { status = "processing", result = null, error = null } = {}) {
+function saveChatAnswer(id, { status = "processing", result = null, error = null, user = "" } = {}) {
   if (!id) return null;
   const now = Date.now();
   const prev = chatAnswers.get(id);
@@ -676,10 +2174,12 @@ function saveChatAnswer(id, { status = "processing", result = null, error = null
     result,
     error,
     audio_path: audio_path || prev?.audio_path || null,
+    user: user || prev?.user || null,
     createdAt: prev?.createdAt || now,
     updatedAt: now,
   };
   chatAnswers.set(id, record);
+  for (const name of collectAudioRefs(result, new Set())) trackAudioFile(`/audio/${name}`, { owner: id });
   return record;
 }
 
@@ -697,10 +2197,25 @@ function getChatAnswer(id) {
 setInterval(() => {
   const now = Date.now();
   for (const [id, rec] of chatAnswers.entries()) {
-    if (!rec?.createdAt || now - rec.createdAt > CHAT_ANSWER_TTL_MS) chatAnswers.delete(id);
+    if (!rec?.createdAt || now - rec.createdAt > CHAT_ANSWER_TTL_MS) {
+      chatAnswers.delete(id);
+      clearPidogChatStatus(id);
+    }
   }
 }, 30 * 60 * 1000);
 
+// answer đang "processing" khi restart sẽ không bao giờ xong -> báo lỗi để Pi ngừng poll
+function failInterruptedChatAnswers() {
+  let failed = 0;
+  for (const rec of Array.from(chatAnswers.values())) {
+    if (rec.status !== "processing") continue;
+    saveChatAnswer(rec.id, { status: "error", error: "interrupted_by_restart" });
+    publishPidogChatStatus(rec.id, "done", { ok: false, error: "interrupted_by_restart" });
+    failed += 1;
+  }
+  if (failed) console.log("♻️ Interrupted chat answers on boot:", { failed });
+}
+
 app.get("/getmyaudioanswer", (req, res) => {
   const id = (req.query.Id || req.query.id || "").toString().trim();
   if (!id) return res.status(400).json({ status: "error", error: "Missing Id" });
@@ -723,6 +2238,10 @@ app.get("/getmyaudioanswer", (req, res) => {
   }
 
   const audioPath = rec.audio_path || resolveLocalAudioPath(rec.result?.audio_url);
+  if (!audioPath && rec.result?.stream_url) {
+    clearPidogChatStatus(id);
+    return res.redirect(302, rec.result.stream_url);
+  }
   if (!audioPath) {
     clearPidogChatStatus(id);
     const payload = normalizePidogResponse({ id, status: "done", ok: true, result: rec.result });
@@ -759,11 +2278,17 @@ app.all("/pidog/chat/request", async (req, res) => {
     const finalText = cleaned || text || "";
     if (!finalText) return res.status(400).json({ ok: false, error: "empty_text" });
 
-    saveChatAnswer(id, { status: "processing" });
-    publishPidogChatStatus(id, "processing", { ok: true });
+    const user = (req.body?.user || req.body?.device || req.query.user || req.query.device || req.headers["x-device-id"] || "")
+      .toString()
+      .trim();
+    // không có user/device: key theo IP chỉ dùng định tuyến, không đọc / ghi memory (tránh gộp thiết bị sau NAT)
+    const userKey = user || `http_${getClientKey(req)}`;
 
-    const userKey = `http_${id.slice(0, 8)}`;
-    const result = await handlePidogChatText({ text: finalText, userKey, memoryArr: [], wantWait: true, requestId: id });
+    saveChatAnswer(id, { status: "processing", user: userKey });
+    publishPidogChatStatus(id, "processing", { ok: true });
+    const stream = String(req.query.stream || req.body?.stream || "") === "1" || req.body?.stream === true || TTS_STREAM_REPLIES;
+    const voice = parseVoiceOptions(req.body, req.query);
+    const result = await handlePidogChatText({ text: finalText, userKey, memoryArr: [], wantWait: true, requestId: id, transport: "http", stream, voice, memory: !!user });
     saveChatAnswer(id, { status: "done", result, error: null });
     publishPidogChatStatus(id, "done", { ok: true });
     logPidogStage(id, "done", { label: result?.label || "unknown", has_audio: !!result?.audio_url });
@@ -777,6 +2302,7 @@ app.all("/pidog/chat/request", async (req, res) => {
     }
 
     const audioPath = resolveLocalAudioPath(result?.audio_url);
+    if (!audioPath && result?.stream_url) return res.redirect(302, result.stream_url);
     if (!audioPath) {
       const payload = normalizePidogResponse({ id, status: "done", ok: true, result });
       payload.warning = "audio_file_missing";
@@ -823,40 +2349,219 @@ app.all("/pidog/chat/status", (req, res) => {
 });
 
 /* ===========================================================================  
-   ✅ /podcast_next
+   ✅ PODCAST PLAYBACK (/podcast_next, seek / prev / skip / pause / resume / status)
+   - audio đã tổng hợp cache trên session: s.audio[index] = audio_url
+   - sau mỗi lần phát: prefetch PODCAST_PREFETCH_AHEAD đoạn kế tiếp (tuần tự, nền)
+   - đoạn chưa chấm câu xong: chờ tối đa PODCAST_WAIT_CHUNK_MS rồi trả 202 { pending: true }
+   - /podcast_seek_time?t=10:00 | ?minute=10 -> nhảy tới đoạn chứa mốc thời gian video
 ===========================================================================*/
-app.get("/podcast_next", async (req, res) => {
-  try {
-    const id = (req.query.id || "").toString().trim();
-    if (!id) return res.status(400).json({ ok: false, error: "Missing ?id=" });
+const PODCAST_PREFETCH_AHEAD = Number(process.env.PODCAST_PREFETCH_AHEAD || 2);
+const podcastSynthInFlight = new Map(); // `${id}:${index}` -> Promise<audio_url>
 
-    const s = getPodcastSession(id);
-    if (!s) return res.status(404).json({ ok: false, error: "Podcast session not found/expired" });
+function getPodcastSessionFromReq(req, res) {
+  const id = (req.query.id || req.body?.id || "").toString().trim();
+  if (!id) {
+    res.status(400).json({ ok: false, error: "Missing ?id=" });
+    return null;
+  }
+  const s = getPodcastSession(id);
+  if (!s) {
+    res.status(404).json({ ok: false, error: "Podcast session not found/expired" });
+    return null;
+  }
+  return s;
+}
 
-    const nextIndex = Number(s.index || 0) + 1;
-    if (nextIndex >= s.chunks.length) {
-      podcastSessions.delete(id);
-      return res.json({ ok: true, id, done: true, index: nextIndex, total: s.chunks.length, audio_url: null });
+async function getPodcastChunkAudio(s, index) {
+  const cached = s.audio?.[index];
+  if (cached && resolveLocalAudioPath(cached)) return cached;
+
+  const key = `${s.id}:${index}`;
+  if (podcastSynthInFlight.has(key)) return await podcastSynthInFlight.get(key);
+
+  const p = textToSpeechMp3Long(s.chunks[index], `pod_${s.id}_${index}`, s.voice)
+    .then((audio_url) => {
+      const cur = podcastSessions.get(s.id);
+      if (cur) {
+        cur.audio = { ...(cur.audio || {}), [index]: audio_url };
+        podcastSessions.set(s.id, cur);
+      }
+      return audio_url;
+    })
+    .finally(() => podcastSynthInFlight.delete(key));
+  podcastSynthInFlight.set(key, p);
+  return await p;
+}
+
+// dừng khi session hết hạn / đã xong (podcast_next xoá session), đang pause (resume sẽ prefetch lại),
+// hoặc người nghe đã nhảy sang đoạn khác (lần phát mới tự prefetch từ vị trí mới)
+async function prefetchPodcastChunks(s, fromIndex) {
+  for (let i = fromIndex + 1; i <= fromIndex + PODCAST_PREFETCH_AHEAD; i++) {
+    const cur = getPodcastSession(s.id);
+    if (!cur || cur.paused || Number(cur.index || 0) !== fromIndex || i >= cur.chunks.length) return;
+    try {
+      await getPodcastChunkAudio(cur, i);
+    } catch (e) {
+      console.error("⚠️ podcast prefetch fail:", { id: s.id, index: i, error: e?.message || e });
+      return;
     }
+  }
+}
 
-    s.index = nextIndex;
-    const chunkText = s.chunks[nextIndex];
-    const audio_url = await textToSpeechMp3Long(chunkText, `pod_${id}_${nextIndex}`);
+function podcastStatus(s) {
+  return {
+    id: s.id,
+    title: s.title,
+    url: s.url,
+    index: s.index,
+    total: s.chunks.length,
+    complete: s.complete !== false,
+    mode: s.mode || "full",
+    minutes: s.minutes ?? null,
+    source_lang: s.sourceLang || null,
+    lang: s.lang || null,
+    position: s.times?.[s.index] || null,
+    duration_sec: s.durationSec ?? null,
+    paused: !!s.paused,
+    ready: Object.keys(s.audio || {}).map(Number).sort((a, b) => a - b),
+    prefetch_ahead: PODCAST_PREFETCH_AHEAD,
+  };
+}
 
-    return res.json({
-      ok: true,
-      id,
-      done: false,
-      index: nextIndex,
-      total: s.chunks.length,
-      audio_url,
-      title: s.title,
-    });
-  } catch (e) {
-    console.error("/podcast_next error:", e);
-    res.status(500).json({ ok: false, error: e?.message || "server error" });
+async function playPodcastIndex(s, index) {
+  if (index >= s.chunks.length && s.complete === false) {
+    const ready = await waitForPodcastChunk(s.id, index);
+    s = getPodcastSession(s.id);
+    if (!s) return { ok: false, status: 404, error: "Podcast session not found/expired" };
+    if (!ready) return { ok: true, status: 202, pending: true, ...podcastStatus(s), index };
   }
-});
+
+  s.index = index;
+  s.paused = false;
+  podcastSessions.set(s.id, s);
+
+  const audio_url = await getPodcastChunkAudio(s, index);
+  const position = s.times?.[index] || null;
+  emitEvent("podcast_chunk", { podcast_id: s.id, index, total: s.chunks.length, audio_url, title: s.title, position }, { robot: s.user, user: s.user });
+  prefetchPodcastChunks(s, index).catch(() => { });
+
+  return { ok: true, id: s.id, done: false, index, total: s.chunks.length, complete: s.complete !== false, audio_url, title: s.title, position };
+}
+
+function podcastIndexAtTime(s, sec) {
+  return (s.times || []).findIndex((r) => r && r.end > sec);
+}
+
+// mốc chưa chấm câu tới -> chờ thêm window (tổng tối đa PODCAST_WAIT_CHUNK_MS)
+async function seekPodcastTime(s, sec) {
+  if (!(s.times || []).some(Boolean)) {
+    return { ok: false, status: 409, error: "Podcast has no timestamps (summary mode / transcript without timing)" };
+  }
+
+  const deadline = Date.now() + PODCAST_WAIT_CHUNK_MS;
+  let index = podcastIndexAtTime(s, sec);
+  while (index < 0 && s.complete === false) {
+    const ready = await waitForPodcastChunk(s.id, s.chunks.length, Math.max(0, deadline - Date.now()));
+    s = getPodcastSession(s.id);
+    if (!s) return { ok: false, status: 404, error: "Podcast session not found/expired" };
+    if (!ready) return { ok: true, status: 202, pending: true, ...podcastStatus(s), seek_sec: sec };
+    index = podcastIndexAtTime(s, sec);
+  }
+
+  if (index < 0) {
+    const last = s.times.filter(Boolean).pop();
+    return { ok: false, status: 400, error: `t must be < ${last.end}s` };
+  }
+  return { ...(await playPodcastIndex(s, index)), seek_sec: sec };
+}
+
+// session podcast mới nhất còn hạn của user (cho lệnh giọng nói)
+function latestPodcastSessionForUser(userKey) {
+  let best = null;
+  for (const s of podcastSessions.values()) {
+    if ((s.user || null) !== (userKey || null) || !getPodcastSession(s.id)) continue;
+    if (!best || s.createdAt > best.createdAt) best = s;
+  }
+  return best;
+}
+
+function sendPodcastPlay(res, out) {
+  const { status = 200, ...body } = out;
+  return res.status(status).json(body);
+}
+
+function podcastRoute(handler) {
+  return async (req, res) => {
+    try {
+      const s = getPodcastSessionFromReq(req, res);
+      if (!s) return;
+      return await handler(s, req, res);
+    } catch (e) {
+      console.error(`${req.path} error:`, e);
+      res.status(500).json({ ok: false, error: e?.message || "server error" });
+    }
+  };
+}
+
+app.get("/podcast_next", podcastRoute(async (s, req, res) => {
+  const nextIndex = Number(s.index || 0) + 1;
+  if (nextIndex >= s.chunks.length && s.complete !== false) {
+    podcastSessions.delete(s.id);
+    return res.json({ ok: true, id: s.id, done: true, index: nextIndex, total: s.chunks.length, audio_url: null });
+  }
+  return sendPodcastPlay(res, await playPodcastIndex(s, nextIndex));
+}));
+
+// ?index=N (0-based; session chưa complete thì cho seek tới đoạn sắp có)
+app.get("/podcast_seek", podcastRoute(async (s, req, res) => {
+  const index = Number(req.query.index);
+  const max = s.complete === false ? PODCAST_MAX_CHUNKS - 1 : s.chunks.length - 1;
+  if (!Number.isInteger(index) || index < 0 || index > max) {
+    return res.status(400).json({ ok: false, error: `index must be 0..${max}` });
+  }
+  return sendPodcastPlay(res, await playPodcastIndex(s, index));
+}));
+
+// phát lại đoạn trước (đang ở đoạn 0 thì phát lại đoạn 0)
+app.get("/podcast_prev", podcastRoute(async (s, req, res) => {
+  return sendPodcastPlay(res, await playPodcastIndex(s, Math.max(0, Number(s.index || 0) - 1)));
+}));
+
+// ?n=3 (âm = lùi lại; chỉ nhảy trong các đoạn đã có)
+app.get("/podcast_skip", podcastRoute(async (s, req, res) => {
+  const n = Math.trunc(Number(req.query.n ?? 1)) || 1;
+  return sendPodcastPlay(res, await playPodcastIndex(s, clamp(Number(s.index || 0) + n, 0, s.chunks.length - 1)));
+}));
+
+// ?t=600 | ?t=10:00 | ?minute=10 (thời gian trong video gốc)
+app.get("/podcast_seek_time", podcastRoute(async (s, req, res) => {
+  const sec = req.query.minute != null ? Number(req.query.minute) * 60 : parseTimestampSec(req.query.t);
+  if (!Number.isFinite(sec) || sec < 0) {
+    return res.status(400).json({ ok: false, error: "Missing/invalid ?t= (seconds | mm:ss | hh:mm:ss) or ?minute=" });
+  }
+  return sendPodcastPlay(res, await seekPodcastTime(s, sec));
+}));
+
+app.get("/podcast_pause", podcastRoute(async (s, req, res) => {
+  s.paused = true;
+  podcastSessions.set(s.id, s);
+  publishRobotMusic({ label: "podcast", action: "pause", user: s.user, podcast: { podcast_id: s.id, index: s.index } });
+  return res.json({ ok: true, ...podcastStatus(s) });
+}));
+
+// trả lại audio của đoạn hiện tại để Pi phát tiếp
+app.get("/podcast_resume", podcastRoute(async (s, req, res) => {
+  const out = await playPodcastIndex(s, Number(s.index || 0));
+  // đoạn chưa sẵn sàng (202) / session hết hạn (404) -> không bảo robot phát
+  if (out.ok && out.audio_url) {
+    publishRobotMusic({ label: "podcast", action: "resume", audio_url: out.audio_url, user: s.user, podcast: { podcast_id: out.id, index: out.index } });
+  }
+  return sendPodcastPlay(res, out);
+}));
+
+app.get("/podcast_status", podcastRoute(async (s, req, res) => {
+  return res.json({ ok: true, ...podcastStatus(s) });
+}));
 
 /* ===========================================================================  
    YT: download mp3 local (short songs)
@@ -948,26 +2653,382 @@ async function downloadFromItunes(query, outDir) {
   safeUnlink(tmpM4a);
   return outMp3;
 }
+
+/* ===========================================================================  
+   ✅ LOCAL MUSIC LIBRARY + MUSIC SOURCE CHAIN
+   - MUSIC_LIBRARY_DIR: thư mục nhạc (quét đệ quy), đọc tag ID3 (v2.2 / 2.3 / 2.4 + v1)
+     không có tag -> đoán từ tên file "Ca sĩ - Tên bài.mp3"
+   - index tên bài / ca sĩ / album không dấu (stripDiacritics), sai 1 ký tự vẫn khớp
+   - MUSIC_SOURCES="local,youtube,itunes": thứ tự nguồn khi tìm bài + khi tải lỗi -> nguồn kế
+     (bỏ youtube,itunes -> robot chạy offline hoàn toàn)
+===========================================================================*/
+const MUSIC_LIBRARY_DIR = (process.env.MUSIC_LIBRARY_DIR || "").trim();
+const MUSIC_LIBRARY_EXTS = String(process.env.MUSIC_LIBRARY_EXTS || "mp3,m4a,flac,ogg,opus,wav")
+  .split(",")
+  .map((s) => `.${s.trim().toLowerCase().replace(/^\./, "")}`)
+  .filter((s) => s.length > 1);
+const MUSIC_LIBRARY_RESCAN_MS = Number(process.env.MUSIC_LIBRARY_RESCAN_MS || 10 * 60 * 1000);
+const MUSIC_LIBRARY_MIN_SCORE = Number(process.env.MUSIC_LIBRARY_MIN_SCORE || 0.6);
+const MUSIC_LIBRARY_MAX_FILES = Number(process.env.MUSIC_LIBRARY_MAX_FILES || 20000);
+const ID3_READ_BYTES = 256 * 1024;
+
+const MUSIC_SOURCE_NAMES = ["local", "youtube", "itunes"];
+const MUSIC_SOURCES = (() => {
+  const list = String(process.env.MUSIC_SOURCES || "local,youtube,itunes")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => MUSIC_SOURCE_NAMES.includes(s) && (s !== "local" || MUSIC_LIBRARY_DIR));
+  return list.length ? [...new Set(list)] : ["youtube", "itunes"];
+})();
+// [stage khi thử, stage khi lỗi] (giữ tên stage cũ yt_download / itunes_fallback)
+const MUSIC_SOURCE_STAGES = {
+  local: ["local_library", "local_library_failed"],
+  youtube: ["yt_download", "yt_download_failed"],
+  itunes: ["itunes_fallback", "itunes_failed"],
+};
+
+const musicLibrary = { tracks: [], byFile: new Map(), scannedAt: 0, scanning: null };
+
+/* ---------- ID3 ---------- */
+const ID3_FRAMES = { TIT2: "title", TT2: "title", TPE1: "artist", TP1: "artist", TALB: "album", TAL: "album" };
+
+function syncsafeInt(buf, at) {
+  return ((buf[at] & 0x7f) << 21) | ((buf[at + 1] & 0x7f) << 14) | ((buf[at + 2] & 0x7f) << 7) | (buf[at + 3] & 0x7f);
+}
+
+// byte đầu = encoding: 0 latin1, 1 UTF-16 (BOM), 2 UTF-16BE, 3 UTF-8
+function decodeId3Text(buf) {
+  const enc = buf[0];
+  let body = buf.subarray(1);
+  let s;
+  if (enc === 1 || enc === 2) {
+    let le = enc === 1;
+    if ((body[0] === 0xff && body[1] === 0xfe) || (body[0] === 0xfe && body[1] === 0xff)) {
+      le = body[0] === 0xff;
+      body = body.subarray(2);
+    }
+    body = Buffer.from(body.subarray(0, body.length - (body.length % 2)));
+    if (!le) body.swap16();
+    s = body.toString("utf16le");
+  } else {
+    s = body.toString(enc === 3 ? "utf8" : "latin1");
+  }
+  return s.split("\0")[0].trim(); // v2.4: nhiều giá trị cách nhau \0 -> lấy cái đầu
+}
+
+function parseId3v2(buf) {
+  if (buf.length < 10 || buf.toString("latin1", 0, 3) !== "ID3") return {};
+  const ver = buf[3];
+  const end = Math.min(buf.length, 10 + syncsafeInt(buf, 6));
+  let pos = 10;
+  if (buf[5] & 0x40 && ver >= 3) pos += ver === 4 ? syncsafeInt(buf, 10) : buf.readUInt32BE(10) + 4; // extended header
+
+  const idLen = ver === 2 ? 3 : 4;
+  const headerLen = ver === 2 ? 6 : 10;
+  const tags = {};
+  while (pos + headerLen <= end) {
+    const id = buf.toString("latin1", pos, pos + idLen);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+    const size = ver === 2 ? buf.readUIntBE(pos + 3, 3) : ver === 4 ? syncsafeInt(buf, pos + 4) : buf.readUInt32BE(pos + 4);
+    const start = pos + headerLen;
+    if (size <= 0 || start + size > end) break;
+    const key = ID3_FRAMES[id];
+    if (key && !tags[key]) tags[key] = decodeId3Text(buf.subarray(start, start + size));
+    pos = start + size;
+  }
+  return tags;
+}
+
+function parseId3v1(buf) {
+  if (buf.length < 128 || buf.toString("latin1", 0, 3) !== "TAG") return {};
+  const field = (a, b) => buf.toString("latin1", a, b).replace(/\0[\s\S]*$/, "").trim();
+  return { title: field(3, 33), artist: field(33, 63), album: field(63, 93) };
+}
+
+function readMusicTags(file) {
+  let fd = null;
+  try {
+    fd = fs.openSync(file, "r");
+    const { size } = fs.fstatSync(fd);
+    const head = Buffer.alloc(Math.min(size, ID3_READ_BYTES));
+    fs.readSync(fd, head, 0, head.length, 0);
+    const tags = parseId3v2(head);
+    if ((!tags.title || !tags.artist) && size >= 128) {
+      const tail = Buffer.alloc(128);
+      fs.readSync(fd, tail, 0, 128, size - 128);
+      const v1 = parseId3v1(tail);
+      for (const k of ["title", "artist", "album"]) if (!tags[k] && v1[k]) tags[k] = v1[k];
+    }
+    return tags;
+  } catch (e) {
+    console.warn("⚠️ read tags fail:", file, e?.message || e);
+    return {};
+  } finally {
+    if (fd != null) try { fs.closeSync(fd); } catch { }
+  }
+}
+
+// "01. Sơn Tùng M-TP - Lạc Trôi.mp3" -> { artist, title }
+function tagsFromFileName(file) {
+  const base = path.basename(file, path.extname(file)).replace(/_/g, " ").replace(/^\d{1,3}[\s.)-]+/, "").trim();
+  const parts = base.split(/\s+-\s+/);
+  return parts.length >= 2 ? { artist: parts[0], title: parts.slice(1).join(" - ") } : { title: base };
+}
+
+function buildLibraryTrack(file, st) {
+  const tags = readMusicTags(file);
+  const guess = tagsFromFileName(file);
+  const title = tags.title || guess.title;
+  const artist = tags.artist || guess.artist || "";
+  const album = tags.album || "";
+  return {
+    id: createHash("sha1").update(file).digest("hex").slice(0, 12),
+    file,
+    title,
+    artist,
+    album,
+    mtimeMs: st.mtimeMs,
+    size: st.size,
+    titleTokens: songTokens(title),
+    tokens: [...new Set(songTokens(`${title} ${artist} ${album}`))],
+  };
+}
+
+// quét lại: file không đổi (mtime + size) giữ nguyên entry, không đọc tag lại
+async function scanMusicLibrary() {
+  if (!MUSIC_LIBRARY_DIR) return musicLibrary;
+  if (musicLibrary.scanning) return await musicLibrary.scanning;
+
+  musicLibrary.scanning = (async () => {
+    const t0 = Date.now();
+    const root = path.resolve(MUSIC_LIBRARY_DIR);
+    const files = [];
+    const walk = async (dir) => {
+      let entries = [];
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (e) {
+        console.warn("⚠️ music library readdir fail:", dir, e?.message || e);
+        return;
+      }
+      for (const e of entries) {
+        if (files.length >= MUSIC_LIBRARY_MAX_FILES || e.name.startsWith(".")) continue;
+        const p = path.join(dir, e.name);
+        if (e.isDirectory()) await walk(p);
+        else if (e.isFile() && MUSIC_LIBRARY_EXTS.includes(path.extname(e.name).toLowerCase())) files.push(p);
+      }
+    };
+    await walk(root);
+
+    const byFile = new Map();
+    for (const file of files) {
+      let st;
+      try {
+        st = await fs.promises.stat(file);
+      } catch {
+        continue;
+      }
+      const old = musicLibrary.byFile.get(file);
+      byFile.set(file, old && old.mtimeMs === st.mtimeMs && old.size === st.size ? old : buildLibraryTrack(file, st));
+    }
+    musicLibrary.byFile = byFile;
+    musicLibrary.tracks = [...byFile.values()];
+    musicLibrary.scannedAt = Date.now();
+    console.log("📚 MUSIC_LIBRARY_SCAN:", { dir: root, tracks: musicLibrary.tracks.length, ms: Date.now() - t0 });
+    return musicLibrary;
+  })().finally(() => {
+    musicLibrary.scanning = null;
+  });
+  return await musicLibrary.scanning;
+}
+
+if (MUSIC_LIBRARY_DIR && MUSIC_LIBRARY_RESCAN_MS > 0) {
+  setInterval(() => {
+    scanMusicLibrary().catch((e) => console.error("⚠️ music library scan fail:", e?.message || e));
+  }, MUSIC_LIBRARY_RESCAN_MS);
+}
+
+/* ---------- fuzzy search ---------- */
+// khoảng cách Levenshtein, dừng sớm khi chắc chắn > max
+function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// từ ngắn phải khớp đúng; từ >= 4 ký tự cho sai 1 ký tự ("dieu" ~ "dieuu", STT nghe nhầm)
+function tokenMatches(a, b) {
+  return a === b || (a.length >= 4 && b.length >= 4 && editDistance(a, b, 1) <= 1);
+}
+
+function scoreLibraryTrack(track, qTokens) {
+  if (!qTokens.length) return 0;
+  const hit = qTokens.filter((w) => track.tokens.some((t) => tokenMatches(w, t))).length;
+  const recall = hit / qTokens.length;
+  const precision = track.titleTokens.length
+    ? track.titleTokens.filter((t) => qTokens.some((w) => tokenMatches(w, t))).length / track.titleTokens.length
+    : 0;
+  return Math.round((0.7 * recall + 0.3 * precision) * 1000) / 1000;
+}
+
+// track thư viện -> dạng "top" giống kết quả YouTube (author = ca sĩ)
+function libraryTrackToTop(t, score = null) {
+  return { source: "local", id: t.id, file: t.file, title: t.title, author: t.artist, album: t.album, url: null, seconds: null, score };
+}
+
+function searchMusicLibrary(query, { limit = 5 } = {}) {
+  const qTokens = songTokens(cleanMusicQuery(query));
+  return musicLibrary.tracks
+    .map((t) => ({ t, score: scoreLibraryTrack(t, qTokens) }))
+    .filter((x) => x.score > 0)
+    .sort((a, b) => b.score - a.score || a.t.title.localeCompare(b.t.title))
+    .slice(0, limit)
+    .map((x) => libraryTrackToTop(x.t, x.score));
+}
+
+function findLocalTrack(query) {
+  const [top] = searchMusicLibrary(query, { limit: 1 });
+  return top && top.score >= MUSIC_LIBRARY_MIN_SCORE ? top : null;
+}
+
+/* ---------- source chain ---------- */
+// tìm bài theo MUSIC_SOURCES -> { source, top, confident, alternatives }
+// utterance: câu nói gốc (q đã bị cleanMusicQuery bỏ karaoke / remix / cover -> xét bản muốn nghe trên câu gốc)
+// itunes: top = null (tìm + tải preview lúc phát); kind="video" (podcast mode) bỏ qua thư viện local
+async function findMusicTrack(q, { kind = "song", utterance = q } = {}) {
+  for (const source of MUSIC_SOURCES) {
+    if (source === "local") {
+      const top = kind === "song" ? findLocalTrack(q) : null;
+      if (top) {
+        console.log("📚 LOCAL_MUSIC_MATCH:", { q, title: top.title, artist: top.author, score: top.score });
+        return { source, top, confident: true, alternatives: [] };
+      }
+    } else if (source === "youtube") {
+      const r = await searchYouTubeCandidates(q, { kind, utterance });
+      if (r.top?.url) return { source, ...r };
+    } else if (source === "itunes") {
+      return { source, top: null, confident: true, alternatives: [] };
+    }
+  }
+  return { source: null, top: null, confident: false, alternatives: [] };
+}
+
+// -> đường dẫn file tạm trong audioDir (caller xoá sau khi ghép intro; local = bản copy, không đụng thư viện)
+async function fetchFromMusicSource(source, q, top) {
+  if (source === "youtube") {
+    if (!top?.url) throw new Error("No YouTube url");
+    return await ytdlpExtractMp3FromYoutube(top.url, audioDir);
+  }
+  if (source === "itunes") return await downloadFromItunes(q, audioDir);
+
+  const track = top?.source === "local" && top.file ? top : findLocalTrack(q);
+  if (!track) throw new Error("No local track matched");
+  const out = path.join(audioDir, `local_${Date.now()}${path.extname(track.file).toLowerCase()}`);
+  await fs.promises.copyFile(track.file, out);
+  return out;
+}
+
+/* ---------- REST ---------- */
+app.get("/music/library", (req, res) => {
+  const q = String(req.query.q || "").trim();
+  const limit = Math.min(50, Math.max(1, Number(req.query.limit || 10)));
+  return res.json({
+    ok: true,
+    dir: MUSIC_LIBRARY_DIR || null,
+    sources: MUSIC_SOURCES,
+    tracks: musicLibrary.tracks.length,
+    scanned_at: musicLibrary.scannedAt || null,
+    results: q ? searchMusicLibrary(q, { limit }).map(({ file, ...t }) => ({ ...t, path: path.relative(MUSIC_LIBRARY_DIR, file) })) : [],
+  });
+});
+
+app.post("/music/library/rescan", async (req, res) => {
+  if (!MUSIC_LIBRARY_DIR) return res.status(400).json({ ok: false, error: "MUSIC_LIBRARY_DIR not set" });
+  try {
+    const lib = await scanMusicLibrary();
+    return res.json({ ok: true, tracks: lib.tracks.length, scanned_at: lib.scannedAt });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
 /* ===========================================================================  
-   ✅ LOCAL captions fallback (yt-dlp vtt -> plain text)
+   ✅ LOCAL captions fallback (yt-dlp vtt -> segments { start, end, text })
+   - start / end tính bằng giây (null nếu nguồn không có mốc thời gian)
 ===========================================================================*/
-function vttToPlainText(vttRaw = "") {
-  const lines = vttRaw.split(/\r?\n/);
-  const keep = [];
-  for (const line of lines) {
+// "01:02:03.500" | "02:03" | "123.5" | 123.5 -> giây
+function parseTimestampSec(v) {
+  if (v == null || v === "") return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const s = String(v).trim().replace(",", ".");
+  if (/^\d+(\.\d+)?$/.test(s)) return Number(s);
+  const m = s.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+  if (!m) return null;
+  return Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+}
+
+function segmentsToText(segments = []) {
+  return segments.map((s) => s.text).join(" ").replace(/\s+/g, " ").trim();
+}
+
+// mốc thời gian từng từ (chia đều trong segment), cùng thứ tự với segmentsToText().split(" ")
+function buildWordTimes(segments = []) {
+  if (!segments.length || segments.some((s) => s.start == null)) return null;
+  const starts = [];
+  let end = 0;
+  segments.forEach((s, i) => {
+    const words = s.text.split(/\s+/).filter(Boolean);
+    end = s.end ?? segments[i + 1]?.start ?? s.start + words.length * 0.4;
+    const step = Math.max(0, end - s.start) / Math.max(1, words.length);
+    words.forEach((_, j) => starts.push(s.start + step * j));
+  });
+  return { starts, end };
+}
+
+// từ [from, to) -> { start, end } giây
+function wordRangeTime(wordTimes, from, to) {
+  if (!wordTimes || from >= wordTimes.starts.length) return null;
+  return { start: wordTimes.starts[from], end: wordTimes.starts[to] ?? wordTimes.end };
+}
+
+function vttToSegments(vttRaw = "") {
+  const segments = [];
+  let cue = null;
+  let lastLine = "";
+  for (const line of vttRaw.split(/\r?\n/)) {
     const l = (line || "").trim();
+    const m = l.match(/^(\S+)\s+-->\s+(\S+)/);
+    if (m) {
+      cue = { start: parseTimestampSec(m[1]), end: parseTimestampSec(m[2]), text: "" };
+      segments.push(cue);
+      continue;
+    }
     if (!l) continue;
     if (l === "WEBVTT") continue;
     if (/^\d+$/.test(l)) continue;
-    if (l.includes("-->")) continue;
     if (/^(NOTE|Kind:|Language:)/i.test(l)) continue;
-    keep.push(l);
+
+    // auto-subs: bỏ tag <00:00:01.000><c> + dòng lặp lại từ cue trước
+    const text = l.replace(/<[^>]+>/g, "").trim();
+    if (!text || text === lastLine) continue;
+    lastLine = text;
+    if (cue) cue.text = `${cue.text} ${text}`.trim();
+    else segments.push({ start: null, end: null, text });
   }
-  return keep.join(" ").replace(/\s+/g, " ").trim();
+  return segments.filter((s) => s.text);
 }
 
-async function ytdlpFetchCaptionVtt(url, outDir) {
+async function ytdlpFetchCaptionVtt(url, outDir, { signal = null } = {}) {
   if (!url) return null;
   fs.mkdirSync(outDir, { recursive: true });
 
@@ -989,8 +3050,9 @@ async function ytdlpFetchCaptionVtt(url, outDir) {
   ];
 
   try {
-    await run(YTDLP_BIN, args, { timeoutMs: 120000 });
+    await run(YTDLP_BIN, args, { timeoutMs: 120000, signal });
   } catch (e) {
+    if (signal?.aborted) throw e;
     console.error("⚠️ ytdlp captions error:", e?.message || e);
     return null;
   }
@@ -1006,15 +3068,15 @@ async function ytdlpFetchCaptionVtt(url, outDir) {
   return path.join(outDir, pick);
 }
 
-async function getYoutubeTranscriptTextLocalFallback(url) {
-  const vttPath = await ytdlpFetchCaptionVtt(url, audioDir);
-  if (!vttPath) return "";
+async function getYoutubeTranscriptSegmentsLocalFallback(url, { signal = null } = {}) {
+  const vttPath = await ytdlpFetchCaptionVtt(url, audioDir, { signal });
+  if (!vttPath) return [];
   try {
     const raw = fs.readFileSync(vttPath, "utf-8");
-    return vttToPlainText(raw);
+    return vttToSegments(raw);
   } catch (e) {
     console.error("⚠️ read vtt error:", e?.message || e);
-    return "";
+    return [];
   } finally {
     try { fs.unlinkSync(vttPath); } catch { }
   }
@@ -1022,47 +3084,74 @@ async function getYoutubeTranscriptTextLocalFallback(url) {
 
 /* ===========================================================================  
    ✅ REMOTE transcript fetch (FIX: parse đúng data.transcript array)
+   - include_timestamp=true -> giữ start / end từng segment (array hoặc "[mm:ss] text")
 ===========================================================================*/
-function extractRemoteTranscriptAsText(json) {
-  if (!json) return "";
+// "[00:12] câu 1\n[00:15] câu 2" -> segments (không có mốc -> 1 segment không thời gian)
+function timestampedTextToSegments(str = "") {
+  const parts = String(str || "").split(/(?:^|\n)[ \t]*\[?((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d+)?)\]?[ \t]*[-–]?[ \t]*/);
+  if (parts.length < 3) {
+    const text = String(str || "").replace(/\s+/g, " ").trim();
+    return text ? [{ start: null, end: null, text }] : [];
+  }
+
+  const segments = [];
+  const head = parts[0].replace(/\s+/g, " ").trim();
+  if (head) segments.push({ start: null, end: null, text: head });
+  for (let i = 1; i < parts.length; i += 2) {
+    const text = (parts[i + 1] || "").replace(/\s+/g, " ").trim();
+    if (text) segments.push({ start: parseTimestampSec(parts[i]), end: parseTimestampSec(parts[i + 2]), text });
+  }
+  return segments;
+}
+
+function extractRemoteTranscriptSegments(json) {
+  if (!json) return [];
 
   // 1) string shapes
-  if (typeof json.transcript === "string") return json.transcript.trim();
-  if (typeof json.text === "string") return json.text.trim();
-  if (typeof json?.data?.transcript === "string") return json.data.transcript.trim();
-  if (typeof json?.data?.text === "string") return json.data.text.trim();
+  const str = [json.transcript, json.text, json?.data?.transcript, json?.data?.text].find((v) => typeof v === "string");
+  if (str != null) return timestampedTextToSegments(str);
 
   // 2) array shapes (đúng như Postman của bạn)
   const arr =
     (Array.isArray(json?.data?.transcript) && json.data.transcript) ||
     (Array.isArray(json?.transcript) && json.transcript) ||
     null;
-
-  if (arr) {
-    const t = arr
-      .map((x) => (x?.text || x?.transcript || x?.value || "").toString().trim())
-      .filter(Boolean)
-      .join(" ")
-      .replace(/\s+/g, " ")
-      .trim();
-    return t;
+  if (!arr) return [];
+
+  const segments = arr
+    .map((x) => {
+      const start = parseTimestampSec(x?.start ?? x?.start_time ?? x?.startTime ?? x?.offset ?? x?.timestamp);
+      const dur = parseTimestampSec(x?.duration ?? x?.dur);
+      const end = parseTimestampSec(x?.end ?? x?.end_time ?? x?.endTime) ?? (start != null && dur != null ? start + dur : null);
+      return { start, end, text: (x?.text || x?.transcript || x?.value || "").toString().replace(/\s+/g, " ").trim() };
+    })
+    .filter((s) => s.text);
+
+  // một số server trả offset/duration theo ms -> quy về giây
+  const maxT = segments.reduce((m, s) => Math.max(m, s.end ?? s.start ?? 0), 0);
+  if (maxT > 24 * 3600) {
+    for (const s of segments) {
+      if (s.start != null) s.start /= 1000;
+      if (s.end != null) s.end /= 1000;
+    }
   }
-
-  return "";
+  return segments;
 }
 
-async function fetchRemoteTranscriptText(videoUrl) {
+async function fetchRemoteTranscriptSegments(videoUrl, { signal = null } = {}) {
   const endpoint = `${REMOTE_YT_SERVER}/api/transcript`;
 
   // Gửi giống Postman: multipart/form-data
   const fd = new FormData();
   fd.set("video_url", videoUrl);
   fd.set("format", "json");
-  fd.set("include_timestamp", "false");
+  fd.set("include_timestamp", "true");
   fd.set("send_metadata", "false");
 
   const ac = new AbortController();
   const t = setTimeout(() => ac.abort(), 240000);
+  const onAbort = () => ac.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
 
   try {
     const resp = await fetch(endpoint, { method: "POST", body: fd, signal: ac.signal });
@@ -1074,24 +3163,100 @@ async function fetchRemoteTranscriptText(videoUrl) {
       throw new Error(`REMOTE /api/transcript ${resp.status}: ${text.slice(0, 300)}`);
     }
 
-    const out = extractRemoteTranscriptAsText(json);
-    return out;
+    return extractRemoteTranscriptSegments(json);
   } finally {
     clearTimeout(t);
+    signal?.removeEventListener("abort", onAbort);
   }
 }
 
 /* ===========================================================================  
    ✅ GPT: chấm dấu câu / viết lại transcript cho dễ nghe
+   - map-reduce: cắt transcript thành window chồng lấn (PUNCTUATE_WINDOW_CHARS / PUNCTUATE_OVERLAP_CHARS)
+   - chấm câu song song tối đa PUNCTUATE_CONCURRENCY window, ghép lại theo thứ tự
+   - đường nối: window sau bỏ phần overlap (dò theo 4 từ gốc đầu tiên sau overlap)
+   - mỗi window cache theo hash(model + lang + text); onWindow(text, i, n, { from, to }) gọi theo thứ tự
+     -> podcast phát được ngay khi window đầu xong; [from, to) = khoảng từ gốc -> map ra thời gian video
 ===========================================================================*/
-async function punctuateTranscriptWithGpt(rawText, lang = "vi") {
-  const t = (rawText || "").replace(/\s+/g, " ").trim();
-  if (!t) return "";
+const PUNCTUATE_MODEL = process.env.PUNCTUATE_MODEL || "gpt-4.1-mini";
+const PUNCTUATE_WINDOW_CHARS = Number(process.env.PUNCTUATE_WINDOW_CHARS || 6000);
+const PUNCTUATE_OVERLAP_CHARS = Number(process.env.PUNCTUATE_OVERLAP_CHARS || 300);
+const PUNCTUATE_CONCURRENCY = Number(process.env.PUNCTUATE_CONCURRENCY || 3);
+const PUNCTUATE_MAX_TOKENS = Number(process.env.PUNCTUATE_MAX_TOKENS || 4096);
+const PUNCTUATE_MAX_CHARS = Number(process.env.PUNCTUATE_MAX_CHARS || 400000);
+const PUNCTUATE_CACHE_MAX = Number(process.env.PUNCTUATE_CACHE_MAX || 500);
+
+const punctuateCache = createStateStore("punctuate_cache");
+
+function splitTranscriptWindows(words, windowChars = PUNCTUATE_WINDOW_CHARS, overlapChars = PUNCTUATE_OVERLAP_CHARS) {
+  const windows = [];
+  let start = 0;
+  while (start < words.length) {
+    let end = start;
+    let len = 0;
+    while (end < words.length && (len === 0 || len + words[end].length + 1 <= windowChars)) {
+      len += words[end].length + 1;
+      end += 1;
+    }
+    windows.push({ start, end });
+    if (end >= words.length) break;
+
+    // lùi lại vài từ cho đủ overlapChars (nhưng luôn tiến ít nhất 1 từ)
+    let back = end;
+    let ov = 0;
+    while (back > start + 1 && ov < overlapChars) {
+      back -= 1;
+      ov += words[back].length + 1;
+    }
+    start = back;
+  }
+  return windows;
+}
+
+function seamWord(w = "") {
+  return w.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+// bỏ phần đầu của output window sau (đã có ở cuối window trước)
+function trimOverlapPrefix(outText, anchorWords, overlapCount, windowCount) {
+  const tokens = outText.split(/\s+/).filter(Boolean);
+  if (!overlapCount || !tokens.length) return outText;
+
+  const anchor = anchorWords.slice(0, 4).map(seamWord);
+  const searchTo = Math.min(tokens.length, Math.ceil(overlapCount * 1.5) + 20);
+  let best = -1;
+  let bestScore = 0;
+  for (let j = 0; j < searchTo; j++) {
+    let score = 0;
+    for (let k = 0; k < anchor.length; k++) if (seamWord(tokens[j + k]) === anchor[k]) score += 1;
+    if (score > bestScore) {
+      best = j;
+      bestScore = score;
+    }
+    if (score === anchor.length) break;
+  }
+
+  const cut = anchor.length && bestScore >= Math.min(3, anchor.length)
+    ? best
+    : Math.round((overlapCount * tokens.length) / Math.max(1, windowCount));
+  return tokens.slice(cut).join(" ");
+}
+
+function punctuateCacheKey(text, lang) {
+  return createHash("sha256").update(JSON.stringify({ model: PUNCTUATE_MODEL, lang, text })).digest("hex");
+}
+
+function punctuateCachePut(key, text) {
+  punctuateCache.set(key, { text, at: Date.now() });
+  if (punctuateCache.size <= PUNCTUATE_CACHE_MAX) return;
+  const oldest = Array.from(punctuateCache.entries()).sort((a, b) => a[1].at - b[1].at);
+  for (const [k] of oldest.slice(0, punctuateCache.size - PUNCTUATE_CACHE_MAX)) punctuateCache.delete(k);
+}
 
-  // Tránh input quá lớn 1 phát (OpenAI limit). Cắt bớt nếu quá dài.
-  // Bạn có thể tăng/giảm giới hạn này tùy model.
-  const MAX_IN = 20000;
-  const input = t.length > MAX_IN ? t.slice(0, MAX_IN) : t;
+async function punctuateWindowWithGpt(input, lang = "vi", { signal = null } = {}) {
+  const key = punctuateCacheKey(input, lang);
+  const cached = punctuateCache.get(key);
+  if (cached?.text) return cached.text;
 
   const system = `
 Bạn là trợ lý biên tập transcript để robot đọc.
@@ -1104,30 +3269,270 @@ Ngôn ngữ ưu tiên: ${lang === "vi" ? "Tiếng Việt" : "English"}.
 `.trim();
 
   const resp = await openai.chat.completions.create({
-    model: process.env.PUNCTUATE_MODEL || "gpt-4.1-mini",
+    model: PUNCTUATE_MODEL,
     temperature: 0.1,
-    max_tokens: 1200,
+    // output ~ dài bằng input: tiếng Việt ~2 ký tự/token
+    max_tokens: Math.min(PUNCTUATE_MAX_TOKENS, Math.ceil(input.length / 2) + 200),
     messages: [
       { role: "system", content: system },
       { role: "user", content: input }
     ],
-  });
+  }, signal ? { signal } : undefined);
 
   const out = resp.choices?.[0]?.message?.content?.trim() || "";
+  if (out) punctuateCachePut(key, out);
   return out;
 }
 
+// fromWindow/toWindow: chỉ chấm câu các window [from, to) (job podcast_punctuate chạy phần còn lại / retry tiếp)
+async function punctuateTranscriptWithGpt(rawText, lang = "vi", { signal = null, onWindow = null, maxChars = PUNCTUATE_MAX_CHARS, fromWindow = 0, toWindow = Infinity } = {}) {
+  let t = (rawText || "").replace(/\s+/g, " ").trim();
+  if (!t) return "";
+  if (t.length > maxChars) t = t.slice(0, maxChars);
+
+  const words = t.split(" ");
+  const windows = splitTranscriptWindows(words);
+  const results = new Array(windows.length);
+  const parts = [];
+  const last = Math.min(windows.length, toWindow);
+  let next = Math.max(0, fromWindow);
+  let emitted = next;
+
+  // emit theo thứ tự: window i chỉ được ghép khi 0..i-1 đã xong
+  const flush = () => {
+    while (emitted < last && results[emitted] !== undefined) {
+      const w = windows[emitted];
+      const prev = windows[emitted - 1];
+      const overlapCount = prev ? Math.max(0, prev.end - w.start) : 0;
+      const text = prev
+        ? trimOverlapPrefix(results[emitted], words.slice(w.start + overlapCount), overlapCount, w.end - w.start)
+        : results[emitted];
+      parts.push(text);
+      if (onWindow) onWindow(text, emitted, windows.length, { from: w.start + overlapCount, to: w.end });
+      emitted += 1;
+    }
+  };
+
+  const worker = async () => {
+    while (next < last) {
+      if (signal?.aborted) return;
+      const i = next++;
+      const input = words.slice(windows[i].start, windows[i].end).join(" ");
+      try {
+        results[i] = (await punctuateWindowWithGpt(input, lang, { signal })) || input;
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        console.error("⚠️ punctuate window fail -> raw text:", { window: i, error: e?.message || e });
+        results[i] = input;
+      }
+      flush();
+    }
+  };
+
+  console.log("✍️ Punctuate map-reduce:", { chars: t.length, windows: windows.length, from: next, to: last, concurrency: PUNCTUATE_CONCURRENCY });
+  await Promise.all(Array.from({ length: Math.max(0, Math.min(PUNCTUATE_CONCURRENCY, last - next)) }, worker));
+  return parts.join(" ").trim();
+}
+
+/* ===========================================================================  
+   ✅ PODCAST MODES (video dài): đọc hết / tóm tắt N phút / ý chính (+ dịch sang tiếng Việt)
+   - chọn bằng giọng nói: "tóm tắt video ... trong 5 phút", "đọc ý chính ...", "dịch sang tiếng Việt"
+   - full: chấm câu map-reduce như cũ (dịch từng window nếu cần)
+   - summary / keypoints: map (ghi chú từng window) -> reduce (bản tóm tắt cuối)
+===========================================================================*/
+const PODCAST_MODES = ["full", "summary", "keypoints"];
+const PODCAST_DEFAULT_MODE = PODCAST_MODES.includes(process.env.PODCAST_DEFAULT_MODE) ? process.env.PODCAST_DEFAULT_MODE : "full";
+const PODCAST_SUMMARY_MINUTES = Number(process.env.PODCAST_SUMMARY_MINUTES || 5);
+const PODCAST_SUMMARY_MAX_MINUTES = Number(process.env.PODCAST_SUMMARY_MAX_MINUTES || 30);
+const PODCAST_WORDS_PER_MINUTE = Number(process.env.PODCAST_WORDS_PER_MINUTE || 150);
+// bài tóm tắt ~2.5 token/từ (+300 dư) phải lọt PUNCTUATE_MAX_TOKENS -> chặn số phút tối đa
+const PODCAST_SUMMARY_TOKENS_PER_WORD = 2.5;
+const PODCAST_SUMMARY_FIT_MINUTES = Math.min(
+  PODCAST_SUMMARY_MAX_MINUTES,
+  Math.max(1, Math.floor((PUNCTUATE_MAX_TOKENS - 300) / PODCAST_SUMMARY_TOKENS_PER_WORD / PODCAST_WORDS_PER_MINUTE))
+);
+const PODCAST_KEYPOINTS_MAX = Number(process.env.PODCAST_KEYPOINTS_MAX || 8);
+const PODCAST_MODE_MODEL = process.env.PODCAST_MODE_MODEL || PUNCTUATE_MODEL;
+const PODCAST_MODE_WINDOW_CHARS = Number(process.env.PODCAST_MODE_WINDOW_CHARS || 12000);
+const LANG_NAMES = { vi: "Tiếng Việt", en: "English" };
+
+const PODCAST_MODE_PATTERNS = {
+  keypoints: [/\by\s*chinh\b/, /\bdiem\s*chinh\b/, /\bgach\s*dau\s*dong\b/, /\bkey\s*points?\b/, /\bhighlights?\b/],
+  summary: [/\btom\s*tat\b/, /\btom\s*luoc\b/, /\bnoi\s*ngan\s*gon\b/, /\bsummar(y|ise|ize)\b/],
+  full: [/\bdoc\s*(het|toan\s*bo|tat\s*ca|day\s*du)\b/, /\bread\s*(it\s*)?all\b/],
+};
+const PODCAST_TRANSLATE_PATTERNS = [/\bdich\b/, /\btranslate\b/, /\bsang\s*tieng\s*viet\b/, /\bbang\s*tieng\s*viet\b/];
+
+// -> { mode, minutes, translate, explicit } ; slots (intent classifier) thắng text
+function parsePodcastMode(text = "", slots = {}) {
+  const t = stripDiacritics(String(text || "").toLowerCase());
+  let mode = PODCAST_MODES.includes(slots.mode) ? slots.mode : null;
+  if (!mode) mode = PODCAST_MODES.find((m) => PODCAST_MODE_PATTERNS[m].some((re) => re.test(t))) || null;
+  let explicit = !!mode;
+
+  let minutes = Number(slots.minutes) || null;
+  const m = t.match(/(\d+(?:[.,]\d+)?)\s*(phut|minutes?|mins?)\b/);
+  if (!minutes && m) minutes = Number(m[1].replace(",", "."));
+  if (!mode && minutes) {
+    mode = "summary"; // "đọc video này trong 5 phút"
+    explicit = true;
+  }
+
+  const translate = slots.translate === true || PODCAST_TRANSLATE_PATTERNS.some((re) => re.test(t));
+  return {
+    mode: mode || PODCAST_DEFAULT_MODE,
+    minutes: clamp(minutes || PODCAST_SUMMARY_MINUTES, 1, PODCAST_SUMMARY_FIT_MINUTES),
+    translate,
+    explicit: explicit || translate,
+  };
+}
+
+// bỏ các từ chọn mode khỏi query search YouTube
+function stripPodcastModeWords(q = "") {
+  const t = stripDiacritics(String(q || "").toLowerCase())
+    .replace(/\b(tom\s*tat|tom\s*luoc|y\s*chinh|diem\s*chinh|gach\s*dau\s*dong|doc\s*(het|toan\s*bo|tat\s*ca|day\s*du))\b/g, " ")
+    .replace(/\b(dich\s*)?(sang|bang)\s*tieng\s*viet\b|\bdich\b/g, " ")
+    .replace(/\b(trong\s*)?\d+(?:[.,]\d+)?\s*(phut|minutes?|mins?)\b/g, " ")
+    .replace(/\b(summar(y|ise|ize)|key\s*points?|highlights?|translate|read\s*(it\s*)?all)\b/g, " ")
+    .replace(/\b(video|youtube|podcast|cho\s*toi|giup\s*toi|doc|mo|bat|phat|cac|nhung|cua|nay|nha)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return t || String(q || "").trim();
+}
+
+function containsPodcastModeIntent(text = "") {
+  const t = stripDiacritics(String(text || "").toLowerCase());
+  return /\b(video|youtube|podcast)\b/.test(t) && parsePodcastMode(text).explicit;
+}
+
+// "mở podcast / video / sách nói ..." -> kind="video": không trừ điểm video dài (route podcast cần video >= LONG_VIDEO_SECONDS)
+function musicSearchKind(text = "") {
+  const t = stripDiacritics(String(text || "").toLowerCase());
+  return /\b(video|youtube|podcast|sach\s*noi|audio\s*book|audiobook|ke\s*chuyen|bai\s*giang|full\s*album)\b/.test(t) ? "video" : "song";
+}
+
+// heuristic: đủ ký tự có dấu tiếng Việt -> "vi", gần như toàn ASCII -> "en"
+function detectTranscriptLang(text = "") {
+  const sample = String(text || "").slice(0, 5000);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (!letters) return "vi";
+  const viMarks = (sample.match(/[ăâđêôơưàáảãạằắẳẵặầấẩẫậèéẻẽẹềếểễệìíỉĩịòóỏõọồốổỗộờớởỡợùúủũụừứửữựỳýỷỹỵ]/gi) || []).length;
+  if (viMarks / letters > 0.03) return "vi";
+  const ascii = (sample.match(/[a-z]/gi) || []).length;
+  return ascii / letters > 0.9 ? "en" : "other";
+}
+
+function langName(lang) {
+  return LANG_NAMES[lang] || lang;
+}
+
+async function podcastGptText(system, input, { signal = null, maxTokens = 1500 } = {}) {
+  const resp = await openai.chat.completions.create({
+    model: PODCAST_MODE_MODEL,
+    temperature: 0.2,
+    max_tokens: Math.min(PUNCTUATE_MAX_TOKENS, maxTokens),
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: input },
+    ],
+  }, signal ? { signal } : undefined);
+  const choice = resp.choices?.[0];
+  const out = choice?.message?.content?.trim() || "";
+  if (choice?.finish_reason !== "length") return out;
+
+  // bị cắt vì max_tokens: bỏ câu dở dang cuối để robot không đọc nửa chừng
+  console.warn("⚠️ podcastGptText truncated at max_tokens", { max_tokens: Math.min(PUNCTUATE_MAX_TOKENS, maxTokens), chars: out.length });
+  const cut = Math.max(out.lastIndexOf(". "), out.lastIndexOf("! "), out.lastIndexOf("? "), out.lastIndexOf("\n"));
+  return cut > 0 ? out.slice(0, cut + 1).trim() : out;
+}
+
+async function translateTextWithGpt(text, targetLang = "vi", { signal = null } = {}) {
+  const input = String(text || "").trim();
+  if (!input) return "";
+  const system = `
+Bạn là biên dịch viên cho robot đọc to.
+- Dịch văn bản sang ${langName(targetLang)}, văn nói tự nhiên, dễ nghe.
+- GIỮ NGUYÊN ý, không tóm tắt, không bịa thêm.
+- Tên riêng / thuật ngữ khó dịch thì giữ nguyên.
+- Trả về CHỈ bản dịch.
+`.trim();
+  return (await podcastGptText(system, input, { signal, maxTokens: Math.ceil(input.length / 2) + 200 })) || input;
+}
+
+// map: ghi chú ý chính từng window (song song PUNCTUATE_CONCURRENCY) -> reduce: bản cuối theo mode
+async function summarizeTranscriptWithGpt(rawText, { mode = "summary", minutes = PODCAST_SUMMARY_MINUTES, lang = "vi", signal = null } = {}) {
+  const t = String(rawText || "").replace(/\s+/g, " ").trim().slice(0, PUNCTUATE_MAX_CHARS);
+  if (!t) return "";
+
+  const words = t.split(" ");
+  const windows = splitTranscriptWindows(words, PODCAST_MODE_WINDOW_CHARS, 0);
+  let notes = [t];
+
+  if (windows.length > 1) {
+    const system = `
+Bạn ghi chú nội dung 1 phần transcript video (phần thứ i / n).
+- Liệt kê các ý, sự kiện, số liệu quan trọng theo thứ tự xuất hiện, mỗi ý 1 dòng bắt đầu bằng "- ".
+- Không bịa thêm. Viết bằng ${langName(lang)}.
+`.trim();
+    notes = new Array(windows.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < windows.length) {
+        const i = next++;
+        const input = words.slice(windows[i].start, windows[i].end).join(" ");
+        notes[i] = await podcastGptText(system.replace("i / n", `${i + 1} / ${windows.length}`), input, { signal, maxTokens: 800 });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(PUNCTUATE_CONCURRENCY, windows.length) }, worker));
+  }
+
+  minutes = clamp(Number(minutes) || PODCAST_SUMMARY_MINUTES, 1, PODCAST_SUMMARY_FIT_MINUTES);
+  const targetWords = Math.round(minutes * PODCAST_WORDS_PER_MINUTE);
+  const system = mode === "keypoints"
+    ? `
+Bạn tóm tắt video thành các ý chính để robot đọc to.
+- Tối đa ${PODCAST_KEYPOINTS_MAX} ý, quan trọng nhất trước, mỗi ý 1-2 câu hoàn chỉnh.
+- Mỗi ý 1 dòng bắt đầu bằng "- ". Không bịa thêm.
+- Viết bằng ${langName(lang)}.
+`.trim()
+    : `
+Bạn tóm tắt video thành bài nói để robot đọc to trong khoảng ${minutes} phút (~${targetWords} từ).
+- Văn nói tự nhiên, có mở đầu và kết luận ngắn, theo đúng trình tự nội dung.
+- Không liệt kê gạch đầu dòng, không bịa thêm.
+- Viết bằng ${langName(lang)}. Trả về CHỈ bài nói.
+`.trim();
+
+  const out = await podcastGptText(system, notes.join("\n\n"), { signal, maxTokens: Math.round(targetWords * PODCAST_SUMMARY_TOKENS_PER_WORD) + 300 });
+  if (mode !== "keypoints") return out;
+
+  // "- ý" -> "Ý thứ 1. ..." (mỗi ý là 1 câu trọn vẹn -> chunkTextSmart cắt đẹp)
+  const points = out.split(/\n+/).map((l) => l.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim()).filter(Boolean);
+  return points
+    .slice(0, PODCAST_KEYPOINTS_MAX)
+    .map((p, i) => `${lang === "vi" ? `Ý thứ ${i + 1}` : `Point ${i + 1}`}. ${/[.!?]$/.test(p) ? p : `${p}.`}`)
+    .join("\n");
+}
+
+function podcastModeIntro(mode, { title, duration, translated = false } = {}) {
+  const tr = translated ? " Em đã dịch sang tiếng Việt." : "";
+  if (mode.mode === "summary") return `Video "${title}" dài ${duration}. Em tóm tắt trong khoảng ${mode.minutes} phút nha.${tr}`;
+  if (mode.mode === "keypoints") return `Video "${title}" dài ${duration}. Em đọc các ý chính nha.${tr}`;
+  return `Video này hơi dài. Em sẽ đọc theo từng đoạn. Đây là "${title}".${tr}`;
+}
+
 /* ===========================================================================  
    MUSIC QUERY CLEANING + intent detection (giữ nguyên)
 ===========================================================================*/
+// từ "nhiễu" trong tiêu đề: bỏ khi làm sạch query; ngoài MUSIC_TAG_WORDS là bản khác của bài (trừ điểm khi chọn video)
+const MUSIC_TAG_WORDS = ["official", "mv", "lyrics"];
+const MUSIC_NOISE_WORDS = [...MUSIC_TAG_WORDS, "karaoke", "cover", "8d", "tiktok", "sped\\s*up", "slowed", "remix", "ver\\.?", "version"];
+const MUSIC_NOISE_RE = new RegExp(`\\b(${MUSIC_NOISE_WORDS.join("|")})\\b`, "g");
+
 function cleanMusicQuery(q = "") {
   let t = (q || "").toLowerCase().trim();
   t = t.replace(/\(.*?\)|\[.*?\]/g, " ");
   t = t.replace(/[.,;:!?]/g, " ");
-  t = t.replace(
-    /\b(official|mv|lyrics|karaoke|cover|8d|tiktok|sped\s*up|slowed|remix|ver\.?|version)\b/g,
-    " "
-  );
+  t = t.replace(MUSIC_NOISE_RE, " ");
   t = t.replace(/\b(feat|ft)\.?\b/g, " ");
   t = t.replace(/\s+/g, " ").trim();
   return t;
@@ -1228,7 +3633,7 @@ function looksLikeMusicQuery(text = "") {
 }
 
 function shouldAutoSwitchToMusic(text = "") {
-  return containsMusicIntent(text) || looksLikeSongTitleOnly(text) || looksLikeMusicQuery(text);
+  return containsMusicIntent(text) || containsPodcastModeIntent(text) || looksLikeSongTitleOnly(text) || looksLikeMusicQuery(text);
 }
 
 function detectStopPlayback(text = "") {
@@ -1244,11 +3649,11 @@ function detectStopPlayback(text = "") {
 }
 
 /* ===========================================================================  
-   YouTube search (yt-search) -> TOP 1
+   YouTube search (yt-search) -> TOP 1 / TOP N
 ===========================================================================*/
-async function searchYouTubeTop1(query) {
+async function searchYouTubeTopN(query, n = 5) {
   const q = (query || "").trim();
-  if (!q) return null;
+  if (!q) return [];
 
   try {
     let r = null;
@@ -1257,24 +3662,112 @@ async function searchYouTubeTop1(query) {
     } catch (e) {
       console.warn("YouTube Music search error, fallback to normal search:", e?.message || e);
     }
-    let v = (r?.videos || [])[0];
-    if (!v?.url) {
+    let videos = (r?.videos || []).filter((v) => v?.url);
+    if (!videos.length) {
       r = await yts(q);
-      v = (r?.videos || [])[0];
+      videos = (r?.videos || []).filter((v) => v?.url);
     }
-    if (!v?.url) return null;
-
-    return {
-      url: v.url,
-      title: v.title || "",
-      seconds: typeof v.seconds === "number" ? v.seconds : null,
-      author: v.author?.name || "",
-    };
-  } catch (e) {
-    console.error("YouTube search error:", e?.message || e);
-    return null;
-  }
-}
+
+    return videos.slice(0, n).map((v) => ({
+      url: v.url,
+      title: v.title || "",
+      seconds: typeof v.seconds === "number" ? v.seconds : null,
+      author: v.author?.name || "",
+      views: typeof v.views === "number" ? v.views : null,
+    }));
+  } catch (e) {
+    console.error("YouTube search error:", e?.message || e);
+    return [];
+  }
+}
+
+/* ---------- chấm điểm candidate (thay vì lấy mù videos[0]) ----------
+   - độ giống tiêu đề/kênh với query (extractSongQuery), độ dài hợp lý cho 1 bài hát (kind="song")
+   - kênh "Official" / "- Topic" / VEVO, lượt xem
+   - trừ điểm bản khác (karaoke, cover, remix, reaction, loop 10 giờ...) nếu câu nói gốc (utterance) không hỏi,
+     cộng điểm nếu có hỏi (query đã làm sạch không còn các từ này)
+------------------------------------------------------------------------------*/
+const YT_SEARCH_CANDIDATES = Number(process.env.YT_SEARCH_CANDIDATES || 8);
+const YT_CONFIDENT_SCORE = Number(process.env.YT_CONFIDENT_SCORE || 0.6);
+const YT_AMBIGUOUS_MARGIN = Number(process.env.YT_AMBIGUOUS_MARGIN || 0.08);
+const YT_VARIANT_WORDS = [
+  ...MUSIC_NOISE_WORDS.filter((w) => !MUSIC_TAG_WORDS.includes(w)),
+  "reaction", "react", "loop", "nightcore", "beat", "instrumental", "\\d+\\s*(?:hours?|gio|tieng)",
+];
+
+function songTokens(s = "") {
+  return stripDiacritics(String(s || "").toLowerCase())
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w.length > 1 || /\d/.test(w));
+}
+
+function scoreYoutubeCandidate(cand, query = "", { kind = "song", utterance = query } = {}) {
+  const qTokens = new Set(songTokens(cleanMusicQuery(query)));
+  const titleTokens = songTokens(cleanMusicQuery(cand.title));
+  const all = new Set([...titleTokens, ...songTokens(cand.author)]);
+  const hit = [...qTokens].filter((w) => all.has(w)).length;
+  const recall = qTokens.size ? hit / qTokens.size : 0;
+  const precision = titleTokens.length ? titleTokens.filter((w) => qTokens.has(w)).length / titleTokens.length : 0;
+
+  let score = 0.55 * recall + 0.15 * precision;
+
+  const sec = cand.seconds;
+  if (kind === "song" && typeof sec === "number") {
+    if (sec >= 90 && sec <= 600) score += 0.1;
+    else if (sec < 60) score -= 0.15;
+    else if (sec > 3600) score -= 0.3;
+  }
+
+  if (/official|vevo|\s-\stopic$/i.test(cand.author || "")) score += 0.1;
+  if (cand.views) score += Math.min(0.1, Math.log10(cand.views + 1) / 80);
+
+  const title = stripDiacritics(String(cand.title || "").toLowerCase());
+  const queryText = stripDiacritics(String(utterance || query || "").toLowerCase());
+  const variants = [];
+  let wanted = 0;
+  for (const w of YT_VARIANT_WORDS) {
+    const re = new RegExp(`\\b(?:${w})\\b`);
+    if (!re.test(title)) continue;
+    if (re.test(queryText)) wanted++; // "lạc trôi karaoke" -> ưu tiên đúng bản karaoke
+    else variants.push(w);
+  }
+  score += Math.min(0.3, wanted * 0.15);
+  score -= Math.min(0.5, variants.length * 0.25);
+
+  return { score: Math.round(score * 1000) / 1000, recall, variants };
+}
+
+function sameSong(a, b) {
+  const ta = new Set(songTokens(cleanMusicQuery(a.title)));
+  const tb = new Set(songTokens(cleanMusicQuery(b.title)));
+  const inter = [...ta].filter((w) => tb.has(w)).length;
+  return inter / Math.max(1, Math.min(ta.size, tb.size)) >= 0.8;
+}
+
+// -> { candidates (đã sort), top, confident, alternatives (bài khác để hỏi lại) }
+async function searchYouTubeCandidates(query, { n = YT_SEARCH_CANDIDATES, kind = "song", utterance = query } = {}) {
+  const raw = await searchYouTubeTopN(query, n);
+  const candidates = raw
+    .map((c, i) => ({ ...c, rank: i, ...scoreYoutubeCandidate(c, query, { kind, utterance }) }))
+    .sort((a, b) => b.score - a.score || a.rank - b.rank);
+
+  const top = candidates[0] || null;
+  const alternatives = top ? candidates.filter((c) => c !== top && c.score >= 0.35 && !c.variants.length && !sameSong(c, top)).slice(0, 1) : [];
+  const close = alternatives.length && top.score - alternatives[0].score < YT_AMBIGUOUS_MARGIN;
+  const confident = !!top && top.score >= YT_CONFIDENT_SCORE && !close;
+
+  console.log("🔎 YT_CANDIDATES:", {
+    q: query,
+    confident,
+    top: candidates.slice(0, 3).map((c) => ({ title: c.title, author: c.author, score: c.score, variants: c.variants })),
+  });
+  return { candidates, top, confident, alternatives };
+}
+
+async function searchYouTubeTop1(query) {
+  return (await searchYouTubeCandidates(query)).top;
+}
 
 function formatDuration(seconds) {
   if (typeof seconds !== "number" || !isFinite(seconds) || seconds < 0) return "";
@@ -1317,9 +3810,9 @@ function overrideLabelByText(label, text) {
       ],
       out: "nhac",
     },
-    { keys: ["qua trai", "xoay trai", "ben trai"], out: "trai" },
-    { keys: ["qua phai", "xoay phai", "ben phai"], out: "phai" },
-    { keys: ["tien", "di len"], out: "tien" },
+    { keys: ["qua trai", "xoay trai", "ben trai", "quay trai", "re trai"], out: "trai" },
+    { keys: ["qua phai", "xoay phai", "ben phai", "quay phai", "re phai"], out: "phai" },
+    { keys: ["tien", "di len", "di toi"], out: "tien" },
     { keys: ["lui", "di lui"], out: "lui" },
   ];
 
@@ -1329,6 +3822,91 @@ function overrideLabelByText(label, text) {
   return label;
 }
 
+/* ===========================================================================  
+   ✅ MOVEMENT COMMAND (parameterised)
+   "đi tới 2 bước" / "xoay trái 90 độ" / "lùi chậm lại"
+     -> { action, distance_cm, angle_deg, speed, repeat }
+   - publish lên ROBOT_MOVE_TOPIC (versioned), vẫn giữ robot/label cho firmware cũ
+===========================================================================*/
+const ROBOT_MOVE_TOPIC = process.env.ROBOT_MOVE_TOPIC || "robot/move/v1";
+const MOVE_STEP_CM = Number(process.env.MOVE_STEP_CM || 10);
+const MOVE_MAX_DISTANCE_CM = Number(process.env.MOVE_MAX_DISTANCE_CM || 300);
+const MOVE_MAX_REPEAT = Number(process.env.MOVE_MAX_REPEAT || 5);
+
+const MOVEMENT_ACTIONS = { tien: "forward", lui: "backward", trai: "left", phai: "right" };
+
+const VI_NUMBER_WORDS = {
+  mot: 1, hai: 2, ba: 3, bon: 4, tu: 4, nam: 5, sau: 6, bay: 7, tam: 8, chin: 9, muoi: 10,
+};
+
+// số dạng "2", "1,5" hoặc chữ "hai" (chỉ dùng khi đứng ngay trước đơn vị)
+const NUM_PATTERN = `(\\d+(?:[.,]\\d+)?|${Object.keys(VI_NUMBER_WORDS).join("|")})`;
+
+function parseViNumber(s = "") {
+  const t = String(s || "").trim();
+  if (Object.prototype.hasOwnProperty.call(VI_NUMBER_WORDS, t)) return VI_NUMBER_WORDS[t];
+  const n = Number(t.replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseMovementCommand(text = "", label = "") {
+  const action = MOVEMENT_ACTIONS[label];
+  if (!action) return null;
+
+  const t = stripDiacritics((text || "").toLowerCase()).replace(/°/g, " do ");
+
+  let distance_cm = null;
+  const mDist = t.match(new RegExp(`\\b${NUM_PATTERN}\\s*(buoc|cm|centimet|xen ti met|met|m)\\b`));
+  if (mDist) {
+    const n = parseViNumber(mDist[1]);
+    const unit = mDist[2];
+    if (n !== null) {
+      if (unit === "buoc") distance_cm = n * MOVE_STEP_CM;
+      else if (unit === "met" || unit === "m") distance_cm = n * 100;
+      else distance_cm = n;
+      distance_cm = Math.round(clamp(distance_cm, 0, MOVE_MAX_DISTANCE_CM));
+    }
+  }
+
+  let angle_deg = null;
+  const mAngle = t.match(new RegExp(`\\b${NUM_PATTERN}\\s*do\\b`));
+  if (mAngle) {
+    const n = parseViNumber(mAngle[1]);
+    if (n !== null) angle_deg = Math.round(clamp(n, 0, 360));
+  }
+
+  let speed = "normal";
+  if (/\b(cham|tu tu|nhe nhang|slow)\b/.test(t)) speed = "slow";
+  else if (/\b(nhanh|fast|chay)\b/.test(t)) speed = "fast";
+
+  let repeat = 1;
+  const mRepeat = t.match(new RegExp(`\\b${NUM_PATTERN}\\s*(lan|times)\\b`));
+  if (mRepeat) {
+    const n = parseViNumber(mRepeat[1]);
+    if (n !== null) repeat = Math.round(clamp(n, 1, MOVE_MAX_REPEAT));
+  }
+
+  return { action, distance_cm, angle_deg, speed, repeat };
+}
+
+function buildMovementAckText(cmd) {
+  const verbs = { forward: "đi tới", backward: "lùi lại", left: "quay trái", right: "quay phải" };
+  const parts = [verbs[cmd.action] || "di chuyển"];
+  if (cmd.distance_cm) parts.push(`${cmd.distance_cm} xen-ti-mét`);
+  if (cmd.angle_deg) parts.push(`${cmd.angle_deg} độ`);
+  if (cmd.speed === "slow") parts.push("chậm thôi");
+  if (cmd.speed === "fast") parts.push("thật nhanh");
+  if (cmd.repeat > 1) parts.push(`${cmd.repeat} lần`);
+  return `Dạ, em ${parts.join(" ")} nha.`;
+}
+
+function publishMovementCommand(cmd, { label = "", requestId = "", user = "" } = {}) {
+  const payload = { v: 1, id: requestId || makePidogRequestId(), label, user, ...cmd, time: Date.now() };
+  mqttClient.publish(ROBOT_MOVE_TOPIC, JSON.stringify(payload), { qos: 1 });
+  // legacy: firmware cũ chỉ đọc label trần (retained)
+  mqttClient.publish("robot/label", JSON.stringify({ label }), { qos: 1, retain: true });
+  return payload;
+}
 /* ===========================================================================  
    clap detect by STT text
 ===========================================================================*/
@@ -1338,797 +3916,3663 @@ function isClapText(text = "") {
   return keys.some((k) => t.includes(stripDiacritics(k)));
 }
 
-/* ===========================================================================  
-   ✅ PIDOG chat (MQTT) helpers
-===========================================================================*/
-function parsePidogChatPayload(raw = "") {
-  const payload = (raw || "").toString().trim();
-  if (!payload) return { id: "", text: "" };
-
-  try {
-    const data = JSON.parse(payload);
+/* ===========================================================================  
+   ✅ CONVERSATION MEMORY (server-side, per user/device)
+   - GPT branch đọc + ghi tự động, không cần Pi gửi meta.memory
+   - trim theo TTL, số lượt tối đa, và token budget
+   - chỉ nhớ khi biết user/device; HTTP không gửi user/device thì không dùng memory
+     (key theo IP sẽ gộp mọi thiết bị sau cùng 1 NAT)
+   - GET/DELETE /memory, /memory/export cần MEMORY_TOKEN (Bearer hoặc ?token=); chưa cấu hình -> chỉ localhost
+===========================================================================*/
+const MEMORY_TOKEN = process.env.MEMORY_TOKEN || "";
+const conversationStore = new Map();
+const CONV_MEMORY_TTL_MS = Number(process.env.CONV_MEMORY_TTL_MS || 6 * 60 * 60 * 1000);
+const CONV_MEMORY_MAX_TURNS = Number(process.env.CONV_MEMORY_MAX_TURNS || 12);
+const CONV_MEMORY_MAX_TOKENS = Number(process.env.CONV_MEMORY_MAX_TOKENS || 1500);
+
+// rough estimate (~4 chars / token), đủ dùng cho trim budget
+function estimateTokens(text = "") {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function normalizeConversationKey(key = "") {
+  return String(key || "").trim().slice(0, 120);
+}
+
+function trimConversationTurns(turns = [], { maxTurns = CONV_MEMORY_MAX_TURNS, maxTokens = CONV_MEMORY_MAX_TOKENS } = {}) {
+  const recent = (turns || []).slice(-Math.max(0, maxTurns));
+  const kept = [];
+  let budget = maxTokens;
+
+  // giữ các lượt mới nhất trước, bỏ lượt cũ khi vượt budget
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const m = recent[i];
+    const cost = estimateTokens(m.transcript) + estimateTokens(m.reply_text);
+    if (cost > budget) break;
+    budget -= cost;
+    kept.unshift(m);
+  }
+  return kept;
+}
+
+function getConversation(key) {
+  const k = normalizeConversationKey(key);
+  if (!k) return null;
+  const c = conversationStore.get(k);
+  if (!c) return null;
+  if (Date.now() - (c.updatedAt || 0) > CONV_MEMORY_TTL_MS) {
+    conversationStore.delete(k);
+    return null;
+  }
+  return c;
+}
+
+function getConversationTurns(key) {
+  return getConversation(key)?.turns || [];
+}
+
+function appendConversationTurn(key, { transcript = "", reply_text = "", label = "" } = {}) {
+  const k = normalizeConversationKey(key);
+  if (!k) return null;
+  const u = String(transcript || "").trim();
+  const a = String(reply_text || "").trim();
+  if (!u && !a) return null;
+
+  const now = Date.now();
+  const prev = getConversation(k);
+  const turns = [...(prev?.turns || []), { transcript: u, reply_text: a, label, ts: now }];
+
+  const record = {
+    key: k,
+    turns: trimConversationTurns(turns),
+    createdAt: prev?.createdAt || now,
+    updatedAt: now,
+  };
+  conversationStore.set(k, record);
+  return record;
+}
+
+function clearConversation(key) {
+  const k = normalizeConversationKey(key);
+  if (!k) return false;
+  return conversationStore.delete(k);
+}
+
+// Pi-provided memory (meta.memory) thắng; nếu không có thì dùng store của server
+function resolveChatMemory(userKey, memoryArr = []) {
+  const fromClient = Array.isArray(memoryArr) ? memoryArr.filter((m) => m && typeof m === "object") : [];
+  if (fromClient.length) return trimConversationTurns(fromClient);
+  return getConversationTurns(userKey);
+}
+
+function buildMemoryText(memoryArr = []) {
+  return (memoryArr || [])
+    .map((m, i) => {
+      const u = (m.transcript || "").trim();
+      const a = (m.reply_text || "").trim();
+      return `#${i + 1} USER: ${u}\n#${i + 1} BOT: ${a}`;
+    })
+    .join("\n\n");
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [k, c] of conversationStore.entries()) {
+    if (!c?.updatedAt || now - c.updatedAt > CONV_MEMORY_TTL_MS) conversationStore.delete(k);
+  }
+}, 30 * 60 * 1000);
+
+function getMemoryUserParam(req) {
+  return normalizeConversationKey(req.query.user || req.query.device || req.body?.user || req.body?.device || "");
+}
+
+function requireMemoryAuth(req, res, next) {
+  if (tokenAuthorized(req, MEMORY_TOKEN)) return next();
+  return res.status(401).json({ ok: false, error: "unauthorized" });
+}
+
+app.get("/memory", requireMemoryAuth, (req, res) => {
+  const user = getMemoryUserParam(req);
+  if (!user) return res.status(400).json({ ok: false, error: "Missing ?user=" });
+  const c = getConversation(user);
+  return res.json({ ok: true, user, turns: c?.turns || [], updatedAt: c?.updatedAt || null });
+});
+
+app.get("/memory/export", requireMemoryAuth, (req, res) => {
+  const user = getMemoryUserParam(req);
+  if (!user) return res.status(400).json({ ok: false, error: "Missing ?user=" });
+  const c = getConversation(user);
+  if (!c) return res.status(404).json({ ok: false, error: "No history for user" });
+
+  const safeName = user.replace(/[^a-zA-Z0-9_.-]+/g, "_");
+  res.setHeader("Content-Disposition", `attachment; filename="memory_${safeName}.json"`);
+  return res.json({ user, exportedAt: Date.now(), createdAt: c.createdAt, updatedAt: c.updatedAt, turns: c.turns });
+});
+
+app.delete("/memory", requireMemoryAuth, (req, res) => {
+  const user = getMemoryUserParam(req);
+  if (!user) return res.status(400).json({ ok: false, error: "Missing ?user=" });
+  const deleted = clearConversation(user);
+  console.log("🧹 MEMORY_WIPE:", { user, deleted });
+  return res.json({ ok: true, user, deleted });
+});
+
+/* ===========================================================================  
+   ✅ PIDOG chat (MQTT) helpers
+===========================================================================*/
+function parsePidogChatPayload(raw = "") {
+  const payload = (raw || "").toString().trim();
+  if (!payload) return { id: "", text: "" };
+
+  try {
+    const data = JSON.parse(payload);
     if (typeof data === "string") return { id: "", text: data.trim() };
     if (data && typeof data === "object") {
       const id = (data.id || data.Id || data.ID || "").toString().trim();
       const text = (data.text || data.transcript || data.message || data.msg || "").toString().trim();
-      return { id, text };
+      const user = (data.user || data.device || data.device_id || "").toString().trim();
+      return { id, text, user, voice: parseVoiceOptions(data) };
     }
   } catch { }
 
-  return { id: "", text: payload };
-}
+  return { id: "", text: payload, user: "" };
+}
+
+function makePidogRequestId() {
+  try {
+    return randomUUID().replace(/-/g, "");
+  } catch {
+    return `${Date.now().toString(16)}${Math.random().toString(16).slice(2, 10)}`;
+  }
+}
+
+// processing / done / error: retained -> Pi subscribe muộn vẫn nhận được trạng thái cuối
+function publishPidogChatStatus(id, status = "done", extra = {}) {
+  if (!id) return;
+  const event = status === "done" && extra.ok === false ? "error" : status;
+  const rec = getChatAnswer(id);
+  const payload = event === "done" && rec?.result
+    ? { ...normalizePidogResponse({ id, status: "done", ok: true, result: rec.result }), ...extra }
+    : { id, status: event, ...extra };
+  emitEvent("chat", { ...payload, status: event }, { robot: rec?.user, user: rec?.user });
+
+  if (!PIDOG_STATUS_MQTT) {
+    console.log("🧾 PIDOG_STATUS_UPDATE_HTTP_ONLY:", { id, status, ...extra });
+    return;
+  }
+
+  mqttClient.publish(`${PIDOG_CHAT_STATUS_PREFIX}/${id}`, JSON.stringify({ ...payload, status: event, ts: Date.now() }), {
+    qos: 1,
+    retain: true,
+  });
+  console.log("🧾 PIDOG_STATUS_UPDATE:", { id, status: event, ok: extra.ok });
+}
+
+// xoá retained message (publish payload rỗng + retain)
+function clearPidogChatStatus(id) {
+  if (!id) return;
+  if (!PIDOG_STATUS_MQTT) {
+    console.log("🧹 PIDOG_STATUS_CLEAR_HTTP_ONLY:", { id });
+    return;
+  }
+  mqttClient.publish(`${PIDOG_CHAT_STATUS_PREFIX}/${id}`, "", { qos: 1, retain: true });
+}
+
+// stage = event tiến độ, không retain; chỉ gửi cho request có chat answer (Pi đang chờ id đó)
+function logPidogStage(requestId, stage, extra = {}) {
+  if (!requestId) return;
+  console.log("🐾 PIDOG_STAGE:", { id: requestId, stage, ...extra });
+  if (!PIDOG_STATUS_MQTT || !chatAnswers.has(requestId)) return;
+  mqttClient.publish(
+    `${PIDOG_CHAT_STATUS_PREFIX}/${requestId}`,
+    JSON.stringify({ id: requestId, status: "stage", stage, ...extra, ts: Date.now() }),
+    { qos: 0 }
+  );
+}
+
+function normalizePidogResponse({ id, status = "done", ok = true, result = null, error = null } = {}) {
+  return {
+    ok: !!ok,
+    status,
+    id: id || "",
+    text: result?.transcript || "",
+    label: result?.label || "",
+    reply_text: result?.reply_text || "",
+    audio_url: result?.audio_url || null,
+    command: result?.command || null,
+    plan: result?.plan || null,
+    stream_url: result?.stream_url || null,
+    error: error || null,
+  };
+}
+
+/* ===========================================================================  
+   ✅ INTENT CLASSIFIER
+   - INTENT_CLASSIFIER_MODE=keyword (mặc định): rule cũ (overrideLabelByText...)
+   - INTENT_CLASSIFIER_MODE=llm: hỏi model -> {label, slots, confidence},
+     fallback về keyword khi model lỗi/timeout hoặc confidence < threshold
+===========================================================================*/
+const INTENT_CLASSIFIER_MODE = (process.env.INTENT_CLASSIFIER_MODE || "keyword").toLowerCase().trim();
+const INTENT_CLASSIFIER_MODEL = process.env.INTENT_CLASSIFIER_MODEL || "gpt-4.1-mini";
+const INTENT_CLASSIFIER_MIN_CONFIDENCE = Number(process.env.INTENT_CLASSIFIER_MIN_CONFIDENCE || 0.6);
+const INTENT_CLASSIFIER_TIMEOUT_MS = Number(process.env.INTENT_CLASSIFIER_TIMEOUT_MS || 4000);
+
+// giữ đúng vocabulary label cũ để Pi không phải đổi
+const INTENT_LABELS = ["clap", "stop_playback", "nhac", "tien", "lui", "trai", "phai", "question", "unknown"];
+
+function keywordClassifyIntent(text = "") {
+  let label = "unknown";
+  if (isClapText(text)) label = "clap";
+  else if (detectStopPlayback(text)) label = "stop_playback";
+  else {
+    label = overrideLabelByText("unknown", text);
+    // lệnh di chuyển đã khớp rule thì không để heuristic "tên bài hát" cướp mất
+    if (label !== "nhac" && !MOVEMENT_ACTIONS[label] && shouldAutoSwitchToMusic(text)) label = "nhac";
+  }
+  return { label, slots: {}, confidence: null, source: "keyword" };
+}
+
+function sanitizeIntentSlots(slots) {
+  const s = slots && typeof slots === "object" ? slots : {};
+  const str = (v) => (typeof v === "string" ? v.trim().slice(0, 160) : "");
+  const num = (v) => (Number.isFinite(Number(v)) && v !== null && v !== "" ? Number(v) : null);
+  return {
+    song: str(s.song),
+    artist: str(s.artist),
+    direction: str(s.direction),
+    duration_s: num(s.duration_s ?? s.duration),
+    // video dài -> podcast mode (parsePodcastMode)
+    mode: PODCAST_MODES.includes(s.mode) ? s.mode : null,
+    minutes: num(s.minutes),
+    translate: s.translate === true,
+  };
+}
+
+async function llmClassifyIntent(text = "") {
+  const system = `
+You classify one Vietnamese (or English) voice command for a pet dog robot.
+Return ONLY JSON: {"label": string, "slots": {"song": string, "artist": string, "direction": string, "duration_s": number|null, "mode": "full"|"summary"|"keypoints"|null, "minutes": number|null, "translate": boolean}, "confidence": number}
+
+Labels (exactly one):
+- "clap": transcript is a clapping / applause sound
+- "stop_playback": user wants to stop / turn off / skip music or video
+- "nhac": user explicitly wants to listen to a song, music, or a YouTube video (fill slots.song / slots.artist)
+  for a long video / podcast: slots.mode = "full" (read it all), "summary" (summarize) or "keypoints" (main points) only if asked,
+  slots.minutes = requested summary length in minutes, slots.translate = true if they want it in Vietnamese
+- "tien": move forward, "lui": move backward, "trai": turn/move left, "phai": turn/move right (fill slots.direction, slots.duration_s if said)
+- "question": a knowledge question
+- "unknown": normal chat / anything else
+
+Rules:
+- A short phrase is NOT music unless it clearly names a song or asks to play something.
+- confidence is in [0..1].
+`.trim();
+
+  const completion = await openai.chat.completions.create(
+    {
+      model: INTENT_CLASSIFIER_MODEL,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: String(text).slice(0, 500) },
+      ],
+      temperature: 0,
+      max_tokens: 160,
+      response_format: { type: "json_object" },
+    },
+    { timeout: INTENT_CLASSIFIER_TIMEOUT_MS, maxRetries: 0 }
+  );
+
+  const raw = completion.choices?.[0]?.message?.content?.trim() || "";
+  const js = JSON.parse(raw);
+  const label = String(js?.label || "").toLowerCase().trim();
+  if (!INTENT_LABELS.includes(label)) throw new Error(`invalid label: ${label.slice(0, 40)}`);
+
+  return {
+    label,
+    slots: sanitizeIntentSlots(js.slots),
+    confidence: Number.isFinite(Number(js.confidence)) ? clamp01(js.confidence) : 0,
+    source: "llm",
+  };
+}
+
+async function classifyIntent(text = "", { mode = INTENT_CLASSIFIER_MODE } = {}) {
+  if (mode !== "llm" || !String(text || "").trim()) return keywordClassifyIntent(text);
+
+  try {
+    const intent = await llmClassifyIntent(text);
+    if (intent.confidence >= INTENT_CLASSIFIER_MIN_CONFIDENCE) return intent;
+    console.log("⚠️ INTENT_LLM low confidence -> keyword:", { label: intent.label, confidence: intent.confidence });
+    return { ...keywordClassifyIntent(text), llm: { label: intent.label, confidence: intent.confidence } };
+  } catch (e) {
+    console.error("⚠️ INTENT_LLM fail -> keyword:", e?.message || e);
+    return keywordClassifyIntent(text);
+  }
+}
+/* ===========================================================================  
+   ✅ INTENT ROUTER (dùng chung cho MQTT /pidog/chat + HTTP /pi_upload_audio_v2)
+   - mỗi intent là 1 object { name, match(ctx), handle(ctx) } ngay trong server.js (chưa tách file riêng),
+     gắn vào router bằng registerIntent(handler, { before })
+   - thứ tự đăng ký = thứ tự ưu tiên, "chat" luôn match (fallback cuối)
+   - ctx: { text, label, intent, userKey, memoryArr, wantWait, requestId, transport, stream }
+===========================================================================*/
+const MOVEMENT_LABELS = ["tien", "lui", "trai", "phai"];
+const intentHandlers = [];
+
+function registerIntent(handler, { before = "" } = {}) {
+  if (!handler?.name || typeof handler.match !== "function" || typeof handler.handle !== "function") {
+    throw new Error("Intent handler needs name + match() + handle()");
+  }
+
+  const existing = intentHandlers.findIndex((h) => h.name === handler.name);
+  if (existing >= 0) intentHandlers.splice(existing, 1);
+
+  const at = before ? intentHandlers.findIndex((h) => h.name === before) : -1;
+  if (at >= 0) intentHandlers.splice(at, 0, handler);
+  else intentHandlers.push(handler);
+  return handler;
+}
+
+async function routeIntent(ctx = {}) {
+  const c = { ...ctx, text: ctx.text || "" };
+  if (!c.intent) c.intent = c.label ? { label: c.label, slots: {}, confidence: null, source: "caller" } : await classifyIntent(c.text);
+  c.label = c.intent.label;
+
+  for (const h of intentHandlers) {
+    if (!(await h.match(c))) continue;
+    throwIfJobAborted();
+    logPidogStage(c.requestId, "intent", {
+      intent: h.name,
+      label: c.label,
+      source: c.intent.source,
+      confidence: c.intent.confidence,
+      transport: c.transport,
+    });
+    return await h.handle(c);
+  }
+
+  return { status: "ok", transcript: c.text, label: c.label, reply_text: "", audio_url: null };
+}
+
+function publishRobotMusic(payload = {}) {
+  mqttClient.publish("robot/music", JSON.stringify(payload), { qos: 1 });
+}
+
+/* ---------- clap ---------- */
+const clapIntent = {
+  name: "clap",
+  match: (ctx) => ctx.label === "clap",
+  async handle(ctx) {
+    return { status: "ok", transcript: ctx.text, label: "clap", reply_text: "", audio_url: null };
+  },
+};
+
+/* ---------- stop playback ---------- */
+const stopPlaybackIntent = {
+  name: "stop_playback",
+  match: (ctx) => ctx.label === "stop_playback",
+  async handle(ctx) {
+    // không chờ lock (có thể đang tải bài); gen đã tăng ngay nên bài đó sẽ không phát
+    stopMusicQueue(ctx.userKey).catch((e) => console.error("⚠️ music queue stop error:", e?.message || e));
+    const replyText = "Dạ, em tắt nhạc nha.";
+    const audio_url = await textToSpeechMp3Pi(replyText, "stop", ctx.voice);
+    return { status: "ok", transcript: ctx.text, label: "stop_playback", reply_text: replyText, audio_url };
+  },
+};
+
+/* ---------- music (YouTube short / long podcast / iTunes fallback) ---------- */
+async function playMusicFromItunes(ctx, q) {
+  const { text, userKey, requestId } = ctx;
+  try {
+    logPidogStage(requestId, "itunes_fallback");
+    const introText = `Ây da, mình tìm được bài hát "${q}" rồi, mình sẽ cho bạn nghe đây, nghe vui nha.`;
+    const intro_url = await textToSpeechMp3Pi(introText, "music_intro", ctx.voice);
+    const songMp3Path = await downloadFromItunes(q, audioDir);
+
+    const introLocalPath = audioUrlToLocalPath(intro_url);
+    const final_audio_url = await concatMp3LocalToPublicUrl(introLocalPath, songMp3Path, "music_final");
+
+    safeUnlink(introLocalPath);
+    safeUnlink(songMp3Path);
+
+    publishRobotMusic({
+      label: "nhac",
+      text: introText,
+      audio_url: final_audio_url,
+      user: userKey,
+      source: "itunes",
+    });
+
+    return { status: "ok", transcript: text, label: "nhac", reply_text: introText, audio_url: final_audio_url, source: "itunes" };
+  } catch (e2) {
+    logPidogStage(requestId, "itunes_failed", { error: (e2?.message || String(e2)).slice(0, 180) });
+    const replyText = "Em không tìm thấy bài trên YouTube và iTunes. Anh nói lại tên bài + ca sĩ giúp em nha.";
+    const audio_url = await textToSpeechMp3Pi(replyText, "yt_fail", ctx.voice);
+    return { status: "ok", transcript: text, label: "nhac", reply_text: replyText, audio_url };
+  }
+}
+
+// LONG VIDEO => transcript -> GPT punctuation (hoặc tóm tắt / ý chính, dịch) -> podcast chunks
+// (job runner riêng: payload lưu trong job -> resume được sau restart)
+// chấm câu (+ dịch) các window [fromWindow, toWindow) của transcript podcast; deliver(text, i, n, range) theo đúng thứ tự
+function punctuatePodcastWindows(transcript, { sourceLang, translate = false, wordTimes = null, signal = null, fromWindow = 0, toWindow = Infinity, deliver }) {
+  // dịch tuần tự theo thứ tự window để session nối đúng trình tự
+  let translating = Promise.resolve();
+  const punctuating = punctuateTranscriptWithGpt(transcript, sourceLang, {
+    signal,
+    maxChars: PODCAST_MAX_CHARS,
+    fromWindow,
+    toWindow,
+    onWindow: (windowText, i, n, { from, to }) => {
+      const range = wordRangeTime(wordTimes, from, to);
+      if (!translate) return deliver(windowText, i, n, range);
+      translating = translating
+        .then(() => translateTextWithGpt(windowText, "vi", { signal }))
+        .catch((e) => {
+          if (!signal?.aborted) console.error("⚠️ translate window fail -> original text:", e?.message || e);
+          return windowText;
+        })
+        .then((out) => {
+          if (!signal?.aborted) deliver(out, i, n, range);
+        });
+    },
+  });
+  return punctuating.then(() => translating);
+}
+
+/* ===========================================================================  
+   ✅ JOB podcast_punctuate: chấm câu (+ dịch) các window còn lại của podcast full
+   - chạy trong hàng đợi như job khác: concurrency / timeout / retry, huỷ bằng DELETE /job
+   - job.windows_done: retry chạy tiếp từ window chưa nối vào session
+   - session hết hạn / đủ PODCAST_MAX_CHUNKS -> dừng sớm (không tính là lỗi)
+   - không resume khi restart: finalizeInterruptedPodcastSessions() chốt session với phần đã có
+===========================================================================*/
+async function punctuatePodcastTailJob({ podcast_id, transcript, sourceLang, translate = false, wordTimes = null, requestId = null }, { signal = null, job = null } = {}) {
+  const fromWindow = Math.max(1, Number(job?.windows_done || 1));
+  const stop = new AbortController();
+  const onJobAbort = () => stop.abort(signal.reason);
+  signal?.addEventListener("abort", onJobAbort, { once: true });
+  let settled = false;
+
+  try {
+    await punctuatePodcastWindows(transcript, {
+      sourceLang,
+      translate,
+      wordTimes,
+      fromWindow,
+      signal: stop.signal,
+      deliver: (windowText, i, n, range) => {
+        // session hết hạn / đã đủ PODCAST_MAX_CHUNKS -> dừng chấm câu (và dịch) các window còn lại
+        const cur = getPodcastSession(podcast_id);
+        if (!cur) return stop.abort("podcast_gone");
+        if (cur.complete) return stop.abort("podcast_full");
+        const after = appendPodcastText(podcast_id, windowText, { final: i === n - 1, range });
+        if (job?.id) patchJob(job.id, { windows_done: i + 1 });
+        logPidogStage(requestId, "punctuate_window", { podcast_id, window: i + 1, windows: n });
+        reportJobProgress(job?.id, "punctuate_window", { podcast_id, window: i + 1, windows: n });
+        if (after?.complete && i < n - 1) stop.abort("podcast_full");
+      },
+    });
+    settled = true;
+  } catch (e) {
+    if (signal?.aborted || !stop.signal.aborted) throw e;
+    settled = true;
+  } finally {
+    signal?.removeEventListener("abort", onJobAbort);
+    // lỗi mà hàng đợi còn retry -> để session mở cho attempt sau nối tiếp
+    const cur = job?.id ? getJob(job.id) : null;
+    const retrying = !settled && !!cur && cur.status !== "cancelled" && signal?.reason !== "cancelled" &&
+      Number(cur.attempts || 0) < Number(cur.maxAttempts || 1);
+    if (!retrying) appendPodcastText(podcast_id, "", { final: true });
+  }
+
+  const s = getPodcastSession(podcast_id);
+  return {
+    podcast_id,
+    windows_done: Number((job?.id && getJob(job.id)?.windows_done) || fromWindow),
+    total: s?.chunks.length ?? null,
+    stopped: stop.signal.aborted ? stop.signal.reason : null,
+  };
+}
+
+registerJobRunner("podcast_punctuate", punctuatePodcastTailJob, { concurrency: 2, priority: 6, timeoutMs: 10 * 60 * 1000, maxAttempts: 2, resumable: false });
+
+async function processLongPodcastJob({ ctx, q, top, mode = null }, { signal = null, job = null } = {}) {
+  const { text, userKey, requestId } = ctx;
+  const durationStr = formatDuration(top.seconds);
+  const podcastMode = mode || parsePodcastMode(text);
+  const stage = (name, extra = {}) => {
+    throwIfJobAborted();
+    logPidogStage(requestId, name, extra);
+    reportJobProgress(job?.id, name, extra);
+  };
+
+  console.log("📥 LONG_YT -> FETCH TRANSCRIPT REMOTE:", {
+    remote: REMOTE_YT_SERVER,
+    url: top.url,
+    title: top.title,
+    seconds: top.seconds,
+    duration: durationStr,
+    mode: podcastMode,
+  });
+
+  // 1) remote transcript (segments có mốc thời gian)
+  stage("transcript_fetch");
+  let segments = [];
+  try {
+    segments = await fetchRemoteTranscriptSegments(top.url, { signal });
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    console.error("⚠️ Remote transcript fetch error:", e?.message || e);
+    segments = [];
+  }
+
+  if (segments.length) {
+    console.log("✅ Remote transcript segments:", segments.length);
+  } else {
+    console.log("⚠️ Remote transcript empty -> fallback local captions (yt-dlp vtt)");
+    segments = await getYoutubeTranscriptSegmentsLocalFallback(top.url, { signal });
+  }
+
+  const transcript = segmentsToText(segments);
+  if (!transcript) {
+    throw new Error("No transcript available (remote + local captions both empty)");
+  }
+  const wordTimes = buildWordTimes(segments);
+  console.log("✅ Transcript length:", { chars: transcript.length, segments: segments.length, timed: !!wordTimes });
+
+  const sourceLang = detectTranscriptLang(transcript);
+  const translate = !!podcastMode.translate && sourceLang !== "vi";
+  const lang = translate ? "vi" : sourceLang;
+  if (job?.id) patchJob(job.id, { mode: podcastMode, source_lang: sourceLang, lang });
+  const sessionMeta = {
+    title: top.title,
+    url: top.url,
+    voice: ctx.voice,
+    user: userKey,
+    mode: podcastMode.mode,
+    minutes: podcastMode.mode === "summary" ? podcastMode.minutes : null,
+    sourceLang,
+    lang,
+    durationSec: top.seconds ?? null,
+  };
+
+  let podcast_id = null;
+  let punctuate_job_id = null;
+  if (podcastMode.mode !== "full") {
+    // 2) summary / key points -> 1 session hoàn chỉnh
+    console.log("🧾 Summarizing transcript by GPT...", { mode: podcastMode.mode, sourceLang, lang });
+    stage("summarize", { transcript_chars: transcript.length, mode: podcastMode.mode, source_lang: sourceLang });
+    const summary = await summarizeTranscriptWithGpt(transcript, { ...podcastMode, lang, signal });
+    if (!summary) throw new Error("Empty summary from GPT");
+    podcast_id = createPodcastSession({ ...sessionMeta, transcriptText: summary });
+  } else {
+    // 2) punctuation by GPT (map-reduce): job này chỉ chấm câu (+ dịch) window đầu rồi tạo session,
+    //    các window sau là job podcast_punctuate riêng nối dần vào session
+    console.log("✍️ Punctuating transcript by GPT...", { sourceLang, translate });
+    stage("punctuate", { transcript_chars: transcript.length, source_lang: sourceLang, translate });
+    let windows = 1;
+    await punctuatePodcastWindows(transcript, {
+      sourceLang,
+      translate,
+      wordTimes,
+      signal,
+      toWindow: 1,
+      deliver: (windowText, i, n, range) => {
+        windows = n;
+        // 3) create podcast session
+        podcast_id = createPodcastSession({ ...sessionMeta, transcriptText: windowText, complete: n === 1, range });
+      },
+    });
+    throwIfJobAborted();
+
+    if (podcast_id && windows > 1) {
+      const capped = transcript.replace(/\s+/g, " ").trim().slice(0, PODCAST_MAX_CHARS);
+      const wordCount = capped.split(" ").length;
+      punctuate_job_id = enqueueJob("podcast_punctuate", {
+        podcast_id,
+        transcript: capped,
+        sourceLang,
+        translate,
+        wordTimes: wordTimes ? { starts: wordTimes.starts.slice(0, wordCount + 1), end: wordTimes.end } : null,
+        requestId,
+      }, { meta: { podcast_id, parent_job_id: job?.id || null, user: userKey } });
+      stage("punctuate_queued", { podcast_id, windows, punctuate_job_id });
+    }
+  }
+
+  const s = getPodcastSession(podcast_id);
+  if (!s) throw new Error("Podcast session not created");
+  const total = s.chunks.length;
+
+  console.log("✅ PODCAST READY:", { podcast_id, total, complete: s.complete, mode: s.mode, sourceLang });
+
+  // 4) generate first audio chunk
+  const introText = podcastModeIntro(podcastMode, { title: top.title, duration: durationStr, translated: translate });
+  const firstChunk = s.chunks[0] || "";
+  const firstText = `${introText}\n\n${firstChunk}`.trim();
+
+  stage("tts_start", { podcast_id });
+  const audio_url = await textToSpeechMp3Long(firstText, `pod_first_${podcast_id}`, ctx.voice);
+  const position = s.times?.[0] || null;
+  emitEvent("podcast_chunk", { podcast_id, index: 0, total, audio_url, title: top.title, position }, { robot: userKey, user: userKey });
+  s.audio = { 0: audio_url };
+  podcastSessions.set(podcast_id, s);
+  prefetchPodcastChunks(s, 0).catch(() => { });
+
+  // publish MQTT first chunk (robot sẽ play)
+  publishRobotMusic({
+    label: "nhac",
+    text: introText,
+    audio_url,
+    user: userKey,
+    podcast: { podcast_id, index: 0, total, mode: s.mode, lang, position },
+    yt: { title: top.title, url: top.url, seconds: top.seconds, duration: durationStr, route: "podcast_transcript" },
+  });
+
+  return {
+    status: "ok",
+    transcript: text,
+    label: "nhac",
+    reply_text: introText,
+    audio_url,
+    play: null,
+    used_vision: false,
+    podcast: { podcast_id, index: 0, total, mode: s.mode, source_lang: sourceLang, lang, position, timed: !!wordTimes, punctuate_job_id },
+  };
+}
+
+registerJobRunner("yt_podcast", processLongPodcastJob, { concurrency: 1, priority: 5, timeoutMs: 10 * 60 * 1000, maxAttempts: 2 });
+
+async function playLongYoutubeAsPodcast(ctx, q, top) {
+  const { text, userKey, requestId, wantWait } = ctx;
+  const durationStr = formatDuration(top.seconds);
+  const mode = parsePodcastMode(text, ctx.intent?.slots || {});
+
+  const payload = { ctx: { text, userKey, requestId, transport: ctx.transport, voice: ctx.voice }, q, top, mode };
+  const jobMeta = {
+    type: "yt_podcast",
+    user: userKey,
+    stt: text,
+    q,
+    mode,
+    yt: { title: top.title, url: top.url, seconds: top.seconds, duration: durationStr },
+    remote: REMOTE_YT_SERVER,
+  };
+
+  if (!wantWait) {
+    const job_id = enqueueJob("yt_podcast", payload, { meta: jobMeta });
+    console.log("🧵 JOB_QUEUED:", { job_id, transport: ctx.transport, ...jobMeta });
+
+    return {
+      status: "processing",
+      job_id,
+      transcript: text,
+      label: "nhac",
+      title: top.title,
+      url: top.url,
+      seconds: top.seconds,
+      duration: durationStr,
+      route: "PODCAST_TRANSCRIPT",
+      mode,
+      remote: REMOTE_YT_SERVER,
+    };
+  }
+
+  const job_id = createJob({ ...jobMeta, payload, note: "sync_wait=1", inline: true });
+  // chat đang chờ podcast -> dời deadline của chat để timeout riêng của podcast (kể cả retry) được áp dụng
+  const podcastCfg = jobTypeConfig("yt_podcast");
+  extendJobDeadline(ctx.jobId, podcastCfg.timeoutMs * podcastCfg.maxAttempts + JOB_RETRY_MAX_MS);
+  try {
+    const result = await runJob(job_id, (signal, job) => processLongPodcastJob(payload, { signal, job }), { parentSignal: ctx.signal });
+    return { ...result, job_id };
+  } catch (e) {
+    console.error("❌ Podcast long error:", e?.message || e);
+    logPidogStage(requestId, "podcast_failed", { error: (e?.message || String(e)).slice(0, 180) });
+    const replyText = `Em bị lỗi khi lấy transcript cho video dài "${top.title}". Anh thử bài khác giúp em nha.`;
+    const audio_url = await textToSpeechMp3Pi(replyText, "yt_podcast_fail", ctx.voice);
+    return { status: "ok", transcript: text, label: "nhac", reply_text: replyText, audio_url, job_id };
+  }
+}
+
+// nguồn đã tìm ra bài (top.source, mặc định youtube) -> các nguồn còn lại theo MUSIC_SOURCES (hết nguồn -> throw lỗi cuối)
+async function downloadTrackMp3(q, top, { requestId = null } = {}) {
+  const first = top?.source || "youtube";
+  let lastErr = null;
+  for (const source of [first, ...MUSIC_SOURCES.filter((s) => s !== first)]) {
+    const [stage, failStage] = MUSIC_SOURCE_STAGES[source];
+    try {
+      logPidogStage(requestId, stage);
+      const songPath = await fetchFromMusicSource(source, q, top);
+      if (source !== first) console.log(`✅ Fallback to ${source} successful`);
+      return songPath;
+    } catch (e) {
+      lastErr = e;
+      logPidogStage(requestId, failStage, { error: (e?.message || String(e)).slice(0, 180) });
+      console.error(`⚠️ music source ${source} failed:`, e?.message || e);
+    }
+  }
+  throw lastErr || new Error("No music source available");
+}
+
+// SHORT VIDEO => tải mp3 local + ghép intro (bài trong thư viện local cũng đi đường này: top.source = "local")
+async function playShortYoutube(ctx, q, top) {
+  const { text, userKey, requestId } = ctx;
+  const durationStr = formatDuration(top.seconds);
+
+  const introText = `Ây da, mình tìm được bài hát "${top.title}" rồi, mình sẽ cho bạn nghe đây, nghe vui nha.`;
+  const intro_url = await textToSpeechMp3Pi(introText, "music_intro", ctx.voice);
+  let songMp3Path;
+  try {
+    songMp3Path = await downloadTrackMp3(q, top, { requestId });
+  } catch {
+    const replyText = "Em không tải được bài hát từ YouTube và iTunes. Anh thử bài khác giúp em nha.";
+    const audio_url = await textToSpeechMp3Pi(replyText, "download_fail", ctx.voice);
+    return { status: "ok", transcript: text, label: "nhac", reply_text: replyText, audio_url };
+  }
+  const introLocalPath = audioUrlToLocalPath(intro_url);
+  const final_audio_url = await concatMp3LocalToPublicUrl(introLocalPath, songMp3Path, "music_final");
+
+  safeUnlink(introLocalPath);
+  safeUnlink(songMp3Path);
+
+  publishRobotMusic({
+    label: "nhac",
+    text: introText,
+    audio_url: final_audio_url,
+    user: userKey,
+    ...(top.source === "local"
+      ? { source: "local", local: { id: top.id, title: top.title, artist: top.author, album: top.album } }
+      : { yt: { title: top.title, url: top.url, seconds: top.seconds, duration: durationStr, route: "local" } }),
+  });
+
+  return {
+    status: "ok",
+    transcript: text,
+    label: "nhac",
+    reply_text: introText,
+    audio_url: final_audio_url,
+    play: null,
+    used_vision: false,
+  };
+}
+
+async function playYoutubeTop(ctx, q, top) {
+  const { text, requestId } = ctx;
+  const isLong = typeof top?.seconds === "number" && top.seconds >= LONG_VIDEO_SECONDS;
+
+  console.log("🎵 YT_SEARCH_RESULT:", {
+    transport: ctx.transport,
+    stt: text,
+    q,
+    found: !!top?.url,
+    title: top?.title,
+    url: top?.url,
+    seconds: top?.seconds,
+    duration: formatDuration(top?.seconds),
+    route: isLong ? "PODCAST_TRANSCRIPT" : "LOCAL_YTDLP",
+  });
+
+  if (!top?.url) {
+    logPidogStage(requestId, "yt_not_found");
+    return await playMusicFromItunes(ctx, q);
+  }
+
+  if (isLong) return await playLongYoutubeAsPodcast(ctx, q, top);
+  return await playShortYoutube(ctx, q, top);
+}
+
+/* ---------- kết quả YouTube không chắc -> hỏi lại "bạn muốn bài A của X hay bài B của Y?" ---------- */
+const MUSIC_DISAMBIGUATE = String(process.env.MUSIC_DISAMBIGUATE ?? "1") === "1";
+const MUSIC_CHOICE_TTL_MS = Number(process.env.MUSIC_CHOICE_TTL_MS || 90 * 1000);
+const pendingMusicChoices = new Map(); // userKey -> { q, choices, createdAt }
+
+function shortSongTitle(title = "") {
+  return String(title || "")
+    .replace(/\(.*?\)|\[.*?\]/g, " ")
+    .replace(new RegExp(MUSIC_NOISE_RE.source, "gi"), " ")
+    .replace(/\b(music\s*video|video)\b/gi, " ")
+    .replace(/\s*[|｜]\s*(?=[|｜]|$)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 60);
+}
+
+function askMusicChoiceText(choices = []) {
+  const artist = (c) => String(c.author || "").replace(/\s*-\s*topic$|vevo$|\s*official$/i, "").trim();
+  const part = (c) => `bài "${shortSongTitle(c.title)}"${artist(c) ? ` của ${artist(c)}` : ""}`;
+  return `Bạn muốn ${choices.map(part).join(" hay ")}?`;
+}
+
+function getPendingMusicChoice(userKey) {
+  const p = pendingMusicChoices.get(userKey);
+  if (p && Date.now() - p.createdAt > MUSIC_CHOICE_TTL_MS) {
+    pendingMusicChoices.delete(userKey);
+    return null;
+  }
+  return p || null;
+}
+
+// câu trả lời -> index lựa chọn | -1 (huỷ) | null (không phải câu trả lời)
+function resolveMusicChoice(pending, text = "") {
+  const t = stripDiacritics(String(text || "").toLowerCase()).replace(/[.,!?]/g, " ").replace(/\s+/g, " ").trim();
+  if (/^(thoi|khong|huy|cancel|never\s*mind)\b/.test(t)) return -1;
+  if (/\b(dau\s*tien|thu\s*nhat|so\s*(1|mot)|cai\s*dau|bai\s*dau|bai\s*truoc|first)\b/.test(t)) return 0;
+  if (/\b(thu\s*(2|hai)|so\s*(2|hai)|cai\s*sau|bai\s*sau|second|cuoi)\b/.test(t)) return Math.min(1, pending.choices.length - 1);
+
+  // so tên bài / ca sĩ: chỉ tính từ riêng của từng lựa chọn
+  const words = new Set(songTokens(t));
+  const sets = pending.choices.map((c) => new Set(songTokens(`${cleanMusicQuery(c.title)} ${c.author}`)));
+  const scores = sets.map((set, i) =>
+    [...set].filter((w) => words.has(w) && !sets.some((other, j) => j !== i && other.has(w))).length
+  );
+  const best = Math.max(0, ...scores);
+  if (best > 0 && scores.filter((s) => s === best).length === 1) return scores.indexOf(best);
+  return null;
+}
+
+async function askMusicChoice(ctx, q, choices) {
+  const list = choices.map(({ url, title, author, seconds, score }) => ({ url, title, author, seconds, score }));
+  pendingMusicChoices.set(ctx.userKey, { q, choices: list, createdAt: Date.now() });
+
+  const replyText = askMusicChoiceText(list);
+  logPidogStage(ctx.requestId, "music_choice_ask", { choices: list.map((c) => `${c.title} (${c.score})`) });
+  const audio_url = await textToSpeechMp3Pi(replyText, "music_choice", ctx.voice);
+  return { status: "ok", transcript: ctx.text, label: "nhac", reply_text: replyText, audio_url, awaiting: "music_choice", choices: list };
+}
+
+const musicChoiceIntent = {
+  name: "music_choice",
+  match: (ctx) => {
+    const p = getPendingMusicChoice(ctx.userKey);
+    return !!p && resolveMusicChoice(p, ctx.text) !== null;
+  },
+  async handle(ctx) {
+    const p = getPendingMusicChoice(ctx.userKey);
+    const idx = resolveMusicChoice(p, ctx.text);
+    pendingMusicChoices.delete(ctx.userKey);
+    logPidogStage(ctx.requestId, "music_choice", { index: idx, title: p.choices[idx]?.title || null });
+
+    if (idx < 0) {
+      const replyText = "Dạ, vậy em không mở nữa nha.";
+      const audio_url = await textToSpeechMp3Pi(replyText, "music_choice", ctx.voice);
+      return { status: "ok", transcript: ctx.text, label: "nhac", reply_text: replyText, audio_url };
+    }
+    return await playYoutubeTop(ctx, p.q, p.choices[idx]);
+  },
+};
+
+const musicIntent = {
+  name: "nhac",
+  match: (ctx) => ctx.label === "nhac",
+  async handle(ctx) {
+    const { text, requestId } = ctx;
+    logPidogStage(requestId, "music_intent");
+    const slots = ctx.intent?.slots || {};
+    let q = (slots.song ? [slots.song, slots.artist].filter(Boolean).join(" ") : "") || extractSongQuery(text) || text;
+    if (containsPodcastModeIntent(text)) q = stripPodcastModeWords(q);
+    logPidogStage(requestId, "yt_search", { q_preview: String(q).slice(0, 120) });
+    pendingMusicChoices.delete(ctx.userKey);
+    const kind = musicSearchKind(text);
+    const { source, top, confident, alternatives } = await findMusicTrack(q, { kind, utterance: text });
+
+    if (source === "local") return await playShortYoutube(ctx, q, top);
+    if (source === "itunes") return await playMusicFromItunes(ctx, q);
+    if (!source) {
+      logPidogStage(requestId, "music_not_found", { sources: MUSIC_SOURCES });
+      const replyText = "Em không tìm thấy bài này. Anh nói lại tên bài + ca sĩ giúp em nha.";
+      const audio_url = await textToSpeechMp3Pi(replyText, "yt_fail", ctx.voice);
+      return { status: "ok", transcript: text, label: "nhac", reply_text: replyText, audio_url };
+    }
+
+    if (MUSIC_DISAMBIGUATE && !confident && alternatives.length) {
+      return await askMusicChoice(ctx, q, [top, ...alternatives]);
+    }
+    return await playYoutubeTop(ctx, q, top);
+  },
+};
+
+/* ---------- movement labels -> MQTT (structured command + legacy label) ---------- */
+const movementIntent = {
+  name: "movement",
+  match: (ctx) => MOVEMENT_LABELS.includes(ctx.label),
+  async handle(ctx) {
+    const { label, requestId, userKey } = ctx;
+    const cmd = parseMovementCommand(ctx.text, label);
+    const published = publishMovementCommand(cmd, { label, requestId, user: userKey });
+    logPidogStage(requestId, "movement_command", { topic: ROBOT_MOVE_TOPIC, ...cmd });
+
+    // ack bằng giọng nói; lỗi TTS không được chặn lệnh đã gửi
+    const replyText = buildMovementAckText(cmd);
+    let audio_url = null;
+    try {
+      audio_url = await textToSpeechMp3Pi(replyText, "move_ack", ctx.voice);
+    } catch (e) {
+      console.error("⚠️ movement ack TTS fail:", e?.message || e);
+    }
+
+    return { status: "ok", transcript: ctx.text, label, reply_text: replyText, audio_url, command: { ...cmd, id: published.id } };
+  },
+};
+
+/* ---------- GPT (chat / question) — TEXT ONLY ---------- */
+/* ---------- podcast: "đọc từ phút thứ 10" -> seek theo thời gian video ---------- */
+function parseSeekTimeCommand(text = "") {
+  const t = stripDiacritics(String(text || "").toLowerCase());
+  const m =
+    t.match(/\b(?:tu|den|toi|sang|ve)\s*phut\s*(?:thu\s*)?(\d+(?:[.,]\d+)?)(?:\s*(?:phut\s*)?(\d+)\s*giay)?/) ||
+    t.match(/\b(?:from|to)\s*minute\s*(\d+(?:[.,]\d+)?)/);
+  if (!m) return null;
+  return Number(m[1].replace(",", ".")) * 60 + Number(m[2] || 0);
+}
+
+const podcastSeekIntent = {
+  name: "podcast_seek",
+  match: (ctx) => parseSeekTimeCommand(ctx.text) != null && !!latestPodcastSessionForUser(ctx.userKey),
+  async handle(ctx) {
+    const sec = parseSeekTimeCommand(ctx.text);
+    const s = latestPodcastSessionForUser(ctx.userKey);
+    const out = await seekPodcastTime(s, sec);
+    logPidogStage(ctx.requestId, "podcast_seek", { podcast_id: s.id, seek_sec: sec, index: out.index, status: out.status || 200 });
+
+    if (out.audio_url) {
+      publishRobotMusic({ label: "podcast", action: "seek", audio_url: out.audio_url, user: s.user, podcast: { podcast_id: s.id, index: out.index, position: out.position } });
+      const replyText = `Dạ, em đọc từ phút ${Math.floor(sec / 60)}${sec % 60 ? ` giây ${Math.round(sec % 60)}` : ""} nha.`;
+      return { status: "ok", transcript: ctx.text, label: "podcast_seek", reply_text: replyText, audio_url: out.audio_url, podcast: { podcast_id: s.id, index: out.index, total: out.total, position: out.position } };
+    }
+
+    const replyText = out.pending
+      ? "Đoạn đó em chưa chuẩn bị xong, anh đợi chút rồi nói lại giúp em nha."
+      : out.status === 409
+        ? "Video này không có mốc thời gian nên em không tua được ạ."
+        : "Video không dài tới đoạn đó ạ.";
+    const audio_url = await textToSpeechMp3Pi(replyText, "podcast_seek", ctx.voice);
+    return { status: "ok", transcript: ctx.text, label: "podcast_seek", reply_text: replyText, audio_url };
+  },
+};
+
+const chatIntent = {
+  name: "chat",
+  match: () => true,
+  async handle(ctx) {
+    const { text, label, userKey, memoryArr, requestId } = ctx;
+    const useMemory = ctx.memory !== false;
+    const memoryText = buildMemoryText(useMemory ? resolveChatMemory(userKey, memoryArr) : trimConversationTurns(memoryArr));
+
+    const system = `
+Bạn là dog robot của Matthew. Trả lời ngắn gọn, dễ hiểu, thân thiện.
+Tạm thời KHÔNG mô tả ảnh. Trả lời dựa trên câu nói của người dùng.
+`.trim();
+
+    const messages = [{ role: "system", content: system }];
+    if (memoryText) messages.push({ role: "system", content: `Robot recent memory:\n${memoryText}`.slice(0, 6000) });
+
+    logPidogStage(requestId, "gpt_reply");
+    const completion = await openai.chat.completions.create({
+      model: "gpt-4.1-mini",
+      messages: [...messages, { role: "user", content: text }],
+      temperature: 0.25,
+      max_tokens: 260,
+    });
+
+    const replyText = completion.choices?.[0]?.message?.content?.trim() || "Em chưa hiểu câu này.";
+    if (useMemory) appendConversationTurn(userKey, { transcript: text, reply_text: replyText, label });
+
+    // streaming: trả URL ngay, audio được tổng hợp khi Pi bắt đầu đọc stream
+    if (ctx.stream) {
+      const { stream_url } = createTtsStream(replyText, ctx.voice);
+      logPidogStage(requestId, "tts_stream", { stream_url });
+      publishRobotMusic({ audio_url: stream_url, stream_url, text: replyText, label, user: userKey });
+      return { status: "ok", transcript: text, label, reply_text: replyText, audio_url: stream_url, stream_url, play: null, used_vision: false };
+    }
+
+    logPidogStage(requestId, "tts_start");
+    const audio_url = await textToSpeechMp3Pi(replyText, "pi_v2", ctx.voice);
+
+    publishRobotMusic({ audio_url, text: replyText, label, user: userKey });
+
+    return { status: "ok", transcript: text, label, reply_text: replyText, audio_url, play: null, used_vision: false };
+  },
+};
+
+registerIntent(musicChoiceIntent);
+registerIntent(clapIntent);
+registerIntent(stopPlaybackIntent);
+registerIntent(podcastSeekIntent);
+registerIntent(musicIntent);
+registerIntent(movementIntent);
+registerIntent(chatIntent);
+
+async function handlePidogChatText({
+  text = "",
+  userKey = "mqtt",
+  memoryArr = [],
+  wantWait = true,
+  requestId = "",
+  transport = "mqtt",
+  stream = TTS_STREAM_REPLIES,
+  voice = {},
+  memory = true,
+} = {}) {
+  logPidogStage(requestId, "start", { userKey, transport, stream, voice, text_preview: String(text).slice(0, 160) });
+  // chat live chạy ngay trong request (inline job): không chiếm / chờ slot JOB QUEUE dùng chung với podcast,
+  // vẫn có timeout + cancel (DELETE /job) như job thường
+  const payload = { text, userKey, memoryArr, wantWait, requestId, transport, stream, voice, memory };
+  const job_id = createJob({ type: "chat", user: userKey, request_id: requestId, transport, inline: true });
+  return await runJob(job_id, (signal, job) => runChatTurn(payload, { signal, job }));
+}
+
+function runChatTurn(payload, { signal = null, job = null } = {}) {
+  return routeIntent({ ...payload, signal, jobId: job?.id || null });
+}
+
+registerJobRunner("chat", runChatTurn, {
+  timeoutMs: 6 * 60 * 1000,
+  maxAttempts: 1,
+  resumable: false,
+  publishStatus: false, // đã có ${PIDOG_CHAT_STATUS_PREFIX}/<id>
+});
+
+async function handlePidogChatRequest(rawPayload) {
+  console.log("📥 PIDOG_CHAT_REQUEST_RAW:", String(rawPayload || "").slice(0, 220));
+  const { id, text, user, voice } = parsePidogChatPayload(rawPayload);
+  if (!id) {
+    console.warn("PIDOG chat request missing id");
+    return;
+  }
+
+  console.log("🧾 PIDOG_CHAT_REQUEST_PARSED:", { id, text_preview: String(text || "").slice(0, 160) });
+
+  const existing = getChatAnswer(id);
+  if (existing?.status === "done") {
+    publishPidogChatStatus(id, "done", { ok: !existing.error });
+    return;
+  }
+
+  if (chatRequestsInFlight.has(id)) return;
+  chatRequestsInFlight.add(id);
+  saveChatAnswer(id, { status: "processing", user: user || "mqtt_pidog" });
+  publishPidogChatStatus(id, "processing", { ok: true });
+
+  try {
+    const cleaned = cleanTranscriptText(text);
+    const finalText = cleaned || text || "";
+    if (!finalText) {
+      const errMsg = "empty_text";
+      saveChatAnswer(id, { status: "error", error: errMsg });
+      publishPidogChatStatus(id, "done", { ok: false, error: errMsg });
+      return;
+    }
+
+    // conversation memory keyed theo device/user (fallback: 1 robot mặc định)
+    const userKey = user || "mqtt_pidog";
+    const result = await handlePidogChatText({ text: finalText, userKey, memoryArr: [], wantWait: true, requestId: id, transport: "mqtt", voice });
+    saveChatAnswer(id, { status: "done", result, error: null });
+    publishPidogChatStatus(id, "done", { ok: true });
+  } catch (e) {
+    const errMsg = e?.message || String(e);
+    saveChatAnswer(id, { status: "error", error: errMsg });
+    publishPidogChatStatus(id, "done", { ok: false, error: errMsg });
+  } finally {
+    chatRequestsInFlight.delete(id);
+  }
+}
+
+/* ===========================================================================  
+   ✅ MUSIC QUEUE (hàng chờ nhạc theo robot)
+   - robot key = user / device (giống userKey của /pidog/chat/request)
+   - enqueue / dequeue / skip / clear / shuffle / repeat (off | one | all): giọng nói + REST /music/queue/*
+   - đang phát 1 bài -> chuẩn bị sẵn bài kế (download + intro concat)
+   - robot báo phát xong (MQTT MUSIC_DONE_TOPIC / POST /music/queue/finished) -> publish bài kế lên robot/music
+===========================================================================*/
+const MUSIC_QUEUE_MAX = Number(process.env.MUSIC_QUEUE_MAX || 50);
+const MUSIC_QUEUE_TTL_MS = Number(process.env.MUSIC_QUEUE_TTL_MS || 6 * 60 * 60 * 1000);
+const MUSIC_QUEUE_ARTIST_TRACKS = Number(process.env.MUSIC_QUEUE_ARTIST_TRACKS || 5);
+const MUSIC_DONE_TOPIC = process.env.MUSIC_DONE_TOPIC || "robot/music/done";
+const MUSIC_REPEAT_MODES = ["off", "one", "all"];
+
+const musicQueues = createStateStore("music_queues");
+const musicPrepInFlight = new Map(); // item_id -> Promise<audio_url>
+const musicQueueLocks = new Map(); // robot -> Promise (mọi thao tác sửa hàng chờ chạy tuần tự)
+const musicStopGen = new Map(); // robot -> số lần "tắt nhạc"; bài đang tải xong mà gen đã đổi thì không phát
+
+function getMusicQueue(robot) {
+  const key = robot || "default";
+  return musicQueues.get(key) || {
+    robot: key,
+    items: [],
+    current: null,
+    history: [],
+    repeat: "off",
+    playing: false,
+    prepared: {}, // item_id -> audio_url (intro + bài)
+    voice: {},
+    updatedAt: Date.now(),
+  };
+}
+
+function summarizeMusicQueue(mq) {
+  const brief = (it) => it && { id: it.id, title: it.title, url: it.url, seconds: it.seconds, author: it.author || "" };
+  return {
+    robot: mq.robot,
+    playing: !!mq.playing,
+    repeat: mq.repeat,
+    current: mq.current ? { ...brief(mq.current), audio_url: mq.current.audio_url, startedAt: mq.current.startedAt } : null,
+    items: mq.items.map(brief),
+    prepared: mq.items.filter((it) => mq.prepared?.[it.id]).map((it) => it.id),
+    history: mq.history.slice(-5),
+  };
+}
+
+function saveMusicQueue(mq) {
+  mq.updatedAt = Date.now();
+  musicQueues.set(mq.robot, mq);
+  emitEvent("music_queue", summarizeMusicQueue(mq), { robot: mq.robot, user: mq.robot });
+  return mq;
+}
+
+function withMusicQueueLock(robot, fn) {
+  const prev = musicQueueLocks.get(robot) || Promise.resolve();
+  const p = prev.catch(() => { }).then(fn);
+  musicQueueLocks.set(robot, p);
+  p.catch(() => { }).finally(() => {
+    if (musicQueueLocks.get(robot) === p) musicQueueLocks.delete(robot);
+  });
+  return p;
+}
+
+function newQueueItem(top, q) {
+  return {
+    id: `trk_${Date.now()}_${Math.random().toString(16).slice(2, 8)}`,
+    q: q || top.title,
+    title: top.title,
+    url: top.url,
+    seconds: top.seconds,
+    author: top.author || "",
+    source: top.source || "youtube",
+    file: top.file || null,
+    addedAt: Date.now(),
+  };
+}
+
+function musicQueueActive(robot) {
+  const mq = musicQueues.get(robot || "default");
+  return !!mq && (!!mq.current || mq.items.length > 0);
+}
+
+async function prepareQueueTrack(mq, item) {
+  const ready = mq.prepared?.[item.id];
+  if (ready && resolveLocalAudioPath(ready)) return ready;
+  if (musicPrepInFlight.has(item.id)) return await musicPrepInFlight.get(item.id);
+
+  const p = (async () => {
+    const introText = `Mời bạn nghe "${item.title}".`;
+    const intro_url = await textToSpeechMp3Pi(introText, "music_intro", mq.voice);
+    const songMp3Path = await downloadTrackMp3(item.q, item);
+    const introLocalPath = audioUrlToLocalPath(intro_url);
+    const audio_url = await concatMp3LocalToPublicUrl(introLocalPath, songMp3Path, "music_queue");
+    safeUnlink(introLocalPath);
+    safeUnlink(songMp3Path);
+
+    const cur = musicQueues.get(mq.robot);
+    if (cur) {
+      cur.prepared = { ...(cur.prepared || {}), [item.id]: audio_url };
+      musicQueues.set(cur.robot, cur);
+    }
+    return audio_url;
+  })().finally(() => musicPrepInFlight.delete(item.id));
+  musicPrepInFlight.set(item.id, p);
+  return await p;
+}
+
+// chuẩn bị nền bài sẽ phát sau bài hiện tại
+function prepareNextQueueTrack(robot) {
+  const mq = musicQueues.get(robot);
+  const next = mq?.repeat === "one" ? null : mq?.items[0];
+  if (!next) return;
+  prepareQueueTrack(mq, next).catch((e) => {
+    console.error("⚠️ music queue prepare fail:", { robot, title: next.title, error: e?.message || e });
+  });
+}
+
+async function playQueueItem(mq, item, { action = "play" } = {}) {
+  const gen = musicStopGen.get(mq.robot) || 0;
+  const audio_url = await prepareQueueTrack(mq, item);
+  mq = getMusicQueue(mq.robot);
+  if ((musicStopGen.get(mq.robot) || 0) !== gen) {
+    // bị "tắt nhạc" trong lúc tải: trả bài về đầu hàng chờ, không publish
+    if (!mq.items.some((it) => it.id === item.id)) mq.items.unshift(item);
+    mq.current = null;
+    mq.playing = false;
+    saveMusicQueue(mq);
+    console.log("⏹️ MUSIC_QUEUE_PLAY cancelled by stop:", { robot: mq.robot, title: item.title });
+    return null;
+  }
+  mq.current = { ...item, audio_url, startedAt: Date.now() };
+  mq.playing = true;
+  saveMusicQueue(mq);
+
+  publishRobotMusic({
+    label: "nhac",
+    action,
+    text: `Mời bạn nghe "${item.title}".`,
+    audio_url,
+    user: mq.robot,
+    queue: { item_id: item.id, remaining: mq.items.length, repeat: mq.repeat },
+    source: item.source || "youtube",
+    yt: { title: item.title, url: item.url, seconds: item.seconds, duration: formatDuration(item.seconds), route: "queue" },
+  });
+  console.log("🎶 MUSIC_QUEUE_PLAY:", { robot: mq.robot, action, title: item.title, remaining: mq.items.length });
+  prepareNextQueueTrack(mq.robot);
+  return { audio_url, item };
+}
+
+// sang bài kế: repeat one -> phát lại (khi phát xong), repeat all -> bài vừa xong về cuối hàng
+async function advanceMusicQueue(robot, { reason = "finished" } = {}) {
+  const mq = getMusicQueue(robot);
+  const done = mq.current;
+  if (done) {
+    const { audio_url, startedAt, ...item } = done;
+    if (mq.repeat === "one" && reason === "finished") return await playQueueItem(mq, item, { action: "repeat" });
+    mq.history = [...mq.history, { id: item.id, title: item.title, url: item.url, author: item.author, playedAt: startedAt }].slice(-20);
+    if (mq.repeat === "all") mq.items.push(item);
+    else delete mq.prepared[item.id];
+  }
+  mq.current = null;
+
+  const gen = musicStopGen.get(mq.robot) || 0;
+  while (mq.items.length && (musicStopGen.get(mq.robot) || 0) === gen) {
+    const item = mq.items.shift();
+    saveMusicQueue(mq);
+    try {
+      return await playQueueItem(mq, item, { action: done ? "next" : "play" });
+    } catch (e) {
+      console.error("⚠️ music queue track fail -> skip:", { robot, title: item.title, error: e?.message || e });
+      delete mq.prepared[item.id];
+    }
+  }
+
+  mq.playing = false;
+  saveMusicQueue(mq);
+  return null;
+}
+
+async function enqueueMusic(robot, q, { next = false, voice = null } = {}) {
+  const { top } = await findMusicTrack(q);
+  if (!top?.url && !top?.file) return { ok: false, error: "not_found", q };
+  if (typeof top.seconds === "number" && top.seconds >= LONG_VIDEO_SECONDS) return { ok: false, error: "too_long", q, title: top.title };
+
+  return await withMusicQueueLock(robot, async () => {
+    const mq = getMusicQueue(robot);
+    if (mq.items.length >= MUSIC_QUEUE_MAX) return { ok: false, error: "queue_full", q };
+    if (voice) mq.voice = voice;
+
+    const item = newQueueItem(top, q);
+    if (next) mq.items.unshift(item);
+    else mq.items.push(item);
+    saveMusicQueue(mq);
+
+    const started = mq.playing ? null : await advanceMusicQueue(mq.robot, { reason: "start" });
+    if (!started && mq.items[0]?.id === item.id) prepareNextQueueTrack(mq.robot);
+    const cur = getMusicQueue(mq.robot);
+    return {
+      ok: true,
+      item,
+      position: started ? 0 : cur.items.findIndex((it) => it.id === item.id) + 1,
+      audio_url: started?.audio_url || null,
+      queue: summarizeMusicQueue(cur),
+    };
+  });
+}
+
+// "phát thêm nhạc của <ca sĩ>" (không nói tên -> ca sĩ của bài đang phát)
+async function enqueueMoreByArtist(robot, artist = "", { voice = null } = {}) {
+  const mq = getMusicQueue(robot);
+  const who = (artist || mq.current?.author || mq.history.at(-1)?.author || "").trim();
+  if (!who) return { ok: false, error: "no_artist" };
+
+  const known = new Set([mq.current?.url, ...mq.items.map((it) => it.url)].filter(Boolean));
+  const tops = (await searchYouTubeTopN(who, MUSIC_QUEUE_ARTIST_TRACKS * 3))
+    .filter((t) => !known.has(t.url) && !(typeof t.seconds === "number" && t.seconds >= LONG_VIDEO_SECONDS))
+    .slice(0, MUSIC_QUEUE_ARTIST_TRACKS);
+  if (!tops.length) return { ok: false, error: "not_found", artist: who };
+
+  return await withMusicQueueLock(robot, async () => {
+    const cur = getMusicQueue(robot);
+    if (voice) cur.voice = voice;
+    const items = tops.slice(0, Math.max(0, MUSIC_QUEUE_MAX - cur.items.length)).map((t) => newQueueItem(t, `${t.title} ${who}`));
+    if (!items.length) return { ok: false, error: "queue_full" };
+    cur.items.push(...items);
+    saveMusicQueue(cur);
+
+    const started = cur.playing ? null : await advanceMusicQueue(cur.robot, { reason: "start" });
+    if (!started) prepareNextQueueTrack(cur.robot);
+    return { ok: true, artist: who, added: items.length, audio_url: started?.audio_url || null, queue: summarizeMusicQueue(getMusicQueue(robot)) };
+  });
+}
+
+// by: { id } | { index } (1-based) | { title } (so khớp không dấu)
+async function dequeueMusic(robot, { id = "", index = null, title = "" } = {}) {
+  return await withMusicQueueLock(robot, async () => {
+    const mq = getMusicQueue(robot);
+    const key = stripDiacritics(String(title || "").toLowerCase()).trim();
+    const at = id
+      ? mq.items.findIndex((it) => it.id === id)
+      : index != null
+        ? Number(index) - 1
+        : key
+          ? mq.items.findIndex((it) => stripDiacritics(it.title.toLowerCase()).includes(key))
+          : -1;
+    if (!Number.isInteger(at) || at < 0 || at >= mq.items.length) return { ok: false, error: "not_in_queue" };
+
+    const [removed] = mq.items.splice(at, 1);
+    delete mq.prepared[removed.id];
+    saveMusicQueue(mq);
+    if (at === 0) prepareNextQueueTrack(mq.robot);
+    return { ok: true, removed, queue: summarizeMusicQueue(mq) };
+  });
+}
+
+async function clearMusicQueue(robot) {
+  return await withMusicQueueLock(robot, async () => {
+    const mq = getMusicQueue(robot);
+    const cleared = mq.items.length;
+    for (const it of mq.items) delete mq.prepared[it.id];
+    mq.items = [];
+    saveMusicQueue(mq);
+    return { ok: true, cleared, queue: summarizeMusicQueue(mq) };
+  });
+}
+
+async function shuffleMusicQueue(robot) {
+  return await withMusicQueueLock(robot, async () => {
+    const mq = getMusicQueue(robot);
+    for (let i = mq.items.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [mq.items[i], mq.items[j]] = [mq.items[j], mq.items[i]];
+    }
+    saveMusicQueue(mq);
+    prepareNextQueueTrack(mq.robot);
+    return { ok: true, queue: summarizeMusicQueue(mq) };
+  });
+}
+
+async function setMusicRepeat(robot, mode = "off") {
+  if (!MUSIC_REPEAT_MODES.includes(mode)) return { ok: false, error: `mode must be ${MUSIC_REPEAT_MODES.join("|")}` };
+  return await withMusicQueueLock(robot, async () => {
+    const mq = getMusicQueue(robot);
+    mq.repeat = mode;
+    saveMusicQueue(mq);
+    prepareNextQueueTrack(mq.robot);
+    return { ok: true, repeat: mode, queue: summarizeMusicQueue(mq) };
+  });
+}
+
+async function skipMusic(robot) {
+  return await withMusicQueueLock(robot, async () => {
+    const played = await advanceMusicQueue(robot, { reason: "skip" });
+    if (!played) publishRobotMusic({ label: "nhac", action: "stop", user: robot, queue: { remaining: 0 } });
+    return { ok: true, audio_url: played?.audio_url || null, item: played?.item || null, queue: summarizeMusicQueue(getMusicQueue(robot)) };
+  });
+}
+
+// robot báo phát xong; item_id lệch bài hiện tại (báo trễ / trùng) -> bỏ qua
+async function handleMusicFinished(robot, itemId = "") {
+  return await withMusicQueueLock(robot, async () => {
+    const mq = musicQueues.get(robot);
+    if (!mq?.playing || !mq.current) return { ok: true, ignored: "not_playing" };
+    if (itemId && mq.current.id !== itemId) return { ok: true, ignored: "stale_item" };
+    const played = await advanceMusicQueue(robot, { reason: "finished" });
+    return { ok: true, audio_url: played?.audio_url || null, item: played?.item || null, queue: summarizeMusicQueue(getMusicQueue(robot)) };
+  });
+}
+
+// "tắt nhạc": giữ hàng chờ nhưng không tự chuyển bài nữa
+// tăng gen ngay (không chờ lock) để bài đang tải dở không được publish sau lệnh tắt
+async function stopMusicQueue(robot) {
+  const key = robot || "default";
+  musicStopGen.set(key, (musicStopGen.get(key) || 0) + 1);
+  return await withMusicQueueLock(key, async () => {
+    const mq = musicQueues.get(key);
+    if (!mq?.playing && !mq?.current) return;
+    mq.playing = false;
+    mq.current = null;
+    saveMusicQueue(mq);
+  });
+}
+
+function handleMusicDoneMessage(msg = "") {
+  let data = {};
+  try { data = JSON.parse(msg || "{}"); } catch { data = {}; }
+  const robot = String(data.robot || data.user || data.device || "mqtt_pidog").trim();
+  handleMusicFinished(robot, String(data.item_id || data.id || "")).catch((e) => {
+    console.error("⚠️ music done handler error:", e?.message || e);
+  });
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [robot, mq] of musicQueues.entries()) {
+    if (now - (mq?.updatedAt || 0) > MUSIC_QUEUE_TTL_MS) musicQueues.delete(robot);
+  }
+}, 30 * 60 * 1000);
+
+/* ---------- voice: "thêm bài X vào danh sách", "bài tiếp theo", "trộn bài", "lặp lại bài này" ... ---------- */
+function parseMusicQueueCommand(text = "") {
+  const t = stripDiacritics(String(text || "").toLowerCase()).replace(/[.,!?]/g, " ").replace(/\s+/g, " ").trim();
+  const LIST = "(?:danh\\s*sach(?:\\s*phat)?|hang\\s*cho|playlist|queue)";
+  let m;
+
+  if (/\b(tat|khong|bo|dung)\s*lap\b|\brepeat\s*off\b/.test(t)) return { op: "repeat", mode: "off" };
+  if (new RegExp(`\\blap\\s*(lai\\s*)?(ca\\s*|toan\\s*bo\\s*|het\\s*)?(${LIST}|tat\\s*ca)\\b|\\brepeat\\s*all\\b`).test(t)) return { op: "repeat", mode: "all" };
+  if (/\blap\s*(lai\s*)?(bai\s*nay|mot\s*bai|1\s*bai)\b|\brepeat\s*(one|this)\b/.test(t)) return { op: "repeat", mode: "one" };
+  if (new RegExp(`\\b(tron|xao)\\s*(bai|${LIST})\\b|\\bphat\\s*ngau\\s*nhien\\b|\\bshuffle\\b`).test(t)) return { op: "shuffle" };
+  if (new RegExp(`\\b(xoa|don)\\s*(het\\s*|sach\\s*)?${LIST}\\b|\\bclear\\s*(the\\s*)?(queue|playlist)\\b`).test(t)) return { op: "clear" };
+  if ((m = t.match(/\b(?:xoa|bo)\s*bai\s*(?:so\s*)?(\d+)\b/))) return { op: "dequeue", index: Number(m[1]) };
+  if ((m = t.match(new RegExp(`\\b(?:xoa|bo)\\s*(?:bai\\s*)?(.+?)\\s*(?:ra\\s*)?khoi\\s*${LIST}\\b`)))) return { op: "dequeue", title: m[1] };
+  if (new RegExp(`\\b${LIST}\\s*(co\\s*)?(gi|nhung\\s*bai\\s*nao|bai\\s*nao|may\\s*bai)\\b|\\bwhat'?s\\s*in\\s*the\\s*queue\\b`).test(t)) return { op: "list" };
+  if (/\b(bai\s*(tiep\s*theo|ke\s*tiep|sau)|qua\s*bai|chuyen\s*bai|next\s*(song|track)?|skip|bo\s*qua)\b/.test(t)) return { op: "skip" };
+  if ((m = t.match(/\b(?:them|phat\s*them|mo\s*them|nghe\s*them)\s*(?:nhac|bai|may\s*bai|vai\s*bai|nhieu\s*bai)?\s*(?:hat\s*)?(?:khac\s*)?(?:cua|by)\s+(.+)$/))) {
+    const artist = m[1].replace(/\b(ca\s*si|nghe\s*si|ban)\s*(nay|do)\b/, "").trim();
+    return { op: "artist", artist };
+  }
+  if ((m = t.match(new RegExp(`\\bthem\\s*(?:bai\\s*(?:hat\\s*)?)?(.+?)\\s*(?:vao|toi)\\s*${LIST}\\b`))) || (m = t.match(/\badd\s+(.+?)\s+to\s+(?:the\s+)?(?:queue|playlist)\b/))) {
+    return { op: "enqueue", q: m[1].trim() };
+  }
+  return null;
+}
+
+const MUSIC_QUEUE_ERRORS = {
+  not_found: "Em không tìm thấy bài đó trên YouTube ạ.",
+  too_long: "Video đó dài quá, em không thêm vào hàng chờ được ạ.",
+  queue_full: "Hàng chờ đầy rồi ạ.",
+  no_artist: "Anh muốn nghe thêm nhạc của ca sĩ nào ạ?",
+  not_in_queue: "Em không thấy bài đó trong hàng chờ ạ.",
+};
+
+async function runMusicQueueCommand(robot, cmd, { voice = null } = {}) {
+  if (cmd.op === "enqueue") {
+    const out = await enqueueMusic(robot, cmd.q, { voice });
+    if (!out.ok) return { out, replyText: MUSIC_QUEUE_ERRORS[out.error] };
+    return { out, replyText: out.audio_url ? "" : `Dạ, em thêm "${out.item.title}" vào hàng chờ, vị trí số ${out.position}.` };
+  }
+  if (cmd.op === "artist") {
+    const out = await enqueueMoreByArtist(robot, cmd.artist, { voice });
+    if (!out.ok) return { out, replyText: MUSIC_QUEUE_ERRORS[out.error] };
+    return { out, replyText: out.audio_url ? "" : `Dạ, em thêm ${out.added} bài của ${out.artist} vào hàng chờ.` };
+  }
+  if (cmd.op === "skip") {
+    const out = await skipMusic(robot);
+    return { out, replyText: out.audio_url ? "" : "Hết bài trong hàng chờ rồi ạ." };
+  }
+  if (cmd.op === "dequeue") {
+    const out = await dequeueMusic(robot, cmd);
+    return { out, replyText: out.ok ? `Dạ, em bỏ "${out.removed.title}" khỏi hàng chờ.` : MUSIC_QUEUE_ERRORS[out.error] };
+  }
+  if (cmd.op === "clear") {
+    const out = await clearMusicQueue(robot);
+    return { out, replyText: `Dạ, em xoá ${out.cleared} bài trong hàng chờ rồi.` };
+  }
+  if (cmd.op === "shuffle") return { out: await shuffleMusicQueue(robot), replyText: "Dạ, em trộn thứ tự hàng chờ rồi." };
+  if (cmd.op === "repeat") {
+    const labels = { off: "Dạ, em tắt lặp lại.", one: "Dạ, em lặp lại bài này.", all: "Dạ, em lặp lại cả hàng chờ." };
+    return { out: await setMusicRepeat(robot, cmd.mode), replyText: labels[cmd.mode] };
+  }
+
+  const q = summarizeMusicQueue(getMusicQueue(robot));
+  const names = q.items.slice(0, 5).map((it, i) => `${i + 1}. ${it.title}`).join(". ");
+  return { out: { ok: true, queue: q }, replyText: q.items.length ? `Hàng chờ có ${q.items.length} bài: ${names}.` : "Hàng chờ đang trống ạ." };
+}
+
+const musicQueueIntent = {
+  name: "music_queue",
+  match: (ctx) => {
+    const cmd = parseMusicQueueCommand(ctx.text);
+    if (!cmd) return false;
+    // lệnh điều khiển chỉ bắt khi robot đang có hàng chờ ("bỏ qua" thường -> stop_playback)
+    return cmd.op === "enqueue" || cmd.op === "artist" || musicQueueActive(ctx.userKey);
+  },
+  async handle(ctx) {
+    const cmd = parseMusicQueueCommand(ctx.text);
+    logPidogStage(ctx.requestId, "music_queue", cmd);
+    const { out, replyText } = await runMusicQueueCommand(ctx.userKey, cmd, { voice: ctx.voice });
+
+    // bài mới bắt đầu phát -> trả luôn audio (đã có intro); còn lại đọc câu trả lời
+    const audio_url = out.audio_url || (replyText ? await textToSpeechMp3Pi(replyText, "music_queue", ctx.voice) : null);
+    return { status: "ok", transcript: ctx.text, label: "nhac", reply_text: replyText, audio_url, queue: out.queue || null };
+  },
+};
+registerIntent(musicQueueIntent, { before: "stop_playback" });
+
+/* ---------- REST ---------- */
+function musicQueueRobot(req) {
+  return (req.query.robot || req.body?.robot || req.query.user || req.body?.user || req.query.device || req.body?.device || req.headers["x-device-id"] || "")
+    .toString()
+    .trim() || `http_${getClientKey(req)}`;
+}
+
+function musicQueueRoute(handler) {
+  return async (req, res) => {
+    try {
+      const out = await handler(musicQueueRobot(req), req, res);
+      if (out && !res.headersSent) res.status(out.ok === false ? 400 : 200).json(out);
+    } catch (e) {
+      console.error(`${req.path} error:`, e);
+      res.status(500).json({ ok: false, error: e?.message || "server error" });
+    }
+  };
+}
+
+app.get("/music/queue", musicQueueRoute(async (robot) => ({ ok: true, queue: summarizeMusicQueue(getMusicQueue(robot)) })));
+
+// body: { robot, q, next?: true (chèn lên đầu) }
+app.post("/music/queue", musicQueueRoute(async (robot, req, res) => {
+  const q = (req.body?.q || req.body?.query || req.query.q || "").toString().trim();
+  if (!q) return res.status(400).json({ ok: false, error: "Missing q" });
+  return await enqueueMusic(robot, q, { next: req.body?.next === true || req.query.next === "1", voice: parseVoiceOptions(req.body, req.query) });
+}));
+
+// body: { robot, artist? } (trống -> ca sĩ bài đang phát)
+app.post("/music/queue/artist", musicQueueRoute(async (robot, req) => {
+  return await enqueueMoreByArtist(robot, (req.body?.artist || req.query.artist || "").toString(), { voice: parseVoiceOptions(req.body, req.query) });
+}));
+
+// ?id=<item_id> | ?index=N (1-based) | ?title=
+app.delete("/music/queue/item", musicQueueRoute(async (robot, req) => {
+  const index = req.query.index != null ? Number(req.query.index) : null;
+  return await dequeueMusic(robot, { id: (req.query.id || "").toString(), index, title: (req.query.title || "").toString() });
+}));
+
+app.post("/music/queue/skip", musicQueueRoute(async (robot) => await skipMusic(robot)));
+app.post("/music/queue/clear", musicQueueRoute(async (robot) => await clearMusicQueue(robot)));
+app.post("/music/queue/shuffle", musicQueueRoute(async (robot) => await shuffleMusicQueue(robot)));
+app.post("/music/queue/repeat", musicQueueRoute(async (robot, req) => await setMusicRepeat(robot, (req.body?.mode || req.query.mode || "").toString())));
+
+// robot phát xong bài: { robot, item_id } (giống MQTT MUSIC_DONE_TOPIC)
+app.post("/music/queue/finished", musicQueueRoute(async (robot, req) => {
+  return await handleMusicFinished(robot, (req.body?.item_id || req.query.item_id || "").toString());
+}));
+
+/* ===========================================================================  
+   ✅ ACTION PLAN (multi-step từ 1 câu) + MACROS
+   "đi tới rồi quay phải rồi ngồi xuống" -> [move, move, gesture]
+   - chạy tuần tự qua MQTT, mỗi bước chờ ack trên ROBOT_PLAN_ACK_TOPIC (timeout riêng)
+   - mỗi bước chỉ publish 1 lần trên ROBOT_PLAN_STEP_TOPIC (kèm plan_id / step_id / index), không qua robot/move / robot/music
+   - ack khớp theo plan_id + index (step_id = "<plan_id>_<index>")
+     gesture topic (sit / standup) không kèm id chỉ được tính khi đúng 1 bước đang chờ action đó
+   - macro: lưu plan theo tên (state store "macros" -> còn sau restart khi STATE_STORE=file), gọi bằng giọng nói ("chạy macro <tên>")
+===========================================================================*/
+const ROBOT_PLAN_STEP_TOPIC = process.env.ROBOT_PLAN_STEP_TOPIC || "robot/plan/v1/step";
+const ROBOT_PLAN_ACK_TOPIC = process.env.ROBOT_PLAN_ACK_TOPIC || "robot/plan/v1/ack";
+const PLAN_STEP_TIMEOUT_MS = Number(process.env.PLAN_STEP_TIMEOUT_MS || 8000);
+const PLAN_SAY_TIMEOUT_MS = Number(process.env.PLAN_SAY_TIMEOUT_MS || 20000);
+const PLAN_ABORT_ON_TIMEOUT = String(process.env.PLAN_ABORT_ON_TIMEOUT || "0") === "1";
+const PLAN_MAX_STEPS = Number(process.env.PLAN_MAX_STEPS || 8);
+const PLAN_TTL_MS = Number(process.env.PLAN_TTL_MS || 60 * 60 * 1000);
+
+const actionPlans = new Map();
+const macros = createStateStore("macros");
+const pendingStepAcks = new Map();
+
+const PLAN_CONNECTORS = ["roi", "xong", "va", "then", "and"];
+const PLAN_CONNECTORS_2 = ["sau do", "tiep theo", "xong roi"];
+
+const GESTURE_RULES = [
+  { keys: ["ngoi xuong", "ngoi"], action: "sit", say: "ngồi xuống" },
+  { keys: ["dung len", "dung day"], action: "standup", say: "đứng lên" },
+];
+
+function splitCompoundUtterance(text = "") {
+  const segs = [];
+  const flush = (cur) => {
+    const s = cur.join(" ").trim();
+    if (s) segs.push(s);
+  };
+
+  for (const part of String(text || "").split(/[,;]+/)) {
+    const words = part.trim().split(/\s+/).filter(Boolean);
+    let cur = [];
+    for (let i = 0; i < words.length; i++) {
+      const w = stripDiacritics(words[i].toLowerCase()).replace(/[.!?]/g, "");
+      const w2 = i + 1 < words.length ? `${w} ${stripDiacritics(words[i + 1].toLowerCase()).replace(/[.!?]/g, "")}` : "";
+      if (PLAN_CONNECTORS_2.includes(w2)) {
+        flush(cur);
+        cur = [];
+        i++;
+        continue;
+      }
+      if (PLAN_CONNECTORS.includes(w)) {
+        flush(cur);
+        cur = [];
+        continue;
+      }
+      cur.push(words[i]);
+    }
+    flush(cur);
+  }
+  return segs;
+}
+
+function parsePlanStep(segment = "") {
+  const raw = String(segment || "").trim();
+  if (!raw) return null;
+  const t = stripDiacritics(raw.toLowerCase());
+
+  // speech: "nói xin chào" / "say hello"
+  const mSay = raw.match(/^(?:hãy\s+|hay\s+)?(?:nói|noi|bảo|say)\s+(.+)$/iu);
+  if (mSay && mSay[1].trim()) return { type: "say", text: mSay[1].trim() };
+
+  // wait: "chờ 2 giây" / "đợi 3 giây"
+  const mWait = t.match(new RegExp(`^(?:cho|doi|wait)\\s+${NUM_PATTERN}\\s*(giay|s|seconds?)\\b`));
+  if (mWait) {
+    const n = parseViNumber(mWait[1]);
+    if (n !== null) return { type: "wait", ms: Math.round(clamp(n, 0, 60) * 1000) };
+  }
+
+  for (const g of GESTURE_RULES) {
+    if (g.keys.some((k) => t.includes(k))) return { type: "gesture", action: g.action };
+  }
+
+  const label = overrideLabelByText("unknown", raw);
+  if (MOVEMENT_ACTIONS[label]) return { type: "move", label, command: parseMovementCommand(raw, label) };
+
+  return null;
+}
+
+// null nếu câu không phải chuỗi lệnh (cần >= 2 bước và mọi đoạn đều hiểu được)
+function planFromUtterance(text = "") {
+  const segs = splitCompoundUtterance(text);
+  if (segs.length < 2) return null;
+  const steps = segs.map(parsePlanStep);
+  if (steps.some((s) => !s)) return null;
+  return steps.slice(0, PLAN_MAX_STEPS);
+}
+
+function describePlanStep(step) {
+  if (step.type === "move") return buildMovementAckText(step.command).replace(/^Dạ, em /, "").replace(/ nha\.$/, "");
+  if (step.type === "gesture") return GESTURE_RULES.find((g) => g.action === step.action)?.say || step.action;
+  if (step.type === "say") return `nói "${step.text}"`;
+  if (step.type === "wait") return `chờ ${Number((step.ms / 1000).toFixed(1))} giây`;
+  return step.type;
+}
+
+function newPlanId() {
+  return `plan_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+}
+
+function planStepId(planId, index) {
+  return `${planId}_${index}`;
+}
+
+function createActionPlan(steps = [], { user = "", source = "voice", text = "", macro = "", voice = {} } = {}) {
+  const id = newPlanId();
+  const plan = {
+    id,
+    user,
+    source,
+    text,
+    macro: macro || null,
+    voice,
+    status: "queued",
+    steps: steps.map((s, index) => ({ ...s, index, id: planStepId(id, index), status: "pending" })),
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  actionPlans.set(id, plan);
+  return plan;
+}
+
+function getActionPlan(id) {
+  const p = actionPlans.get(id);
+  if (!p) return null;
+  if (Date.now() - (p.createdAt || 0) > PLAN_TTL_MS) {
+    actionPlans.delete(id);
+    return null;
+  }
+  return p;
+}
+
+function waitForStepAck(stepId, { action = "", timeoutMs = PLAN_STEP_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingStepAcks.delete(stepId);
+      const err = new Error(`step ack timeout after ${timeoutMs}ms`);
+      err.code = "timeout";
+      reject(err);
+    }, timeoutMs);
+
+    pendingStepAcks.set(stepId, {
+      action,
+      resolve: (ack) => {
+        clearTimeout(timer);
+        pendingStepAcks.delete(stepId);
+        if (ack?.ok === false) return reject(new Error(ack.error || "robot reported step failure"));
+        resolve(ack || {});
+      },
+    });
+  });
+}
+
+// ack -> step_id: {"step_id": "<step_id>"} | {"plan_id": "...", "index": N} | {"id": "<step_id>"}
+function planAckStepId(ack = {}) {
+  if (ack.plan_id && ack.index != null && Number.isInteger(Number(ack.index))) return planStepId(ack.plan_id, Number(ack.index));
+  return (ack.step_id || ack.id || "").toString().trim();
+}
+
+// ack từ robot: {"plan_id": "...", "index": 0, "ok": true} hoặc {"id": "<step_id>", "ok": true}
+function handlePlanAckMessage(raw = "") {
+  let ack = null;
+  try { ack = JSON.parse(raw); } catch { ack = { id: String(raw || "").trim() }; }
+  const id = planAckStepId(ack || {});
+  const pending = id ? pendingStepAcks.get(id) : null;
+  if (pending) pending.resolve(ack);
+}
+
+// gesture topic robot tự publish (sit/standup) cũng tính là ack:
+// có plan_id + index / step_id -> đúng bước đó; không có -> chỉ khi đúng 1 bước đang chờ action này
+function resolvePlanStepByAction(action, raw = "") {
+  let msg = {};
+  try { msg = JSON.parse(raw || "{}") || {}; } catch { msg = {}; }
+  const id = typeof msg === "object" ? planAckStepId(msg) : "";
+  if (id) {
+    const pending = pendingStepAcks.get(id);
+    if (pending?.action === action) pending.resolve({ ok: true, via: "gesture_topic" });
+    return;
+  }
+
+  const waiting = [...pendingStepAcks.values()].filter((p) => p.action === action);
+  if (waiting.length === 1) waiting[0].resolve({ ok: true, via: "gesture_topic" });
+  else if (waiting.length > 1) console.warn("⚠️ gesture ack ambiguous (no plan_id) -> ignored:", { action, pending: waiting.length });
+}
+
+async function executePlanStep(plan, step) {
+  const base = { plan_id: plan.id, step_id: step.id, index: step.index, total: plan.steps.length, type: step.type, time: Date.now() };
+
+  if (step.type === "wait") {
+    mqttClient.publish(ROBOT_PLAN_STEP_TOPIC, JSON.stringify({ ...base, ms: step.ms }), { qos: 1 });
+    await new Promise((r) => setTimeout(r, step.ms));
+    return;
+  }
+
+  const ackWait = waitForStepAck(step.id, {
+    action: step.type === "gesture" ? step.action : step.command?.action || "",
+    timeoutMs: step.type === "say" ? PLAN_SAY_TIMEOUT_MS : PLAN_STEP_TIMEOUT_MS,
+  });
+  // tránh unhandledRejection nếu publish/TTS bên dưới throw trước khi await
+  ackWait.catch(() => { });
+
+  if (step.type === "move") {
+    mqttClient.publish(ROBOT_PLAN_STEP_TOPIC, JSON.stringify({ ...base, label: step.label, ...step.command }), { qos: 1 });
+  } else if (step.type === "gesture") {
+    mqttClient.publish(ROBOT_PLAN_STEP_TOPIC, JSON.stringify({ ...base, action: step.action }), { qos: 1 });
+  } else if (step.type === "say") {
+    const audio_url = await textToSpeechMp3Pi(step.text, "plan_say", plan.voice);
+    step.audio_url = audio_url;
+    mqttClient.publish(ROBOT_PLAN_STEP_TOPIC, JSON.stringify({ ...base, text: step.text, audio_url }), { qos: 1 });
+  }
+
+  await ackWait;
+}
+
+async function runActionPlan(plan) {
+  plan.status = "running";
+  plan.updatedAt = Date.now();
+  console.log("🗺️ PLAN_START:", { id: plan.id, steps: plan.steps.map(describePlanStep) });
+
+  for (const step of plan.steps) {
+    step.status = "running";
+    step.startedAt = Date.now();
+    plan.updatedAt = Date.now();
+    try {
+      await executePlanStep(plan, step);
+      step.status = "done";
+    } catch (e) {
+      step.status = e?.code === "timeout" ? "timeout" : "error";
+      step.error = e?.message || String(e);
+      console.error("⚠️ PLAN_STEP_FAIL:", { id: plan.id, step: step.index, status: step.status, error: step.error });
+      if (step.status === "error" || PLAN_ABORT_ON_TIMEOUT) {
+        for (const rest of plan.steps) if (rest.status === "pending") rest.status = "skipped";
+        plan.status = "error";
+        plan.error = step.error;
+        break;
+      }
+    } finally {
+      step.finishedAt = Date.now();
+      plan.updatedAt = Date.now();
+    }
+  }
+
+  if (plan.status === "running") plan.status = "done";
+  console.log("🗺️ PLAN_END:", { id: plan.id, status: plan.status });
+  return plan;
+}
+
+function startActionPlan(steps, opts = {}) {
+  const plan = createActionPlan(steps, opts);
+  runActionPlan(plan).catch((e) => {
+    plan.status = "error";
+    plan.error = e?.message || String(e);
+    console.error("❌ PLAN failed:", plan.id, plan.error);
+  });
+  return plan;
+}
+
+function summarizePlan(plan) {
+  return {
+    plan_id: plan.id,
+    status: plan.status,
+    macro: plan.macro,
+    total: plan.steps.length,
+    steps: plan.steps.map((s) => ({ index: s.index, type: s.type, status: s.status, describe: describePlanStep(s) })),
+  };
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, p] of actionPlans.entries()) {
+    if (!p?.createdAt || now - p.createdAt > PLAN_TTL_MS) actionPlans.delete(id);
+  }
+}, 30 * 60 * 1000);
+
+/* ---------- macros ---------- */
+function normalizeMacroName(name = "") {
+  return stripDiacritics(String(name || "").toLowerCase()).replace(/[^a-z0-9 ]+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function sanitizePlanSteps(steps = []) {
+  if (!Array.isArray(steps)) return null;
+  const out = [];
+  for (const s of steps.slice(0, PLAN_MAX_STEPS)) {
+    if (typeof s === "string") {
+      const parsed = parsePlanStep(s);
+      if (!parsed) return null;
+      out.push(parsed);
+      continue;
+    }
+    if (s?.type === "move" && MOVEMENT_ACTIONS[s.label]) {
+      out.push({ type: "move", label: s.label, command: { ...parseMovementCommand("", s.label), ...(s.command || {}) } });
+    } else if (s?.type === "gesture" && GESTURE_RULES.some((g) => g.action === s.action)) {
+      out.push({ type: "gesture", action: s.action });
+    } else if (s?.type === "say" && String(s.text || "").trim()) {
+      out.push({ type: "say", text: String(s.text).trim().slice(0, 500) });
+    } else if (s?.type === "wait" && Number.isFinite(Number(s.ms))) {
+      out.push({ type: "wait", ms: Math.round(clamp(s.ms, 0, 60000)) });
+    } else {
+      return null;
+    }
+  }
+  return out.length ? out : null;
+}
+
+function findMacroByUtterance(text = "") {
+  const t = normalizeMacroName(text);
+  if (!t || !macros.size) return null;
+
+  const m = t.match(/^(?:hay\s+)?(?:chay|lam|thuc hien|run)\s+(?:macro\s+)?(.+)$/) || t.match(/^macro\s+(.+)$/);
+  const wanted = m ? m[1].trim() : t;
+  return macros.get(wanted) || null;
+}
+
+app.get("/macros", (req, res) => {
+  const list = Array.from(macros.values()).map((m) => ({
+    name: m.name,
+    display_name: m.display_name,
+    steps: m.steps.map(describePlanStep),
+    createdAt: m.createdAt,
+  }));
+  return res.json({ ok: true, count: list.length, macros: list });
+});
+
+app.post("/macros", (req, res) => {
+  const display_name = String(req.body?.name || "").trim();
+  const name = normalizeMacroName(display_name);
+  if (!name) return res.status(400).json({ ok: false, error: "Missing name" });
+
+  const text = String(req.body?.text || "").trim();
+  const steps = req.body?.steps ? sanitizePlanSteps(req.body.steps) : planFromUtterance(text) || (text ? sanitizePlanSteps([text]) : null);
+  if (!steps) return res.status(400).json({ ok: false, error: "Could not parse steps (send text or steps[])" });
+
+  const macro = { name, display_name, text, steps, createdAt: Date.now() };
+  macros.set(name, macro);
+  console.log("💾 MACRO_SAVED:", { name, steps: steps.map(describePlanStep) });
+  return res.json({ ok: true, macro: { ...macro, describe: steps.map(describePlanStep) } });
+});
+
+app.delete("/macros", (req, res) => {
+  const name = normalizeMacroName(req.query.name || req.body?.name || "");
+  if (!name) return res.status(400).json({ ok: false, error: "Missing ?name=" });
+  return res.json({ ok: true, name, deleted: macros.delete(name) });
+});
+
+app.post("/macros/run", (req, res) => {
+  const name = normalizeMacroName(req.query.name || req.body?.name || "");
+  const macro = macros.get(name);
+  if (!macro) return res.status(404).json({ ok: false, error: "Macro not found" });
+  const plan = startActionPlan(macro.steps, { user: String(req.body?.user || ""), source: "http", macro: macro.name, voice: parseVoiceOptions(req.body) });
+  return res.status(202).json({ ok: true, plan: summarizePlan(plan) });
+});
+
+app.post("/plan", (req, res) => {
+  const text = String(req.body?.text || "").trim();
+  const steps = req.body?.steps ? sanitizePlanSteps(req.body.steps) : planFromUtterance(text);
+  if (!steps) return res.status(400).json({ ok: false, error: "Could not build a plan (send text or steps[])" });
+  const plan = startActionPlan(steps, { user: String(req.body?.user || ""), source: "http", text, voice: parseVoiceOptions(req.body) });
+  return res.status(202).json({ ok: true, plan: summarizePlan(plan) });
+});
+
+app.get("/plan", (req, res) => {
+  const id = (req.query.id || "").toString().trim();
+  if (!id) return res.status(400).json({ ok: false, error: "Missing ?id=" });
+  const plan = getActionPlan(id);
+  if (!plan) return res.status(404).json({ ok: false, error: "Plan not found/expired" });
+  return res.json({ ok: true, plan: summarizePlan(plan) });
+});
+
+/* ---------- voice intents ---------- */
+async function startPlanWithAck(ctx, steps, { macro = "" } = {}) {
+  const plan = startActionPlan(steps, { user: ctx.userKey, source: ctx.transport || "voice", text: ctx.text, macro, voice: ctx.voice });
+  logPidogStage(ctx.requestId, "plan_start", { plan_id: plan.id, steps: steps.length, macro: macro || null });
+
+  const replyText = `Dạ, em sẽ ${steps.map(describePlanStep).join(", rồi ")} nha.`;
+  let audio_url = null;
+  try {
+    audio_url = await textToSpeechMp3Pi(replyText, "plan_ack", ctx.voice);
+  } catch (e) {
+    console.error("⚠️ plan ack TTS fail:", e?.message || e);
+  }
+  return { status: "ok", transcript: ctx.text, label: "sequence", reply_text: replyText, audio_url, plan: summarizePlan(plan) };
+}
+
+const macroIntent = {
+  name: "macro",
+  match: (ctx) => !!findMacroByUtterance(ctx.text),
+  async handle(ctx) {
+    const macro = findMacroByUtterance(ctx.text);
+    return await startPlanWithAck(ctx, macro.steps, { macro: macro.name });
+  },
+};
+
+const sequenceIntent = {
+  name: "sequence",
+  match: (ctx) => !!planFromUtterance(ctx.text),
+  async handle(ctx) {
+    return await startPlanWithAck(ctx, planFromUtterance(ctx.text));
+  },
+};
+
+registerIntent(macroIntent, { before: "nhac" });
+registerIntent(sequenceIntent, { before: "nhac" });
+
+/* ===========================================================================  
+   VISION ENDPOINT (kept)
+===========================================================================*/
+app.post("/avoid_obstacle_vision", uploadVision.single("image"), async (req, res) => {
+  try {
+    if (!req.file || !req.file.buffer) return res.status(400).json({ error: "No image" });
+    let meta = {};
+    try { meta = req.body?.meta ? JSON.parse(req.body.meta) : {}; } catch { meta = {}; }
+
+    const distCm = meta.lidar_cm ?? meta.ultra_cm ?? null;
+    const strength = meta.lidar_strength ?? meta.uart_strength ?? null;
+    const localBest = meta.best_sector_local ?? meta.local_best_sector ?? meta.local_best ?? null;
+    const corridorCenterX = meta.corridor_center_x ?? null;
+    const corridorWidthRatio = meta.corridor_width_ratio ?? null;
+    const corridorConf = meta.corridor_conf ?? null;
+
+    const roiW = Number(meta.roi_w || 640);
+    const roiH = Number(meta.roi_h || 240);
+
+    const b64 = req.file.buffer.toString("base64");
+    const dataUrl = `data:image/jpeg;base64,${b64}`;
+
+    const system = `
+Bạn là module "AvoidObstacle" cho robot đi trong nhà.
+Mục tiêu: chọn hướng đi theo "lối đi dành cho người" (walkway/corridor) trong ROI.
+Trả về JSON hợp lệ, KHÔNG giải thích.
+`.trim();
+
+    const user = [
+      {
+        type: "text",
+        text: `
+Meta:
+- dist_cm: ${distCm}
+- strength: ${strength}
+- local_best_sector: ${localBest}
+- local_corridor_center_x: ${corridorCenterX}
+- local_corridor_width_ratio: ${corridorWidthRatio}
+- local_corridor_conf: ${corridorConf}
+ROI size: ${roiW}x${roiH}
+
+Return JSON schema exactly:
+{
+  "best_sector": number,
+  "walkway_center_x": number,
+  "walkway_poly": [[x,y],[x,y],[x,y],[x,y]],
+  "obstacles": [{"label": string, "bbox":[x1,y1,x2,y2], "risk": number}],
+  "n_obstacles": number,
+  "confidence": number
+}
+`.trim(),
+      },
+      { type: "image_url", image_url: { url: dataUrl } },
+    ];
+
+    const model = process.env.VISION_MODEL || "gpt-4.1-mini";
+    const completion = await openai.chat.completions.create({
+      model,
+      messages: [{ role: "system", content: system }, { role: "user", content: user }],
+      temperature: 0.2,
+      max_tokens: 420,
+    });
+
+    const raw = completion.choices?.[0]?.message?.content?.trim() || "";
+    let plan = null;
+    try { plan = JSON.parse(raw); } catch {
+      const m = raw.match(/\{[\s\S]*\}$/);
+      if (m) { try { plan = JSON.parse(m[0]); } catch { } }
+    }
+
+    const fallbackCenter = typeof corridorCenterX === "number" ? corridorCenterX : Math.floor(roiW / 2);
+    const fallbackBest = typeof localBest === "number" ? localBest : 4;
+    const fallbackPoly = (() => {
+      const halfW = Math.floor(roiW * 0.18);
+      const x1 = Math.max(0, fallbackCenter - halfW);
+      const x2 = Math.min(roiW - 1, fallbackCenter + halfW);
+      const yTop = Math.floor(0.6 * roiH);
+      return [[x1, roiH - 1], [x2, roiH - 1], [x2, yTop], [x1, yTop]];
+    })();
+
+    if (!plan || typeof plan !== "object") {
+      return res.status(200).json({
+        best_sector: fallbackBest,
+        walkway_center_x: fallbackCenter,
+        walkway_poly: fallbackPoly,
+        obstacles: [],
+        n_obstacles: 0,
+        confidence: 0.15,
+      });
+    }
+
+    if (typeof plan.best_sector !== "number") plan.best_sector = fallbackBest;
+    if (!Array.isArray(plan.obstacles)) plan.obstacles = [];
+    if (!Array.isArray(plan.walkway_poly)) plan.walkway_poly = fallbackPoly;
+
+    if (typeof plan.walkway_center_x !== "number") plan.walkway_center_x = fallbackCenter;
+    plan.walkway_center_x = Math.max(0, Math.min(roiW - 1, Number(plan.walkway_center_x)));
+    plan.n_obstacles = plan.obstacles.length;
+    if (typeof plan.confidence !== "number") plan.confidence = 0.4;
+    plan.confidence = Math.max(0, Math.min(1, plan.confidence));
+
+    return res.json(plan);
+  } catch (err) {
+    console.error("/avoid_obstacle_vision error:", err);
+    res.status(500).json({ error: err.message || "vision failed" });
+  }
+});
+
+
+//===========
+
+function clamp(n, a, b) {
+  n = Number(n);
+  if (!Number.isFinite(n)) return a;
+  return Math.max(a, Math.min(b, n));
+}
+function clamp01(n) { return clamp(n, 0, 1); }
+
+function sanitizeBboxNormalized(b) {
+  if (!Array.isArray(b) || b.length !== 4) return null;
+  const x1 = clamp01(b[0]);
+  const y1 = clamp01(b[1]);
+  const x2 = clamp01(b[2]);
+  const y2 = clamp01(b[3]);
+  // ensure proper order
+  const xx1 = Math.min(x1, x2);
+  const xx2 = Math.max(x1, x2);
+  const yy1 = Math.min(y1, y2);
+  const yy2 = Math.max(y1, y2);
+  if (xx2 - xx1 < 1e-6 || yy2 - yy1 < 1e-6) return null;
+  return [xx1, yy1, xx2, yy2];
+}
+
+function bboxCenter(b) {
+  const [x1, y1, x2, y2] = b;
+  return { cx: (x1 + x2) / 2, cy: (y1 + y2) / 2 };
+}
+
+/**
+ * ✅ Recompute row/col purely from geometry:
+ *  row = floor((cy - gy1)/cell_h)
+ *  col = floor((cx - gx1)/cell_w)
+ * Clamp into [0..rows-1], [0..cols-1]
+ */
+function recomputeRowColFromGrid(cells, grid_bbox, rows, cols) {
+  if (!grid_bbox || rows <= 0 || cols <= 0) return cells;
+
+  const [gx1, gy1, gx2, gy2] = grid_bbox;
+  const gw = gx2 - gx1;
+  const gh = gy2 - gy1;
+
+  // safety
+  if (gw <= 1e-6 || gh <= 1e-6) return cells;
+
+  const cellW = gw / cols;
+  const cellH = gh / rows;
+
+  return cells.map((c) => {
+    const b = c.bbox;
+    if (!b) return c;
+
+    const { cx, cy } = bboxCenter(b);
+
+    // if center is outside grid, keep original (or clamp)
+    const relX = (cx - gx1);
+    const relY = (cy - gy1);
+
+    let col = Math.floor(relX / cellW);
+    let row = Math.floor(relY / cellH);
+
+    col = clamp(col, 0, cols - 1);
+    row = clamp(row, 0, rows - 1);
+
+    return { ...c, row, col };
+  });
+}
+
+/**
+ * Optional: dedupe if multiple cells land on same (row,col)
+ * Drop cells outside the profile grid; keep the most confident one, then the largest bbox area
+ */
+function dedupeByRowCol(cells, { rows = Infinity, cols = Infinity } = {}) {
+  const area = (b) => (b ? Math.max(0, (b[2] - b[0]) * (b[3] - b[1])) : 0);
+  const map = new Map();
+  for (const c of cells) {
+    if (c.row < 0 || c.row >= rows || c.col < 0 || c.col >= cols) continue;
+    const key = `${c.row},${c.col}`;
+    const prev = map.get(key);
+    if (!prev) {
+      map.set(key, c);
+      continue;
+    }
+    const dc = (c.confidence ?? 0) - (prev.confidence ?? 0);
+    if (dc > 0 || (dc === 0 && area(c.bbox) > area(prev.bbox))) map.set(key, c);
+  }
+  return Array.from(map.values());
+}
+
+/* ===========================================================================  
+   SCAN CHESS (tic-tac-toe / caro)
+   - SCAN_CHESS_SCHEMA khai báo 1 lần: sinh phần JSON trong prompt + validate / sửa output model
+   - state ô: "empty" | "player_x" | "robot_line" (giữ nguyên giá trị Pi đang đọc); trước đây prompt lẫn
+     robot_circle / robot_line -> ô có vòng tròn bị đếm là trống, nay "robot_circle" chỉ là alias đầu vào
+   - field required (found) thiếu -> loại cả kết quả (fallback), không đoán
+   - ký hiệu quân cấu hình được (SCAN_CHESS_PLAYER_MARK / SCAN_CHESS_ROBOT_MARK, hoặc theo request)
+   - output lệch schema: sửa được thì sửa (ghi issue), không thì bỏ ô; strict -> từ chối cả kết quả
+   - debug=1 -> schema_debug: { raw, repaired, issues } để so cạnh nhau
+   - model trả 4 góc bàn cờ (corners) -> homography: tâm mark -> (row, col) đúng phối cảnh,
+     mỗi ô có polygon + confidence để Pi vẽ overlay; thiếu corners -> chia đều grid_bbox như cũ
+   - board profile (profile=caro | tictactoe | gomoku | connect_four | tự thêm) quyết định kích thước lưới,
+     loại quân, mô tả góc chụp trong prompt, dedupe, cách đếm ô và kết quả fallback
+===========================================================================*/
+const SCAN_CHESS_ROWS = Number(process.env.SCAN_CHESS_ROWS || 6);
+const SCAN_CHESS_COLS = Number(process.env.SCAN_CHESS_COLS || 4);
+const SCAN_CHESS_STRICT = String(process.env.SCAN_CHESS_STRICT || "0") === "1";
+const SCAN_CHESS_DEBUG = String(process.env.SCAN_CHESS_DEBUG || "0") === "1";
+const SCAN_CHESS_STATES = { empty: "empty", player: "player_x", robot: "robot_line" };
+const SCAN_CHESS_MARKS = {
+  player: process.env.SCAN_CHESS_PLAYER_MARK || "X",
+  robot: process.env.SCAN_CHESS_ROBOT_MARK || "O",
+};
+// tên hình của ký hiệu để mô tả trong prompt
+const MARK_SHAPE_NAMES = {
+  x: "cross",
+  o: "circle",
+  "△": "triangle",
+  "□": "square",
+  "+": "plus sign",
+  "*": "star",
+  red: "red disc",
+  yellow: "yellow disc",
+  black: "black stone",
+  white: "white stone",
+};
+
+const SCAN_CHESS_SCHEMA = {
+  found: { type: "boolean", required: true },
+  rows: { type: "integer", min: 1, max: 30 },
+  cols: { type: "integer", min: 1, max: 30 },
+  grid_bbox: { type: "bbox", nullable: true },
+  corners: { type: "corners", nullable: true, optional: true },
+  cells: {
+    type: "array",
+    items: {
+      row: { type: "integer", min: 0 },
+      col: { type: "integer", min: 0 },
+      state: { type: "enum", values: Object.values(SCAN_CHESS_STATES) },
+      bbox: { type: "bbox" },
+      confidence: { type: "number", min: 0, max: 1, optional: true },
+    },
+  },
+  confidence: { type: "number", min: 0, max: 1 },
+};
 
-function makePidogRequestId() {
-  try {
-    return randomUUID().replace(/-/g, "");
-  } catch {
-    return `${Date.now().toString(16)}${Math.random().toString(16).slice(2, 10)}`;
-  }
+/* ---------- board profiles: hình học + loại quân theo từng trò chơi ----------
+   profile = { name, label, rows, cols, marks: { player, robot }, mark_style, orientation, tilt_deg, win_length, gravity }
+   - mark_style "drawn": ký hiệu vẽ tay trên giấy; "pieces": quân / đĩa thật
+   - orientation "flat": bàn nằm trên mặt bàn, chụp nghiêng ~tilt_deg độ; "vertical": lưới dựng đứng trước camera
+   - gravity: quân rơi xuống ô trống thấp nhất của cột (Connect Four)
+   - built-in cố định; profile tự thêm qua POST /scan_chess/profiles (state store "board_profiles")
+------------------------------------------------------------------------------*/
+const SCAN_CHESS_DEFAULT_PROFILE = process.env.SCAN_CHESS_PROFILE || "caro";
+// bàn lớn hơn -> chỉ yêu cầu model báo ô có quân (báo đủ 225 ô gomoku thì vượt max_tokens)
+const SCAN_CHESS_REPORT_ALL_MAX = Number(process.env.SCAN_CHESS_REPORT_ALL_MAX || 49);
+
+const BUILTIN_BOARD_PROFILES = {
+  caro: {
+    label: "Caro",
+    rows: SCAN_CHESS_ROWS,
+    cols: SCAN_CHESS_COLS,
+    marks: SCAN_CHESS_MARKS,
+    win_length: Number(process.env.GAME_WIN_LENGTH || 3),
+  },
+  tictactoe: { label: "Tic-tac-toe", rows: 3, cols: 3, marks: { player: "X", robot: "O" }, win_length: 3 },
+  gomoku: { label: "Gomoku", rows: 15, cols: 15, marks: { player: "X", robot: "O" }, tilt_deg: 20, win_length: 5 },
+  connect_four: {
+    label: "Connect Four",
+    rows: 6,
+    cols: 7,
+    marks: { player: "red", robot: "yellow" },
+    mark_style: "pieces",
+    orientation: "vertical",
+    win_length: 4,
+    gravity: true,
+  },
+};
+
+// input (JSON / form) -> { profile } | { error }
+function normalizeBoardProfile(p = {}) {
+  const name = String(p.name || "").trim().toLowerCase();
+  if (!/^[a-z0-9_-]{1,32}$/.test(name)) return { error: "Missing or bad name (a-z, 0-9, _ -)" };
+
+  const int = (v, lo, hi) => (Number.isInteger(Number(v)) && Number(v) >= lo && Number(v) <= hi ? Number(v) : null);
+  const rows = int(p.rows, 1, SCAN_CHESS_SCHEMA.rows.max);
+  const cols = int(p.cols, 1, SCAN_CHESS_SCHEMA.cols.max);
+  if (!rows || !cols || rows * cols < 2) return { error: `rows / cols must be 1..${SCAN_CHESS_SCHEMA.rows.max}` };
+
+  const player = String(p.marks?.player ?? p.player_mark ?? "X").trim().slice(0, 12);
+  const robot = String(p.marks?.robot ?? p.robot_mark ?? "O").trim().slice(0, 12);
+  if (!player || !robot || player.toLowerCase() === robot.toLowerCase()) return { error: "player / robot marks must differ" };
+
+  const orientation = p.orientation === "vertical" ? "vertical" : "flat";
+  const longest = Math.max(rows, cols);
+  return {
+    profile: {
+      name,
+      label: String(p.label || name).trim().slice(0, 40),
+      rows,
+      cols,
+      marks: { player, robot },
+      mark_style: p.mark_style === "pieces" ? "pieces" : "drawn",
+      orientation,
+      tilt_deg: clamp(Number(p.tilt_deg ?? (orientation === "vertical" ? 0 : 15)) || 0, 0, 75),
+      win_length: clamp(int(p.win_length, 2, longest) || Math.min(3, longest), 2, longest),
+      gravity: [true, "true", "1", 1].includes(p.gravity),
+    },
+  };
 }
 
-function publishPidogChatStatus(id, status = "done", extra = {}) {
-  if (!id) return;
-  console.log("🧾 PIDOG_STATUS_UPDATE_HTTP_ONLY:", { id, status, ...extra });
+const BOARD_PROFILES = new Map(
+  Object.entries(BUILTIN_BOARD_PROFILES).map(([name, p]) => [name, { ...normalizeBoardProfile({ ...p, name }).profile, builtin: true }])
+);
+const customBoardProfiles = createStateStore("board_profiles");
+
+function registerBoardProfile(input) {
+  const { profile, error } = normalizeBoardProfile(input);
+  if (error) return { ok: false, error };
+  if (BOARD_PROFILES.has(profile.name)) return { ok: false, error: `"${profile.name}" is a built-in profile` };
+  customBoardProfiles.set(profile.name, profile);
+  console.log("💾 BOARD_PROFILE_SAVED:", profile);
+  return { ok: true, profile };
 }
 
-function clearPidogChatStatus(id) {
-  if (!id) return;
-  console.log("🧹 PIDOG_STATUS_CLEAR_HTTP_ONLY:", { id });
+function getBoardProfile(name) {
+  const key = String(name || "").trim().toLowerCase();
+  return BOARD_PROFILES.get(key) || customBoardProfiles.get(key) || null;
 }
 
-function logPidogStage(requestId, stage, extra = {}) {
-  if (!requestId) return;
-  console.log("🐾 PIDOG_STAGE:", { id: requestId, stage, ...extra });
+function defaultBoardProfile() {
+  return getBoardProfile(SCAN_CHESS_DEFAULT_PROFILE) || BOARD_PROFILES.get("caro");
 }
 
-function normalizePidogResponse({ id, status = "done", ok = true, result = null, error = null } = {}) {
+// kết quả rỗng (found=false) theo hình học của profile
+function scanChessFallback(profile = defaultBoardProfile()) {
   return {
-    ok: !!ok,
-    status,
-    id: id || "",
-    text: result?.transcript || "",
-    label: result?.label || "",
-    reply_text: result?.reply_text || "",
-    audio_url: result?.audio_url || null,
-    error: error || null,
+    found: false,
+    profile: profile.name,
+    rows: profile.rows,
+    cols: profile.cols,
+    cell_count: profile.rows * profile.cols,
+    grid_bbox: null,
+    corners: null,
+    grid_mapping: null,
+    cells: [],
+    empty_count: 0,
+    player_count: 0,
+    robot_count: 0,
+    marks: { ...profile.marks },
+    image_space: "normalized",
+    confidence: 0,
+    debug: null,
   };
 }
 
-async function handlePidogChatText({ text = "", userKey = "mqtt", memoryArr = [], wantWait = true, requestId = "" } = {}) {
-  logPidogStage(requestId, "start", { userKey, text_preview: String(text).slice(0, 160) });
-  if (isClapText(text)) {
-    return { status: "ok", transcript: text, label: "clap", reply_text: "", audio_url: null };
+function chessImageFile(req) {
+  return (
+    req.file ||
+    req.files?.image?.[0] ||
+    req.files?.photo?.[0] ||
+    req.files?.file?.[0] ||
+    req.files?.frame?.[0]
+  );
+}
+
+const uploadChessImage = uploadVision.fields([
+  { name: "image", maxCount: 1 },
+  { name: "photo", maxCount: 1 },
+  { name: "file", maxCount: 1 },
+  { name: "frame", maxCount: 1 },
+]);
+
+/* ---------- schema -> prompt ---------- */
+function schemaTypeText(spec) {
+  if (spec.type === "enum") return spec.values.map((v) => JSON.stringify(v)).join(" | ");
+  if (spec.type === "bbox") return `[x1,y1,x2,y2]${spec.nullable ? " | null" : ""}`;
+  if (spec.type === "corners") return `[[x,y] top-left, [x,y] top-right, [x,y] bottom-right, [x,y] bottom-left]${spec.nullable ? " | null" : ""}`;
+  return spec.type;
+}
+
+function renderSchemaForPrompt(schema) {
+  const fields = Object.entries(schema).map(([key, spec]) => {
+    if (spec.type !== "array") return `  "${key}": ${schemaTypeText(spec)}`;
+    const item = Object.entries(spec.items).map(([k, s]) => `"${k}": ${schemaTypeText(s)}`).join(", ");
+    return `  "${key}": [\n    { ${item} },\n    ...\n  ]`;
+  });
+  return `{\n${fields.join(",\n")}\n}`;
+}
+
+function markShapeName(symbol) {
+  const name = MARK_SHAPE_NAMES[String(symbol).toLowerCase()];
+  return name ? `${name} ("${symbol}")` : `"${symbol}" symbol`;
+}
+
+// phần "geometry" của prompt theo orientation / tilt_deg / gravity của profile
+function boardGeometryText(profile) {
+  const lines = [];
+  if (profile.orientation === "vertical") {
+    lines.push(
+      `- The board is an upright grid standing vertically and facing the camera (like a ${profile.label} frame).`,
+      "- The camera may be slightly off-axis, so the grid can look like a mild trapezoid instead of a rectangle."
+    );
+  } else if (profile.tilt_deg > 0) {
+    lines.push(
+      "- The board is a rectangular grid placed on a flat surface, BUT the photo is taken with perspective tilt.",
+      `- The board is tilted about ~${profile.tilt_deg} degrees relative to the camera: the TOP side of the board appears HIGHER (farther) than the BOTTOM side (closer).`,
+      "- Because of perspective, cells near the TOP look smaller than cells near the BOTTOM."
+    );
+  } else {
+    lines.push("- The board is a rectangular grid placed on a flat surface, photographed roughly from above.");
+  }
+  if (profile.gravity) {
+    lines.push("- Pieces fall to the lowest empty cell of their column: marks are stacked from the BOTTOM row up and never float above an empty cell.");
   }
+  return lines.join("\n");
+}
 
-  if (detectStopPlayback(text)) {
-    const replyText = "Dạ, em tắt nhạc nha.";
-    const audio_url = await textToSpeechMp3Pi(replyText, "stop");
-    return { status: "ok", transcript: text, label: "stop_playback", reply_text: replyText, audio_url };
+function boardMarksText(profile) {
+  const S = SCAN_CHESS_STATES;
+  const { marks } = profile;
+  if (profile.mark_style === "pieces") {
+    return [
+      `- Human player's pieces are ${markShapeName(marks.player)} (state = "${S.player}").`,
+      `- Robot's pieces are ${markShapeName(marks.robot)} (state = "${S.robot}").`,
+      "  Pieces may be partly hidden by the frame or shine under the light; judge by color and shape.",
+      `- A cell with no piece has state = "${S.empty}".`,
+    ].join("\n");
   }
+  return [
+    `- Human player draws a handwritten ${markShapeName(marks.player)} in a cell (state = "${S.player}").`,
+    "  These marks may vary in size, thickness, and style, and may not be centered perfectly in the cell.",
+    `- Robot draws a ${markShapeName(marks.robot)} in a cell (state = "${S.robot}").`,
+    "  Robot marks may vary in thickness and may be slightly imperfect.",
+    `- A cell with no mark has state = "${S.empty}".`,
+  ].join("\n");
+}
 
-  let label = overrideLabelByText("unknown", text);
-  if (label !== "nhac" && shouldAutoSwitchToMusic(text)) label = "nhac";
+// bàn nhỏ -> báo đủ mọi ô; bàn lớn -> chỉ ô có quân (ô không báo coi là trống)
+function scanChessReportsAll(profile) {
+  return profile.rows * profile.cols <= SCAN_CHESS_REPORT_ALL_MAX;
+}
 
-  // ===========================
-  // MUSIC
-  // ===========================
-  if (label === "nhac") {
-    logPidogStage(requestId, "music_intent");
-    const q = extractSongQuery(text) || text;
-    logPidogStage(requestId, "yt_search", { q_preview: String(q).slice(0, 120) });
-    const top = await searchYouTubeTop1(q);
+function buildScanChessPrompt(profile) {
+  const { rows, cols } = profile;
+  const reportRule = scanChessReportsAll(profile)
+    ? "- Report every cell of the grid exactly once"
+    : `- Report ONLY cells that contain a mark, each exactly once (cells you do not report are treated as "${SCAN_CHESS_STATES.empty}")`;
+  const system = `
+You are a computer vision module scanning a ${profile.label} board (grid) from a photo.
 
-    const durationStr = formatDuration(top?.seconds);
-    const isLong = typeof top?.seconds === "number" && top.seconds >= LONG_VIDEO_SECONDS;
+Important geometry:
+${boardGeometryText(profile)}
 
-    console.log("🎵 MQTT YT_SEARCH_RESULT:", {
-      stt: text,
-      q,
-      found: !!top?.url,
-      title: top?.title,
-      url: top?.url,
-      seconds: top?.seconds,
-      duration: durationStr,
-      route: isLong ? "PODCAST_TRANSCRIPT" : "LOCAL_YTDLP",
-    });
+Grid specification:
+- Expected grid size: ${cols} columns x ${rows} rows.
+- Rows are counted from TOP to BOTTOM: row 0 is the TOP row, row ${rows - 1} is the BOTTOM row.
+- Columns are counted from LEFT to RIGHT: col 0 is the LEFT column, col ${cols - 1} is the RIGHT column.
+- "corners" are the 4 OUTER corners of the whole grid as they appear in the photo (top-left, top-right, bottom-right, bottom-left).
+  Because of perspective they usually form a trapezoid, not a rectangle; do NOT return an axis-aligned box there.
 
-    if (!top?.url) {
-      logPidogStage(requestId, "yt_not_found");
-      try {
-        logPidogStage(requestId, "itunes_fallback");
-        const introText = `Ây da, mình tìm được bài hát "${q}" rồi, mình sẽ cho bạn nghe đây, nghe vui nha.`;
-        const intro_url = await textToSpeechMp3Pi(introText, "music_intro");
-        const songMp3Path = await downloadFromItunes(q, audioDir);
-
-        const introLocalPath = audioUrlToLocalPath(intro_url);
-        const final_audio_url = await concatMp3LocalToPublicUrl(introLocalPath, songMp3Path, "music_final");
-
-        safeUnlink(introLocalPath);
-        safeUnlink(songMp3Path);
-
-        mqttClient.publish(
-          "robot/music",
-          JSON.stringify({
-            label: "nhac",
-            text: introText,
-            audio_url: final_audio_url,
-            user: userKey,
-            source: "itunes",
-          }),
-          { qos: 1 }
-        );
-
-        return { status: "ok", transcript: text, label: "nhac", reply_text: introText, audio_url: final_audio_url };
-      } catch (e2) {
-        logPidogStage(requestId, "itunes_failed", { error: (e2?.message || String(e2)).slice(0, 180) });
-        const replyText = "Em không tìm thấy bài trên YouTube và iTunes. Anh nói lại tên bài + ca sĩ giúp em nha.";
-        const audio_url = await textToSpeechMp3Pi(replyText, "yt_fail");
-        return { status: "ok", transcript: text, label: "nhac", reply_text: replyText, audio_url };
-      }
-    }
+Marks:
+${boardMarksText(profile)}
 
-    // ✅ LONG VIDEO => transcript -> GPT punctuation -> podcast chunks
-    if (isLong) {
-      const jobMeta = {
-        type: "yt_podcast",
-        user: userKey,
-        stt: text,
-        q,
-        yt: { title: top.title, url: top.url, seconds: top.seconds, duration: durationStr },
-        remote: REMOTE_YT_SERVER,
-      };
-
-      const processLongPodcast = async () => {
-        console.log("📥 MQTT LONG_YT -> FETCH TRANSCRIPT REMOTE:", {
-          remote: REMOTE_YT_SERVER,
-          url: top.url,
-          title: top.title,
-          seconds: top.seconds,
-          duration: durationStr,
-        });
+Output rules:
+- Return ONLY valid JSON (no markdown, no extra text).
+- All bboxes must be normalized to [0..1] in original image space.
+${reportRule}; state must be exactly one of: ${schemaTypeText(SCAN_CHESS_SCHEMA.cells.items.state)}.
+- Cell "confidence" is how sure you are about that cell's state (0..1).
+- If the board or cells cannot be reliably detected, set found=false and still return valid JSON with cells as an empty array.
 
-        // 1) remote transcript
-        let transcript = "";
-        try {
-          transcript = await fetchRemoteTranscriptText(top.url);
-        } catch (e) {
-          console.error("⚠️ Remote transcript fetch error:", e?.message || e);
-          transcript = "";
-        }
+Required JSON schema:
+${renderSchemaForPrompt(SCAN_CHESS_SCHEMA)}
+  `.trim();
 
-        if (transcript) {
-          console.log("✅ Remote transcript length:", transcript.length);
-        } else {
-          console.log("⚠️ Remote transcript empty -> fallback local captions (yt-dlp vtt)");
-          transcript = await getYoutubeTranscriptTextLocalFallback(top.url);
-        }
+  const user = "Scan this board photo and return the JSON described in the schema.";
+  return { system, user };
+}
 
-        if (!transcript) {
-          throw new Error("No transcript available (remote + local captions both empty)");
-        }
+/* ---------- perspective: 4 góc bàn cờ -> homography (ô vuông đơn vị <-> ảnh) ----------
+   corners theo thứ tự TL, TR, BR, BL (toạ độ ảnh chuẩn hoá, y hướng xuống)
+   không có corners hợp lệ -> fallback grid_bbox chia đều (recomputeRowColFromGrid)
+------------------------------------------------------------------------------*/
+// 4 điểm bất kỳ thứ tự -> [TL, TR, BR, BL] | null
+function orderCorners(points) {
+  const by = (f, pick) => points.reduce((best, p) => (pick(f(p), f(best)) ? p : best));
+  const tl = by((p) => p[0] + p[1], (a, b) => a < b);
+  const br = by((p) => p[0] + p[1], (a, b) => a > b);
+  const tr = by((p) => p[0] - p[1], (a, b) => a > b);
+  const bl = by((p) => p[0] - p[1], (a, b) => a < b);
+  const out = [tl, tr, br, bl];
+  return new Set(out).size === 4 ? out : null;
+}
 
-        // 2) punctuation by GPT
-        console.log("✍️ Punctuating transcript by GPT...");
-        const punctuated = await punctuateTranscriptWithGpt(transcript, "vi");
-        const finalText = punctuated || transcript;
+function isConvexQuad(q) {
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const [ax, ay] = q[i];
+    const [bx, by] = q[(i + 1) % 4];
+    const [cx, cy] = q[(i + 2) % 4];
+    const cross = (bx - ax) * (cy - by) - (by - ay) * (cx - bx);
+    if (Math.abs(cross) < 1e-9) return false;
+    if (sign && Math.sign(cross) !== sign) return false;
+    sign = Math.sign(cross);
+  }
+  return true;
+}
 
-        // 3) create podcast session
-        const podcast_id = createPodcastSession({
-          title: top.title,
-          url: top.url,
-          transcriptText: finalText,
-        });
+// Heckbert: (u,v) ∈ [0,1]² -> tứ giác q; -> ma trận 3x3 (mảng 9 phần tử) | null
+function squareToQuadHomography(q) {
+  const [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] = q;
+  const dx1 = x1 - x2, dx2 = x3 - x2, dx3 = x0 - x1 + x2 - x3;
+  const dy1 = y1 - y2, dy2 = y3 - y2, dy3 = y0 - y1 + y2 - y3;
+  const den = dx1 * dy2 - dx2 * dy1;
+  if (Math.abs(den) < 1e-12) return null;
+  const g = (dx3 * dy2 - dx2 * dy3) / den;
+  const h = (dx1 * dy3 - dx3 * dy1) / den;
+  return [x1 - x0 + g * x1, x3 - x0 + h * x3, x0, y1 - y0 + g * y1, y3 - y0 + h * y3, y0, g, h, 1];
+}
 
-        const s = getPodcastSession(podcast_id);
-        const total = s?.chunks?.length || 0;
-
-        console.log("✅ PODCAST READY:", { podcast_id, total });
-
-        // 4) generate first audio chunk
-        const introText = `Video này hơi dài. Em sẽ đọc theo từng đoạn. Đây là "${top.title}".`;
-        const firstChunk = s.chunks[0] || "";
-        const firstText = `${introText}\n\n${firstChunk}`.trim();
-
-        const audio_url = await textToSpeechMp3Long(firstText, `pod_first_${podcast_id}`);
-
-        // publish MQTT first chunk (robot sẽ play)
-        mqttClient.publish(
-          "robot/music",
-          JSON.stringify({
-            label: "nhac",
-            text: introText,
-            audio_url,
-            user: userKey,
-            podcast: { podcast_id, index: 0, total },
-            yt: { title: top.title, url: top.url, seconds: top.seconds, duration: durationStr, route: "podcast_transcript" },
-          }),
-          { qos: 1 }
-        );
-
-        return {
-          status: "ok",
-          transcript: text,
-          label: "nhac",
-          reply_text: introText,
-          audio_url,
-          play: null,
-          used_vision: false,
-          podcast: { podcast_id, index: 0, total },
-        };
-      };
-
-      if (!wantWait) {
-        const job_id = createJob(jobMeta);
-        console.log("🧵 MQTT JOB_CREATED:", { job_id, ...jobMeta });
-        runJob(job_id, processLongPodcast).catch((e) => console.error("❌ Job failed:", job_id, e?.message || e));
-
-        return {
-          status: "processing",
-          job_id,
-          transcript: text,
-          label: "nhac",
-          title: top.title,
-          url: top.url,
-          seconds: top.seconds,
-          duration: durationStr,
-          route: "PODCAST_TRANSCRIPT",
-          remote: REMOTE_YT_SERVER,
-        };
-      }
+function invert3x3(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) return null;
+  return [A, -(b * i - c * h), b * f - c * e, B, a * i - c * g, -(a * f - c * d), C, -(a * h - b * g), a * e - b * d].map((v) => v / det);
+}
 
-      const job_id = createJob({ ...jobMeta, note: "sync_wait=1" });
-      try {
-        const result = await runJob(job_id, processLongPodcast);
-        return { ...result, job_id };
-      } catch (e) {
-        console.error("❌ Podcast long error:", e?.message || e);
-        const replyText = `Em bị lỗi khi lấy transcript cho video dài "${top.title}". Anh thử bài khác giúp em nha.`;
-        const audio_url = await textToSpeechMp3Pi(replyText, "yt_podcast_fail");
-        return { status: "ok", transcript: text, label: "nhac", reply_text: replyText, audio_url, job_id };
-      }
-    }
+function applyHomography(m, x, y) {
+  const w = m[6] * x + m[7] * y + m[8];
+  if (Math.abs(w) < 1e-12) return null;
+  return [(m[0] * x + m[1] * y + m[2]) / w, (m[3] * x + m[4] * y + m[5]) / w];
+}
 
-    // ✅ SHORT VIDEO => tải mp3 local + ghép intro
-    const introText = `Ây da, mình tìm được bài hát "${top.title}" rồi, mình sẽ cho bạn nghe đây, nghe vui nha.`;
-    const intro_url = await textToSpeechMp3Pi(introText, "music_intro");
-    let songMp3Path;
-    try {
-      songMp3Path = await ytdlpExtractMp3FromYoutube(top.url, audioDir);
-    } catch (e) {
-      logPidogStage(requestId, "yt_download_failed", { error: (e?.message || String(e)).slice(0, 180) });
-      console.error("YouTube download failed, trying iTunes fallback:", e?.message || e);
-      try {
-        logPidogStage(requestId, "itunes_fallback");
-        songMp3Path = await downloadFromItunes(q, audioDir);
-        console.log("✅ Fallback to iTunes successful");
-      } catch (e2) {
-        logPidogStage(requestId, "itunes_failed", { error: (e2?.message || String(e2)).slice(0, 180) });
-        console.error("iTunes fallback failed:", e2?.message || e2);
-        const replyText = "Em không tải được bài hát từ YouTube và iTunes. Anh thử bài khác giúp em nha.";
-        const audio_url = await textToSpeechMp3Pi(replyText, "download_fail");
-        return { status: "ok", transcript: text, label: "nhac", reply_text: replyText, audio_url };
-      }
-    }
-    const introLocalPath = audioUrlToLocalPath(intro_url);
-    const final_audio_url = await concatMp3LocalToPublicUrl(introLocalPath, songMp3Path, "music_final");
+const round4 = (n) => Math.round(n * 1e4) / 1e4;
+
+// độ tin vị trí: tâm mark ở giữa ô -> 1, sát mép ô -> 0.5, nằm ngoài bàn cờ -> x0.3
+function cellFitConfidence(u, v, rows, cols) {
+  const fu = u * cols;
+  const fv = v * rows;
+  const col = clamp(Math.floor(fu), 0, cols - 1);
+  const row = clamp(Math.floor(fv), 0, rows - 1);
+  const off = Math.max(Math.abs(fu - col - 0.5), Math.abs(fv - row - 0.5));
+  const inside = u >= 0 && u <= 1 && v >= 0 && v <= 1;
+  return { row, col, fit: (1 - Math.min(off, 0.5)) * (inside ? 1 : 0.3) };
+}
 
-    safeUnlink(introLocalPath);
-    safeUnlink(songMp3Path);
+// -> { corners, H, Hinv } | null
+function boardHomography(corners) {
+  if (!corners) return null;
+  const H = squareToQuadHomography(corners);
+  const Hinv = H && invert3x3(H);
+  return Hinv ? { corners, H, Hinv } : null;
+}
 
-    mqttClient.publish(
-      "robot/music",
-      JSON.stringify({
-        label: "nhac",
-        text: introText,
-        audio_url: final_audio_url,
-        user: userKey,
-        yt: { title: top.title, url: top.url, seconds: top.seconds, duration: durationStr, route: "local" },
-      }),
-      { qos: 1 }
-    );
+// 4 góc của ô (row, col) trên ảnh, để Pi vẽ overlay
+function cellPolygon(geom, rows, cols, row, col) {
+  const uv = [[col / cols, row / rows], [(col + 1) / cols, row / rows], [(col + 1) / cols, (row + 1) / rows], [col / cols, (row + 1) / rows]];
+  if (geom.H) return uv.map(([u, v]) => (applyHomography(geom.H, u, v) || [0, 0]).map(round4));
+  const [gx1, gy1, gx2, gy2] = geom.grid_bbox;
+  return uv.map(([u, v]) => [round4(gx1 + u * (gx2 - gx1)), round4(gy1 + v * (gy2 - gy1))]);
+}
+
+function polygonBbox(poly) {
+  const xs = poly.map((p) => p[0]);
+  const ys = poly.map((p) => p[1]);
+  return sanitizeBboxNormalized([Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]);
+}
 
+// cells (bbox + confidence từ model) -> { cells: + row/col hình học, polygon, confidence; method }
+function mapCellsToGrid(cells, { corners = null, grid_bbox = null, rows, cols }) {
+  const hom = boardHomography(corners);
+  if (hom) {
     return {
-      status: "ok",
-      transcript: text,
-      label: "nhac",
-      reply_text: introText,
-      audio_url: final_audio_url,
-      play: null,
-      used_vision: false,
+      method: "homography",
+      cells: cells.map((c) => {
+        const { cx, cy } = bboxCenter(c.bbox);
+        const [u, v] = applyHomography(hom.Hinv, cx, cy) || [-1, -1];
+        const { row, col, fit } = cellFitConfidence(u, v, rows, cols);
+        return { ...c, row, col, polygon: cellPolygon(hom, rows, cols, row, col), confidence: round4(c.confidence * fit) };
+      }),
     };
   }
 
-  // ===========================
-  // MOVEMENT labels -> MQTT
-  // ===========================
-  if (["tien", "lui", "trai", "phai"].includes(label)) {
-    mqttClient.publish("robot/label", JSON.stringify({ label }), { qos: 1, retain: true });
-    return { status: "ok", transcript: text, label, reply_text: "", audio_url: null };
+  if (grid_bbox) {
+    const [gx1, gy1, gx2, gy2] = grid_bbox;
+    return {
+      method: "axis_aligned",
+      cells: recomputeRowColFromGrid(cells, grid_bbox, rows, cols).map((c) => {
+        const { cx, cy } = bboxCenter(c.bbox);
+        const { fit } = cellFitConfidence((cx - gx1) / (gx2 - gx1), (cy - gy1) / (gy2 - gy1), rows, cols);
+        return { ...c, polygon: cellPolygon({ grid_bbox }, rows, cols, c.row, c.col), confidence: round4(c.confidence * fit) };
+      }),
+    };
   }
 
-  // ===========================
-  // GPT (chat / question) — TEXT ONLY
-  // ===========================
-  const memoryText = (memoryArr || [])
-    .slice(-12)
-    .map((m, i) => {
-      const u = (m.transcript || "").trim();
-      const a = (m.reply_text || "").trim();
-      return `#${i + 1} USER: ${u}\n#${i + 1} BOT: ${a}`;
-    })
-    .join("\n\n");
+  return { method: "model", cells: cells.map((c) => ({ ...c, polygon: null })) };
+}
 
-  const system = `
-Bạn là dog robot của Matthew. Trả lời ngắn gọn, dễ hiểu, thân thiện.
-Tạm thời KHÔNG mô tả ảnh. Trả lời dựa trên câu nói của người dùng.
-`.trim();
+/* ---------- schema -> validate / repair ---------- */
+// -> { ok, value, repaired }   (ok=false: không cứu được)
+function coerceSchemaValue(spec, v, { aliases = null } = {}) {
+  if (spec.type === "boolean") {
+    if (typeof v === "boolean") return { ok: true, value: v };
+    const s = String(v ?? "").toLowerCase().trim();
+    if (["true", "1", "yes"].includes(s)) return { ok: true, value: true, repaired: true };
+    if (["false", "0", "no"].includes(s)) return { ok: true, value: false, repaired: true };
+    return { ok: false };
+  }
 
-  const messages = [{ role: "system", content: system }];
-  if (memoryText) messages.push({ role: "system", content: `Robot recent memory:\n${memoryText}`.slice(0, 6000) });
+  if (spec.type === "integer" || spec.type === "number") {
+    const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+    if (typeof n !== "number" || !Number.isFinite(n)) return { ok: false };
+    let value = spec.type === "integer" ? Math.round(n) : n;
+    if (spec.min != null) value = Math.max(spec.min, value);
+    if (spec.max != null) value = Math.min(spec.max, value);
+    return { ok: true, value, repaired: value !== v };
+  }
 
-  logPidogStage(requestId, "gpt_reply");
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4.1-mini",
-    messages: [...messages, { role: "user", content: text }],
-    temperature: 0.25,
-    max_tokens: 260,
-  });
+  if (spec.type === "bbox") {
+    if (v == null) return spec.nullable ? { ok: true, value: null } : { ok: false };
+    let arr = v;
+    if (typeof arr === "string") {
+      try {
+        arr = JSON.parse(arr);
+      } catch {
+        return { ok: false };
+      }
+    }
+    if (arr && !Array.isArray(arr) && typeof arr === "object") arr = [arr.x1, arr.y1, arr.x2, arr.y2];
+    if (!Array.isArray(arr) || arr.length !== 4 || arr.some((x) => typeof x !== "number" || x < -0.05 || x > 1.05)) {
+      return { ok: false }; // pixel / thiếu toạ độ: không đoán được kích thước ảnh
+    }
+    const value = sanitizeBboxNormalized(arr);
+    if (!value) return { ok: false };
+    return { ok: true, value, repaired: arr !== v || value.some((x, i) => x !== arr[i]) };
+  }
 
-  const replyText = completion.choices?.[0]?.message?.content?.trim() || "Em chưa hiểu câu này.";
-  logPidogStage(requestId, "tts_start");
-  const audio_url = await textToSpeechMp3Pi(replyText, "pi_v2");
+  if (spec.type === "corners") {
+    if (v == null) return spec.nullable ? { ok: true, value: null } : { ok: false };
+    // [[x,y] x4] | [{x,y} x4] | { tl, tr, br, bl } / { top_left, ... }
+    let pts = v;
+    if (pts && !Array.isArray(pts) && typeof pts === "object") {
+      pts = [["tl", "top_left"], ["tr", "top_right"], ["br", "bottom_right"], ["bl", "bottom_left"]].map(([a, b]) => pts[a] ?? pts[b]);
+    }
+    if (!Array.isArray(pts) || pts.length !== 4) return { ok: false };
+    pts = pts.map((p) => (Array.isArray(p) ? p : [p?.x, p?.y]));
+    if (pts.some((p) => p.length !== 2 || p.some((x) => typeof x !== "number" || x < -0.05 || x > 1.05))) return { ok: false };
+    pts = pts.map((p) => p.map(clamp01));
+    const value = orderCorners(pts);
+    if (!value || !isConvexQuad(value)) return { ok: false };
+    const same = Array.isArray(v) && v.every((p, i) => Array.isArray(p) && p[0] === value[i][0] && p[1] === value[i][1]);
+    return { ok: true, value, repaired: !same };
+  }
 
-  mqttClient.publish("robot/music", JSON.stringify({ audio_url, text: replyText, label, user: userKey }), { qos: 1 });
+  if (spec.type === "enum") {
+    if (spec.values.includes(v)) return { ok: true, value: v };
+    const hit = aliases?.[String(v ?? "").toLowerCase().trim()];
+    return hit ? { ok: true, value: hit, repaired: true } : { ok: false };
+  }
 
-  return { status: "ok", transcript: text, label, reply_text: replyText, audio_url, play: null, used_vision: false };
+  return { ok: true, value: v };
 }
 
-async function handlePidogChatRequest(rawPayload) {
-  console.log("📥 PIDOG_CHAT_REQUEST_RAW:", String(rawPayload || "").slice(0, 220));
-  const { id, text } = parsePidogChatPayload(rawPayload);
-  if (!id) {
-    console.warn("PIDOG chat request missing id");
-    return;
+// tên state model hay trả sai -> state chuẩn; ký hiệu cấu hình đặt sau cùng (đổi X/O cho nhau vẫn đúng)
+function scanChessStateAliases(marks) {
+  const S = SCAN_CHESS_STATES;
+  const aliases = {};
+  const add = (state, words) => {
+    for (const w of words) aliases[String(w).toLowerCase()] = state;
+  };
+  add(S.empty, ["", "empty", "none", "blank", "null", "-", "."]);
+  add(S.player, ["player", "human", "x", "cross", "player_o"]);
+  add(S.robot, ["robot", "robot_circle", "robot_o", "robot_x", "circle", "o", "0", "line"]);
+  const shape = (m) => MARK_SHAPE_NAMES[String(m).toLowerCase()] || m;
+  add(S.player, [`player_${marks.player}`, marks.player, shape(marks.player)]);
+  add(S.robot, [`robot_${marks.robot}`, marks.robot, shape(marks.robot)]);
+  return aliases;
+}
+
+// output model (đã JSON.parse) -> { value: { found, rows, cols, grid_bbox, corners, grid_mapping, cells, confidence } | null, issues }
+// rows / cols lấy theo profile (model đếm sai số đường kẻ trên bàn lớn là chuyện thường)
+function repairScanChessOutput(raw, { profile = defaultBoardProfile() } = {}) {
+  const { rows, cols, marks } = profile;
+  const S = SCAN_CHESS_SCHEMA;
+  const issues = [];
+  const note = (at, problem, action) => issues.push({ path: at, problem, action });
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    note("$", "not_an_object", "rejected");
+    return { value: null, issues };
   }
 
-  console.log("🧾 PIDOG_CHAT_REQUEST_PARSED:", { id, text_preview: String(text || "").slice(0, 160) });
+  const field = (key, fallback) => {
+    if (raw[key] === undefined) {
+      if (S[key].required) note(key, "missing", "rejected");
+      else if (!S[key].optional) note(key, "missing", "defaulted");
+      return fallback;
+    }
+    const r = coerceSchemaValue(S[key], raw[key]);
+    if (!r.ok) {
+      note(key, `invalid: ${JSON.stringify(raw[key]).slice(0, 60)}`, "defaulted");
+      return fallback;
+    }
+    if (r.repaired) note(key, "coerced", "repaired");
+    return r.value;
+  };
 
-  const existing = getChatAnswer(id);
-  if (existing?.status === "done") {
-    publishPidogChatStatus(id, "done", { ok: !existing.error });
-    return;
+  const found = field("found", false);
+  if (issues.some((x) => x.action === "rejected")) return { value: null, issues };
+  for (const [key, want] of [["rows", rows], ["cols", cols]]) {
+    const got = field(key, want);
+    if (got !== want) note(key, `model ${got} != profile ${want}`, "profile_used");
+  }
+  const corners = field("corners", null);
+  const grid_bbox = corners && raw.grid_bbox == null ? polygonBbox(corners) : field("grid_bbox", null);
+  const confidence = field("confidence", 0.6);
+  const hom = boardHomography(corners);
+  const geom = hom || (grid_bbox ? { grid_bbox } : null);
+
+  let cellsRaw = raw.cells;
+  if (!Array.isArray(cellsRaw)) {
+    if (cellsRaw !== undefined) note("cells", "not_an_array", "defaulted");
+    cellsRaw = [];
   }
 
-  if (chatRequestsInFlight.has(id)) return;
-  chatRequestsInFlight.add(id);
-  saveChatAnswer(id, { status: "processing" });
-  publishPidogChatStatus(id, "processing", { ok: true });
+  const aliases = scanChessStateAliases(marks);
+  const item = S.cells.items;
+  let cells = [];
+  cellsRaw.forEach((c, i) => {
+    const at = `cells[${i}]`;
+    if (!c || typeof c !== "object") return note(at, "not_an_object", "dropped");
+
+    const state = coerceSchemaValue(item.state, c.state, { aliases });
+    if (!state.ok) return note(`${at}.state`, `unknown: ${JSON.stringify(c.state)}`, "dropped");
+    if (state.repaired) note(`${at}.state`, `${JSON.stringify(c.state)} -> "${state.value}"`, "repaired");
+
+    let row = coerceSchemaValue(item.row, c.row);
+    let col = coerceSchemaValue(item.col, c.col);
+    const inGrid = row.ok && col.ok && row.value < rows && col.value < cols;
+    let bbox = coerceSchemaValue(item.bbox, c.bbox);
+    if (!bbox.ok) {
+      if (!geom || !inGrid) return note(`${at}.bbox`, "invalid", "dropped");
+      bbox = { ok: true, value: polygonBbox(cellPolygon(geom, rows, cols, row.value, col.value)) };
+      note(`${at}.bbox`, "invalid", "repaired_from_grid");
+    } else if (bbox.repaired) {
+      note(`${at}.bbox`, "coerced", "repaired");
+    }
+    if (!inGrid) {
+      if (!geom) return note(`${at}.row/col`, "missing_or_out_of_grid", "dropped");
+      row = col = { ok: true, value: 0 }; // tính lại từ hình học bên dưới
+      note(`${at}.row/col`, "missing_or_out_of_grid", "repaired_from_bbox");
+    } else if (row.repaired || col.repaired) {
+      note(`${at}.row/col`, "coerced", "repaired");
+    }
 
-  try {
-    const cleaned = cleanTranscriptText(text);
-    const finalText = cleaned || text || "";
-    if (!finalText) {
-      const errMsg = "empty_text";
-      saveChatAnswer(id, { status: "error", error: errMsg });
-      publishPidogChatStatus(id, "done", { ok: false, error: errMsg });
-      return;
+    let cellConf = coerceSchemaValue(item.confidence, c.confidence);
+    if (c.confidence !== undefined && !cellConf.ok) note(`${at}.confidence`, "invalid", "defaulted");
+    cellConf = cellConf.ok ? cellConf.value : confidence;
+
+    cells.push({ row: row.value, col: col.value, bbox: bbox.value, state: state.value, confidence: cellConf });
+  });
+
+  // ✅ 핵심: recompute row/col from geometry (homography nếu có corners, không thì chia đều grid_bbox)
+  const mapped = mapCellsToGrid(cells, { corners: hom?.corners || null, grid_bbox, rows, cols });
+  const before = mapped.cells.length;
+  cells = dedupeByRowCol(mapped.cells, profile);
+  if (cells.length < before) note("cells", `${before - cells.length} duplicate row/col`, "dropped");
+
+  // gravity: quân phải nằm trên quân khác hoặc ở hàng đáy (chỉ cảnh báo, không sửa)
+  if (profile.gravity) {
+    const at = new Map(cells.map((c) => [`${c.row},${c.col}`, c.state]));
+    for (const c of cells) {
+      if (c.state === SCAN_CHESS_STATES.empty || c.row >= rows - 1) continue;
+      if (at.get(`${c.row + 1},${c.col}`) === SCAN_CHESS_STATES.empty) note(`cells(${c.row},${c.col})`, "floating_piece", "kept");
     }
+  }
 
-    const userKey = `mqtt_${id.slice(0, 8)}`;
-    const result = await handlePidogChatText({ text: finalText, userKey, memoryArr: [], wantWait: true, requestId: id });
-    saveChatAnswer(id, { status: "done", result, error: null });
-    publishPidogChatStatus(id, "done", { ok: true });
+  return { value: { found, rows, cols, grid_bbox, corners: hom?.corners || null, grid_mapping: mapped.method, cells, confidence }, issues };
+}
+
+// ảnh bàn cờ -> { found, profile, rows, cols, grid_bbox, corners, grid_mapping, cells: [{ row, col, bbox, state, confidence, polygon }], *_count, confidence }
+// (found=false -> scanChessFallback(profile) + debug); dùng chung cho /scan_chess và /game/move
+async function scanChessBoard(imageFile, { profile = defaultBoardProfile(), strict = SCAN_CHESS_STRICT, debug = SCAN_CHESS_DEBUG } = {}) {
+  const b64 = imageFile.buffer.toString("base64");
+  const dataUrl = `data:${imageFile.mimetype || "image/jpeg"};base64,${b64}`;
+  const { system, user } = buildScanChessPrompt(profile);
+  const cellCount = profile.rows * profile.cols;
+  const reported = scanChessReportsAll(profile) ? cellCount : Math.ceil(cellCount / 2);
+
+  const model = process.env.VISION_MODEL || "gpt-4.1-mini";
+  const completion = await openai.chat.completions.create({
+    model,
+    messages: [
+      { role: "system", content: system },
+      {
+        role: "user",
+        content: [
+          { type: "text", text: user },
+          { type: "image_url", image_url: { url: dataUrl } },
+        ],
+      },
+    ],
+    temperature: 0,
+    max_tokens: clamp(80 * reported, 1200, 4000),
+    response_format: { type: "json_object" },
+  });
+
+  const raw = completion.choices?.[0]?.message?.content?.trim() || "";
+  let result = null;
+  try {
+    result = JSON.parse(raw);
   } catch (e) {
-    const errMsg = e?.message || String(e);
-    saveChatAnswer(id, { status: "error", error: errMsg });
-    publishPidogChatStatus(id, "done", { ok: false, error: errMsg });
-  } finally {
-    chatRequestsInFlight.delete(id);
+    return { ...scanChessFallback(profile), debug: "JSON.parse failed", raw_head: raw.slice(0, 300) };
+  }
+
+  const { value: fixed, issues } = repairScanChessOutput(result, { profile });
+  const withDebug = (out) => (debug ? { ...out, schema_debug: { raw: result, repaired: fixed, issues } } : out);
+  if (issues.length) console.warn("⚠️ scan_chess schema issues:", issues.length, issues.slice(0, 5));
+
+  if (!fixed || (strict && issues.length)) {
+    return withDebug({ ...scanChessFallback(profile), debug: "schema_invalid", schema_issues: issues });
+  }
+
+  // ô không được báo (bàn lớn chỉ báo ô có quân) tính là trống
+  const counts = { player: 0, robot: 0 };
+  for (const c of fixed.cells) {
+    if (c.state === SCAN_CHESS_STATES.player) counts.player += 1;
+    else if (c.state === SCAN_CHESS_STATES.robot) counts.robot += 1;
+  }
+
+  const response = {
+    found: fixed.found,
+    profile: profile.name,
+    rows: fixed.rows,
+    cols: fixed.cols,
+    cell_count: cellCount,
+    grid_bbox: fixed.grid_bbox,
+    corners: fixed.corners,
+    grid_mapping: fixed.grid_mapping,
+    cells: fixed.cells,
+    empty_count: cellCount - counts.player - counts.robot,
+    player_count: counts.player,
+    robot_count: counts.robot,
+    marks: { ...profile.marks },
+    image_space: "normalized",
+    confidence: fixed.confidence,
+    ...(issues.length ? { schema_issues: issues } : {}),
+  };
+
+  if (!response.found) {
+    return withDebug({
+      ...scanChessFallback(profile),
+      confidence: Math.min(response.confidence, 0.3),
+      debug: "model_returned_found_false",
+      grid_bbox: response.grid_bbox,
+      corners: response.corners,
+    });
   }
+
+  return withDebug(response);
 }
 
-/* ===========================================================================  
-   VISION ENDPOINT (kept)
-===========================================================================*/
-app.post("/avoid_obstacle_vision", uploadVision.single("image"), async (req, res) => {
+// form / query: profile, rows, cols, player_mark, robot_mark, strict=1, debug=1
+// -> { profile (đã gộp rows / cols / marks override), strict, debug } | { error }
+function scanChessOptions(req, defaults = {}) {
+  const pick = (k) => req.body?.[k] ?? req.query?.[k];
+  const flag = (k, d) => (pick(k) == null ? d : ["1", "true"].includes(String(pick(k))));
+  const max = SCAN_CHESS_SCHEMA.rows.max;
+  const int = (k, d) => (Number.isInteger(Number(pick(k))) && Number(pick(k)) > 0 && Number(pick(k)) <= max ? Number(pick(k)) : d);
+
+  const name = pick("profile");
+  const base = name ? getBoardProfile(name) : getBoardProfile(defaults.profile) || defaultBoardProfile();
+  if (!base) return { error: `Unknown profile "${name}"` };
+  return {
+    profile: {
+      ...base,
+      rows: int("rows", defaults.rows ?? base.rows),
+      cols: int("cols", defaults.cols ?? base.cols),
+      marks: {
+        player: String(pick("player_mark") || defaults.marks?.player || base.marks.player).trim().slice(0, 12),
+        robot: String(pick("robot_mark") || defaults.marks?.robot || base.marks.robot).trim().slice(0, 12),
+      },
+    },
+    strict: flag("strict", SCAN_CHESS_STRICT),
+    debug: flag("debug", SCAN_CHESS_DEBUG),
+  };
+}
+
+app.post("/scan_chess", uploadChessImage, async (req, res) => {
+  const opts = scanChessOptions(req);
+  const profile = opts.profile || defaultBoardProfile();
   try {
-    if (!req.file || !req.file.buffer) return res.status(400).json({ error: "No image" });
-    let meta = {};
-    try { meta = req.body?.meta ? JSON.parse(req.body.meta) : {}; } catch { meta = {}; }
+    if (opts.error) return res.status(400).json({ ...scanChessFallback(profile), debug: opts.error });
+    const imageFile = chessImageFile(req);
+    if (!imageFile?.buffer) {
+      return res.status(400).json({ ...scanChessFallback(profile), debug: "No image buffer" });
+    }
+    return res.json(await scanChessBoard(imageFile, opts));
+  } catch (err) {
+    console.error("/scan_chess error:", err);
+    return res.status(500).json({ ...scanChessFallback(profile), debug: err?.message || "vision failed" });
+  }
+});
 
-    const distCm = meta.lidar_cm ?? meta.ultra_cm ?? null;
-    const strength = meta.lidar_strength ?? meta.uart_strength ?? null;
-    const localBest = meta.best_sector_local ?? meta.local_best_sector ?? meta.local_best ?? null;
-    const corridorCenterX = meta.corridor_center_x ?? null;
-    const corridorWidthRatio = meta.corridor_width_ratio ?? null;
-    const corridorConf = meta.corridor_conf ?? null;
+app.get("/scan_chess/profiles", (req, res) => {
+  const list = [...BOARD_PROFILES.values(), ...customBoardProfiles.values()];
+  return res.json({ ok: true, default: defaultBoardProfile().name, count: list.length, profiles: list });
+});
 
-    const roiW = Number(meta.roi_w || 640);
-    const roiH = Number(meta.roi_h || 240);
+// body: { name, label?, rows, cols, marks?: { player, robot } (hoặc player_mark / robot_mark), mark_style?, orientation?, tilt_deg?, win_length?, gravity? }
+app.post("/scan_chess/profiles", (req, res) => {
+  const out = registerBoardProfile(req.body || {});
+  return res.status(out.ok ? 200 : 400).json(out);
+});
 
-    const b64 = req.file.buffer.toString("base64");
-    const dataUrl = `data:image/jpeg;base64,${b64}`;
+app.delete("/scan_chess/profiles", (req, res) => {
+  const name = String(req.query.name || req.body?.name || "").trim().toLowerCase();
+  if (!name) return res.status(400).json({ ok: false, error: "Missing ?name=" });
+  if (BOARD_PROFILES.has(name)) return res.status(400).json({ ok: false, error: `"${name}" is a built-in profile` });
+  return res.json({ ok: true, name, deleted: customBoardProfiles.delete(name) });
+});
 
-    const system = `
-Bạn là module "AvoidObstacle" cho robot đi trong nhà.
-Mục tiêu: chọn hướng đi theo "lối đi dành cho người" (walkway/corridor) trong ROI.
-Trả về JSON hợp lệ, KHÔNG giải thích.
-`.trim();
+/* ===========================================================================  
+   ✅ SCAN CHESS CONSENSUS (nhiều frame -> 1 bàn cờ)
+   - mỗi frame 1 lần scanChessBoard (cùng profile, chạy song song), frame found=false bị loại
+   - mỗi ô bỏ phiếu theo state, trọng số = confidence của ô trong frame đó
+     (bàn chỉ báo ô có quân: frame không báo ô -> 1 phiếu "empty" theo confidence cả frame)
+   - agreement = phiếu thắng / tổng phiếu; ô < SCAN_CONSENSUS_MIN_AGREEMENT -> unstable_cells
+   - stable=false (rescan=true) khi ít frame dùng được hoặc còn ô lệch -> Pi chụp lại
+===========================================================================*/
+const SCAN_CONSENSUS_MAX_FRAMES = Number(process.env.SCAN_CONSENSUS_MAX_FRAMES || 5);
+const SCAN_CONSENSUS_MIN_FRAMES = Number(process.env.SCAN_CONSENSUS_MIN_FRAMES || 2);
+const SCAN_CONSENSUS_MIN_AGREEMENT = Number(process.env.SCAN_CONSENSUS_MIN_AGREEMENT || 0.7);
 
-    const user = [
-      {
-        type: "text",
-        text: `
-Meta:
-- dist_cm: ${distCm}
-- strength: ${strength}
-- local_best_sector: ${localBest}
-- local_corridor_center_x: ${corridorCenterX}
-- local_corridor_width_ratio: ${corridorWidthRatio}
-- local_corridor_conf: ${corridorConf}
-ROI size: ${roiW}x${roiH}
+const uploadChessFrames = uploadVision.fields(
+  ["frames", "image", "photo", "file", "frame"].map((name) => ({ name, maxCount: SCAN_CONSENSUS_MAX_FRAMES }))
+);
 
-Return JSON schema exactly:
-{
-  "best_sector": number,
-  "walkway_center_x": number,
-  "walkway_poly": [[x,y],[x,y],[x,y],[x,y]],
-  "obstacles": [{"label": string, "bbox":[x1,y1,x2,y2], "risk": number}],
-  "n_obstacles": number,
-  "confidence": number
+function chessImageFiles(req) {
+  const files = req.files ? Object.values(req.files).flat() : req.file ? [req.file] : [];
+  return files.filter((f) => f?.buffer).slice(0, SCAN_CONSENSUS_MAX_FRAMES);
 }
-`.trim(),
-      },
-      { type: "image_url", image_url: { url: dataUrl } },
-    ];
 
-    const model = process.env.VISION_MODEL || "gpt-4.1-mini";
-    const completion = await openai.chat.completions.create({
-      model,
-      messages: [{ role: "system", content: system }, { role: "user", content: user }],
-      temperature: 0.2,
-      max_tokens: 420,
-    });
+// kết quả scanChessBoard của từng frame -> bàn cờ consensus + disagreement map + stable
+function voteScanChessFrames(scans, profile) {
+  const S = SCAN_CHESS_STATES;
+  const used = scans.filter((s) => s?.found && Array.isArray(s.cells));
+  const frames = scans.map((s, index) => ({
+    index,
+    found: !!s?.found,
+    confidence: s?.confidence ?? 0,
+    player_count: s?.player_count ?? 0,
+    robot_count: s?.robot_count ?? 0,
+    debug: s?.debug || null,
+  }));
+  if (!used.length) {
+    return {
+      ...scanChessFallback(profile),
+      debug: "no_frame_found",
+      frames_total: scans.length,
+      frames_used: 0,
+      frames,
+      disagreement: null,
+      unstable_cells: [],
+      stable: false,
+      rescan: true,
+      reason: "no_frame_found",
+    };
+  }
 
-    const raw = completion.choices?.[0]?.message?.content?.trim() || "";
-    let plan = null;
-    try { plan = JSON.parse(raw); } catch {
-      const m = raw.match(/\{[\s\S]*\}$/);
-      if (m) { try { plan = JSON.parse(m[0]); } catch { } }
+  const key = (c) => `${c.row},${c.col}`;
+  const tally = new Map(); // "r,c" -> { row, col, votes: { state: weight }, best: { state: cell } }
+  for (const scan of used) {
+    for (const c of scan.cells) {
+      const t = tally.get(key(c)) || { row: c.row, col: c.col, votes: {}, best: {} };
+      const w = Math.max(0.05, Number(c.confidence ?? scan.confidence) || 0);
+      t.votes[c.state] = (t.votes[c.state] || 0) + w;
+      if (!t.best[c.state] || (c.confidence ?? 0) > (t.best[c.state].confidence ?? 0)) t.best[c.state] = c;
+      tally.set(key(c), t);
+    }
+  }
+  if (!scanChessReportsAll(profile)) {
+    for (const scan of used) {
+      const seen = new Set(scan.cells.map(key));
+      for (const [k, t] of tally) {
+        if (!seen.has(k)) t.votes[S.empty] = (t.votes[S.empty] || 0) + Math.max(0.05, Number(scan.confidence) || 0);
+      }
     }
+  }
 
-    const fallbackCenter = typeof corridorCenterX === "number" ? corridorCenterX : Math.floor(roiW / 2);
-    const fallbackBest = typeof localBest === "number" ? localBest : 4;
-    const fallbackPoly = (() => {
-      const halfW = Math.floor(roiW * 0.18);
-      const x1 = Math.max(0, fallbackCenter - halfW);
-      const x2 = Math.min(roiW - 1, fallbackCenter + halfW);
-      const yTop = Math.floor(0.6 * roiH);
-      return [[x1, roiH - 1], [x2, roiH - 1], [x2, yTop], [x1, yTop]];
-    })();
+  const disagreement = Array.from({ length: profile.rows }, () => Array(profile.cols).fill(0));
+  const unstable_cells = [];
+  const cells = [];
+  for (const t of tally.values()) {
+    const ranked = Object.entries(t.votes).sort((a, b) => b[1] - a[1]);
+    const total = ranked.reduce((sum, [, w]) => sum + w, 0);
+    const [state, w] = ranked[0];
+    const agreement = total ? w / total : 0;
+    const votes = Object.fromEntries(ranked.map(([s, v]) => [s, round4(v)]));
+    const best = t.best[state];
+    cells.push({
+      row: t.row,
+      col: t.col,
+      state,
+      bbox: best?.bbox || null,
+      polygon: best?.polygon || null,
+      confidence: round4(w / used.length),
+      agreement: round4(agreement),
+      votes,
+    });
+    if (t.row < profile.rows && t.col < profile.cols) disagreement[t.row][t.col] = round4(1 - agreement);
+    if (agreement < SCAN_CONSENSUS_MIN_AGREEMENT) unstable_cells.push({ row: t.row, col: t.col, state, agreement: round4(agreement), votes });
+  }
+  cells.sort((a, b) => a.row - b.row || a.col - b.col);
 
-    if (!plan || typeof plan !== "object") {
-      return res.status(200).json({
-        best_sector: fallbackBest,
-        walkway_center_x: fallbackCenter,
-        walkway_poly: fallbackPoly,
-        obstacles: [],
-        n_obstacles: 0,
-        confidence: 0.15,
-      });
-    }
+  const counts = { player: 0, robot: 0 };
+  for (const c of cells) {
+    if (c.state === S.player) counts.player += 1;
+    else if (c.state === S.robot) counts.robot += 1;
+  }
 
-    if (typeof plan.best_sector !== "number") plan.best_sector = fallbackBest;
-    if (!Array.isArray(plan.obstacles)) plan.obstacles = [];
-    if (!Array.isArray(plan.walkway_poly)) plan.walkway_poly = fallbackPoly;
+  const ref = used.reduce((a, b) => ((b.confidence ?? 0) > (a.confidence ?? 0) ? b : a)); // frame rõ nhất -> hình học
+  const cellCount = profile.rows * profile.cols;
+  const reason = used.length < SCAN_CONSENSUS_MIN_FRAMES ? "too_few_frames" : unstable_cells.length ? "cells_disagree" : null;
+  return {
+    found: true,
+    profile: profile.name,
+    rows: profile.rows,
+    cols: profile.cols,
+    cell_count: cellCount,
+    grid_bbox: ref.grid_bbox ?? null,
+    corners: ref.corners ?? null,
+    grid_mapping: ref.grid_mapping ?? null,
+    cells,
+    empty_count: cellCount - counts.player - counts.robot,
+    player_count: counts.player,
+    robot_count: counts.robot,
+    marks: { ...profile.marks },
+    image_space: "normalized",
+    confidence: round4(used.reduce((sum, s) => sum + (s.confidence ?? 0), 0) / used.length),
+    frames_total: scans.length,
+    frames_used: used.length,
+    frames,
+    disagreement,
+    unstable_cells,
+    stable: !reason,
+    rescan: !!reason,
+    reason,
+  };
+}
 
-    if (typeof plan.walkway_center_x !== "number") plan.walkway_center_x = fallbackCenter;
-    plan.walkway_center_x = Math.max(0, Math.min(roiW - 1, Number(plan.walkway_center_x)));
-    plan.n_obstacles = plan.obstacles.length;
-    if (typeof plan.confidence !== "number") plan.confidence = 0.4;
-    plan.confidence = Math.max(0, Math.min(1, plan.confidence));
+// nhiều ảnh cùng 1 bàn cờ -> voteScanChessFrames; debug -> kèm kết quả từng frame
+async function scanChessConsensus(imageFiles, opts) {
+  const scans = await Promise.all(
+    imageFiles.map((f, i) =>
+      scanChessBoard(f, opts).catch((e) => {
+        console.error(`⚠️ scan_chess consensus frame ${i} fail:`, e?.message || e);
+        return { ...scanChessFallback(opts.profile), debug: e?.message || "vision failed" };
+      })
+    )
+  );
+  const out = voteScanChessFrames(scans, opts.profile);
+  console.log("🗳️ SCAN_CONSENSUS:", { profile: opts.profile.name, frames: scans.length, used: out.frames_used, stable: out.stable, reason: out.reason });
+  return opts.debug ? { ...out, frame_scans: scans } : out;
+}
 
-    return res.json(plan);
+// multipart: nhiều ảnh ở frames / image / photo / file / frame (tối đa SCAN_CONSENSUS_MAX_FRAMES) + options như /scan_chess
+app.post("/scan_chess/consensus", uploadChessFrames, async (req, res) => {
+  const opts = scanChessOptions(req);
+  const profile = opts.profile || defaultBoardProfile();
+  try {
+    if (opts.error) return res.status(400).json({ ...scanChessFallback(profile), debug: opts.error });
+    const imageFiles = chessImageFiles(req);
+    if (!imageFiles.length) {
+      return res.status(400).json({ ...scanChessFallback(profile), debug: "No image buffer" });
+    }
+    return res.json(await scanChessConsensus(imageFiles, opts));
   } catch (err) {
-    console.error("/avoid_obstacle_vision error:", err);
-    res.status(500).json({ error: err.message || "vision failed" });
+    console.error("/scan_chess/consensus error:", err);
+    return res.status(500).json({ ...scanChessFallback(profile), debug: err?.message || "vision failed" });
   }
 });
 
+/* ===========================================================================  
+   ✅ CARO GAME ENGINE (dùng /scan_chess để đọc nước đi)
+   - mỗi robot 1 ván: bàn cờ lưu theo từng nước (state store "games"), ảnh scan chỉ để tìm nước mới
+   - mỗi lần scan phải có ĐÚNG 1 dấu mới của người chơi (0 -> chờ tiếp, > 1 hoặc dấu robot lạ -> báo lệch bàn cờ)
+     dấu cũ camera không thấy -> vẫn tin bàn cờ đã lưu (chỉ cảnh báo)
+   - robot đáp bằng negamax + alpha-beta (iterative deepening, giới hạn GAME_THINK_MS) trong worker_threads
+     level easy / normal / hard; thắng khi có win_length ô liên tiếp trên lưới rows x cols
+   - kích thước / ký hiệu / win_length / gravity lấy từ board profile (caro, tictactoe, gomoku, connect_four, ...)
+     gravity -> chỉ được đánh ô trống thấp nhất của cột; bàn lớn -> chỉ xét ô gần quân đã đánh
+   - nước robot -> MQTT GAME_MOVE_TOPIC { row, col } + câu nói (thắng / thua / hoà)
+===========================================================================*/
+const GAME_THINK_MS = Number(process.env.GAME_THINK_MS || 1500);
+const GAME_DEFAULT_LEVEL = process.env.GAME_LEVEL || "normal";
+const GAME_MOVE_TOPIC = process.env.GAME_MOVE_TOPIC || "robot/game/move";
+const GAME_TTL_MS = Number(process.env.GAME_TTL_MS || 6 * 60 * 60 * 1000);
+// depth: số nửa nước nhìn trước; random: xác suất đánh bừa (để trẻ con còn thắng được)
+const GAME_LEVELS = {
+  easy: { depth: 1, random: 0.35 },
+  normal: { depth: 3, random: 0 },
+  hard: { depth: 9, random: 0 },
+};
 
-//===========
+const MARK_EMPTY = 0;
+const MARK_PLAYER = 1;
+const MARK_ROBOT = 2;
+const GAME_WIN_SCORE = 1e6;
+const GAME_NEAR_MIN_CELLS = 64; // bàn > 8x8: chỉ xét ô cách quân đã đánh <= 2 (gomoku 15x15 = 225 nước mỗi tầng)
+const GAME_TIMEOUT = Symbol("game_timeout");
+
+const games = createStateStore("games"); // robot -> game
+const gameLocks = new Map();
+const gameLinesCache = new Map();
+
+/* ---------- engine ---------- */
+// mọi đoạn k ô liên tiếp (ngang / dọc / 2 chéo) + danh sách đoạn đi qua từng ô
+function gameLines(rows, cols, k, gravity = false) {
+  const key = `${rows}x${cols}:${k}${gravity ? ":g" : ""}`;
+  if (gameLinesCache.has(key)) return gameLinesCache.get(key);
+
+  const lines = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      for (const [dr, dc] of [[0, 1], [1, 0], [1, 1], [1, -1]]) {
+        const er = r + dr * (k - 1);
+        const ec = c + dc * (k - 1);
+        if (er < 0 || er >= rows || ec < 0 || ec >= cols) continue;
+        lines.push(Array.from({ length: k }, (_, i) => (r + dr * i) * cols + c + dc * i));
+      }
+    }
+  }
+  const byCell = Array.from({ length: rows * cols }, () => []);
+  for (const line of lines) for (const idx of line) byCell[idx].push(line);
 
-function clamp(n, a, b) {
-  n = Number(n);
-  if (!Number.isFinite(n)) return a;
-  return Math.max(a, Math.min(b, n));
+  const geo = { rows, cols, k, gravity, lines, byCell };
+  gameLinesCache.set(key, geo);
+  return geo;
 }
-function clamp01(n) { return clamp(n, 0, 1); }
 
-function sanitizeBboxNormalized(b) {
-  if (!Array.isArray(b) || b.length !== 4) return null;
-  const x1 = clamp01(b[0]);
-  const y1 = clamp01(b[1]);
-  const x2 = clamp01(b[2]);
-  const y2 = clamp01(b[3]);
-  // ensure proper order
-  const xx1 = Math.min(x1, x2);
-  const xx2 = Math.max(x1, x2);
-  const yy1 = Math.min(y1, y2);
-  const yy2 = Math.max(y1, y2);
-  if (xx2 - xx1 < 1e-6 || yy2 - yy1 < 1e-6) return null;
-  return [xx1, yy1, xx2, yy2];
+function winningLineAt(board, geo, idx) {
+  const who = board[idx];
+  if (!who) return null;
+  return geo.byCell[idx].find((line) => line.every((i) => board[i] === who)) || null;
 }
 
-function normalizeState(s) {
-  const v = String(s || "").toLowerCase().trim();
-  if (v === "player_x" || v === "x") return "player_x";
-  if (v === "robot_line" || v === "robot" || v === "line") return "robot_line";
-  return "empty";
+// điểm tĩnh theo góc nhìn `me`: đoạn chỉ có quân mình +10^n, chỉ có quân đối thủ -1.2·10^n (thủ nặng hơn công)
+function evaluateGameBoard(board, geo, me) {
+  const opp = 3 - me;
+  let score = 0;
+  for (const line of geo.lines) {
+    let mine = 0;
+    let theirs = 0;
+    for (const i of line) {
+      if (board[i] === me) mine++;
+      else if (board[i] === opp) theirs++;
+    }
+    if (mine && !theirs) score += 10 ** mine;
+    else if (theirs && !mine) score -= 1.2 * 10 ** theirs;
+  }
+  return score;
 }
 
-function bboxCenter(b) {
-  const [x1, y1, x2, y2] = b;
-  return { cx: (x1 + x2) / 2, cy: (y1 + y2) / 2 };
+// ô đánh được: trống, và (gravity) nằm ở hàng đáy hoặc ngay trên 1 quân
+function isPlayableCell(board, geo, idx) {
+  if (board[idx] !== MARK_EMPTY) return false;
+  return !geo.gravity || idx + geo.cols >= board.length || board[idx + geo.cols] !== MARK_EMPTY;
 }
 
-/**
- * ✅ Recompute row/col purely from geometry:
- *  row = floor((cy - gy1)/cell_h)
- *  col = floor((cx - gx1)/cell_w)
- * Clamp into [0..rows-1], [0..cols-1]
- */
-function recomputeRowColFromGrid(cells, grid_bbox, rows, cols) {
-  if (!grid_bbox || rows <= 0 || cols <= 0) return cells;
+// bàn lớn: ô trong bán kính 2 quanh quân đã đánh (bàn trống -> quanh tâm)
+function nearStonesMask(board, geo) {
+  if (board.length <= GAME_NEAR_MIN_CELLS) return null;
+  const { rows, cols } = geo;
+  const mask = new Uint8Array(board.length);
+  const stones = [];
+  for (let i = 0; i < board.length; i++) if (board[i]) stones.push(i);
+  if (!stones.length) stones.push(Math.floor(rows / 2) * cols + Math.floor(cols / 2));
+  for (const i of stones) {
+    const r = Math.floor(i / cols);
+    const c = i % cols;
+    for (let dr = -2; dr <= 2; dr++) {
+      for (let dc = -2; dc <= 2; dc++) {
+        const rr = r + dr;
+        const cc = c + dc;
+        if (rr >= 0 && rr < rows && cc >= 0 && cc < cols) mask[rr * cols + cc] = 1;
+      }
+    }
+  }
+  return mask;
+}
 
-  const [gx1, gy1, gx2, gy2] = grid_bbox;
-  const gw = gx2 - gx1;
-  const gh = gy2 - gy1;
+// ô đánh được, ô "nóng" trước (nhiều đoạn còn sống đã có quân đi qua) -> alpha-beta cắt được nhiều hơn
+function orderedGameMoves(board, geo) {
+  const moves = [];
+  const near = nearStonesMask(board, geo);
+  for (let i = 0; i < board.length; i++) {
+    if (!isPlayableCell(board, geo, i) || (near && !near[i])) continue;
+    let heat = 0;
+    for (const line of geo.byCell[i]) {
+      let p = 0;
+      let r = 0;
+      for (const j of line) {
+        if (board[j] === MARK_PLAYER) p++;
+        else if (board[j] === MARK_ROBOT) r++;
+      }
+      if (!p || !r) heat += 1 + (p + r) ** 2;
+    }
+    moves.push([i, heat]);
+  }
+  return moves.sort((a, b) => b[1] - a[1]).map((m) => m[0]);
+}
 
-  // safety
-  if (gw <= 1e-6 || gh <= 1e-6) return cells;
+function negamax(board, geo, depth, alpha, beta, me, ply, deadline) {
+  if (Date.now() > deadline) throw GAME_TIMEOUT;
+  const moves = orderedGameMoves(board, geo);
+  if (!moves.length) return 0;
+  if (depth <= 0) return evaluateGameBoard(board, geo, me);
+
+  let best = -Infinity;
+  for (const m of moves) {
+    board[m] = me;
+    const score = winningLineAt(board, geo, m)
+      ? GAME_WIN_SCORE - ply
+      : -negamax(board, geo, depth - 1, -beta, -alpha, 3 - me, ply + 1, deadline);
+    board[m] = MARK_EMPTY;
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+  return best;
+}
 
-  const cellW = gw / cols;
-  const cellH = gh / rows;
+// -> { idx, score, depth, random } | null (hết ô)
+function chooseRobotMove(board, geo, { level = GAME_DEFAULT_LEVEL, thinkMs = GAME_THINK_MS } = {}) {
+  const cfg = GAME_LEVELS[level] || GAME_LEVELS.normal;
+  let order = orderedGameMoves(board, geo);
+  if (!order.length) return null;
+  if (cfg.random && Math.random() < cfg.random) {
+    return { idx: order[Math.floor(Math.random() * order.length)], score: null, depth: 0, random: true };
+  }
 
-  return cells.map((c) => {
-    const b = c.bbox;
-    if (!b) return c;
+  const deadline = Date.now() + thinkMs;
+  let best = { idx: order[0], score: null, depth: 0, random: false };
+  for (let depth = 1; depth <= cfg.depth; depth++) {
+    const b = board.slice(); // timeout giữa chừng -> bỏ bản nháp, giữ kết quả depth trước
+    try {
+      let alpha = -Infinity;
+      let pick = order[0];
+      for (const m of order) {
+        b[m] = MARK_ROBOT;
+        const score = winningLineAt(b, geo, m)
+          ? GAME_WIN_SCORE
+          : -negamax(b, geo, depth - 1, -Infinity, -alpha, MARK_PLAYER, 1, deadline);
+        b[m] = MARK_EMPTY;
+        if (score > alpha) {
+          alpha = score;
+          pick = m;
+        }
+      }
+      best = { idx: pick, score: alpha, depth, random: false };
+      order = [pick, ...order.filter((m) => m !== pick)]; // nước tốt nhất lần trước -> thử trước
+      if (Math.abs(alpha) >= GAME_WIN_SCORE - depth) break; // đã thấy chắc thắng / chắc thua
+    } catch (e) {
+      if (e !== GAME_TIMEOUT) throw e;
+      break;
+    }
+  }
+  return best;
+}
 
-    const { cx, cy } = bboxCenter(b);
+/* ---------- search trong worker_threads ----------
+   negamax chạy đồng bộ tới GAME_THINK_MS -> chạy trong 1 worker riêng để không chặn event loop (SSE, MQTT, chat)
+   worker dựng từ chính source các hàm engine ở trên (server.js là 1 file); worker lỗi / treo -> tính trên main thread
+   với budget ngắn GAME_FALLBACK_THINK_MS
+------------------------------------------------------------------------------*/
+const GAME_FALLBACK_THINK_MS = Number(process.env.GAME_FALLBACK_THINK_MS || 200);
+const GAME_WORKER_SLACK_MS = 2000;
+const gameWorkerPending = new Map(); // id -> { resolve, reject, timer }
+let gameWorker = null;
+let gameWorkerSeq = 0;
+
+function gameWorkerSource() {
+  const fns = [gameLines, winningLineAt, evaluateGameBoard, isPlayableCell, nearStonesMask, orderedGameMoves, negamax, chooseRobotMove];
+  return [
+    `const { parentPort } = require("worker_threads");`,
+    `const MARK_EMPTY = ${MARK_EMPTY}, MARK_PLAYER = ${MARK_PLAYER}, MARK_ROBOT = ${MARK_ROBOT};`,
+    `const GAME_WIN_SCORE = ${GAME_WIN_SCORE}, GAME_NEAR_MIN_CELLS = ${GAME_NEAR_MIN_CELLS};`,
+    `const GAME_LEVELS = ${JSON.stringify(GAME_LEVELS)};`,
+    `const GAME_DEFAULT_LEVEL = ${JSON.stringify(GAME_DEFAULT_LEVEL)}, GAME_THINK_MS = ${GAME_THINK_MS};`,
+    `const GAME_TIMEOUT = Symbol("game_timeout");`,
+    `const gameLinesCache = new Map();`,
+    ...fns.map((f) => f.toString()),
+    `parentPort.on("message", ({ id, board, rows, cols, k, gravity, level, thinkMs }) => {`,
+    `  try { parentPort.postMessage({ id, pick: chooseRobotMove(board, gameLines(rows, cols, k, gravity), { level, thinkMs }) }); }`,
+    `  catch (e) { parentPort.postMessage({ id, error: String(e?.message || e) }); }`,
+    `});`,
+  ].join("\n");
+}
 
-    // if center is outside grid, keep original (or clamp)
-    const relX = (cx - gx1);
-    const relY = (cy - gy1);
+function resetGameWorker(err) {
+  const w = gameWorker;
+  gameWorker = null;
+  for (const p of gameWorkerPending.values()) {
+    clearTimeout(p.timer);
+    p.reject(err);
+  }
+  gameWorkerPending.clear();
+  if (w) w.terminate().catch(() => { });
+}
 
-    let col = Math.floor(relX / cellW);
-    let row = Math.floor(relY / cellH);
+function getGameWorker() {
+  if (gameWorker) return gameWorker;
+  const w = new Worker(gameWorkerSource(), { eval: true });
+  w.unref();
+  w.on("message", ({ id, pick, error }) => {
+    const p = gameWorkerPending.get(id);
+    if (!p) return;
+    gameWorkerPending.delete(id);
+    clearTimeout(p.timer);
+    if (error) p.reject(new Error(error));
+    else p.resolve(pick);
+  });
+  w.on("error", (e) => {
+    console.error("⚠️ game worker error:", e?.message || e);
+    if (gameWorker === w) resetGameWorker(e);
+  });
+  w.on("exit", (code) => {
+    if (gameWorker === w) resetGameWorker(new Error(`game worker exited (${code})`));
+  });
+  gameWorker = w;
+  return w;
+}
 
-    col = clamp(col, 0, cols - 1);
-    row = clamp(row, 0, rows - 1);
+// = chooseRobotMove nhưng chạy trong worker (không chặn event loop)
+async function chooseRobotMoveAsync(board, geo, { level = GAME_DEFAULT_LEVEL, thinkMs = GAME_THINK_MS } = {}) {
+  try {
+    const w = getGameWorker();
+    const id = ++gameWorkerSeq;
+    return await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resetGameWorker(new Error("game worker timeout")), thinkMs + GAME_WORKER_SLACK_MS);
+      gameWorkerPending.set(id, { resolve, reject, timer });
+      w.postMessage({ id, board, rows: geo.rows, cols: geo.cols, k: geo.k, gravity: geo.gravity, level, thinkMs });
+    });
+  } catch (e) {
+    console.error("⚠️ game worker fail -> search on main thread:", e?.message || e);
+    return chooseRobotMove(board, geo, { level, thinkMs: Math.min(thinkMs, GAME_FALLBACK_THINK_MS) });
+  }
+}
 
-    return { ...c, row, col };
+/* ---------- game state ---------- */
+function withGameLock(robot, fn) {
+  const prev = gameLocks.get(robot) || Promise.resolve();
+  const p = prev.catch(() => { }).then(fn);
+  gameLocks.set(robot, p);
+  p.catch(() => { }).finally(() => {
+    if (gameLocks.get(robot) === p) gameLocks.delete(robot);
   });
+  return p;
 }
 
-/**
- * Optional: dedupe if multiple cells land on same (row,col)
- * Keep the one with largest bbox area (more confident)
- */
-function dedupeByRowCol(cells) {
-  const area = (b) => (b ? Math.max(0, (b[2] - b[0]) * (b[3] - b[1])) : 0);
-  const map = new Map();
-  for (const c of cells) {
-    const key = `${c.row},${c.col}`;
-    const prev = map.get(key);
-    if (!prev) {
-      map.set(key, c);
-      continue;
-    }
-    if (area(c.bbox) > area(prev.bbox)) map.set(key, c);
+function gameGeo(game) {
+  return gameLines(game.rows, game.cols, game.win_length, !!game.gravity);
+}
+
+// rows / cols / winLength / marks không truyền -> lấy từ board profile
+function newGame(robot, { profile = null, rows, cols, winLength, level = GAME_DEFAULT_LEVEL, robotFirst = false, marks = null } = {}) {
+  const p = getBoardProfile(profile) || defaultBoardProfile();
+  rows = Math.max(1, Math.floor(Number(rows) || p.rows));
+  cols = Math.max(1, Math.floor(Number(cols) || p.cols));
+  return {
+    id: `game_${Date.now()}_${Math.random().toString(16).slice(2, 8)}`,
+    robot,
+    profile: p.name,
+    rows,
+    cols,
+    win_length: Math.max(2, Math.min(Math.max(rows, cols), Math.floor(Number(winLength) || p.win_length))),
+    gravity: !!p.gravity,
+    level: GAME_LEVELS[level] ? level : GAME_DEFAULT_LEVEL,
+    robot_first: !!robotFirst,
+    marks: { player: marks?.player || p.marks.player, robot: marks?.robot || p.marks.robot },
+    board: Array(rows * cols).fill(MARK_EMPTY),
+    moves: [],
+    status: "playing", // playing | player_won | robot_won | draw
+    winner: null,
+    win_line: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+}
+
+function getGame(robot) {
+  const g = games.get(robot);
+  if (g && Date.now() - (g.updatedAt || 0) > GAME_TTL_MS) {
+    games.delete(robot);
+    return null;
   }
-  return Array.from(map.values());
+  return g || null;
 }
 
-/* ===========================================================================  
-   SCAN CHESS (tic-tac-toe / caro)
-===========================================================================*/
-app.post(
-  "/scan_chess",
-  uploadVision.fields([
-    { name: "image", maxCount: 1 },
-    { name: "photo", maxCount: 1 },
-    { name: "file", maxCount: 1 },
-    { name: "frame", maxCount: 1 },
-  ]),
-  async (req, res) => {
-    const fallback = {
-      found: false,
-      rows: 0,
-      cols: 0,
-      cell_count: 0,
-      grid_bbox: null,
-      cells: [],
-      empty_count: 0,
-      player_count: 0,
-      robot_count: 0,
-      image_space: "normalized",
-      confidence: 0,
-      debug: null,
-    };
+function saveGame(game) {
+  game.updatedAt = Date.now();
+  games.set(game.robot, game);
+  emitEvent("game", summarizeGame(game), { robot: game.robot, user: game.robot });
+  return game;
+}
 
-    try {
-      const imageFile =
-        req.file ||
-        req.files?.image?.[0] ||
-        req.files?.photo?.[0] ||
-        req.files?.file?.[0] ||
-        req.files?.frame?.[0];
+const GAME_MARK_CHARS = { [MARK_EMPTY]: ".", [MARK_PLAYER]: "X", [MARK_ROBOT]: "O" };
 
-      if (!imageFile?.buffer) {
-        return res.status(400).json({ ...fallback, debug: "No image buffer" });
-      }
+function summarizeGame(game) {
+  const cell = (idx) => ({ row: Math.floor(idx / game.cols), col: idx % game.cols });
+  const last = game.moves.at(-1) || null;
+  return {
+    id: game.id,
+    robot: game.robot,
+    profile: game.profile || null,
+    rows: game.rows,
+    cols: game.cols,
+    win_length: game.win_length,
+    gravity: !!game.gravity,
+    level: game.level,
+    marks: game.marks,
+    status: game.status,
+    winner: game.winner,
+    turn: game.status === "playing" ? "player" : null,
+    board: Array.from({ length: game.rows }, (_, r) =>
+      game.board.slice(r * game.cols, (r + 1) * game.cols).map((m) => GAME_MARK_CHARS[m]).join("")
+    ),
+    moves: game.moves.length,
+    last_move: last,
+    win_line: game.win_line ? game.win_line.map(cell) : null,
+  };
+}
 
-      const b64 = imageFile.buffer.toString("base64");
-      const dataUrl = `data:${imageFile.mimetype || "image/jpeg"};base64,${b64}`;
+// đặt quân + cập nhật thắng / hoà
+function applyGameMove(game, idx, by) {
+  game.board[idx] = by === "robot" ? MARK_ROBOT : MARK_PLAYER;
+  game.moves.push({ by, row: Math.floor(idx / game.cols), col: idx % game.cols, at: Date.now() });
+
+  const line = winningLineAt(game.board, gameGeo(game), idx);
+  if (line) {
+    game.status = by === "robot" ? "robot_won" : "player_won";
+    game.winner = by;
+    game.win_line = line;
+  } else if (game.board.every((m) => m !== MARK_EMPTY)) {
+    game.status = "draw";
+  }
+}
 
-      const system = `
-You are a computer vision module scanning a Caro board (grid) from a photo.
+function scanStateToMark(state) {
+  if (state === SCAN_CHESS_STATES.player) return MARK_PLAYER;
+  if (state === SCAN_CHESS_STATES.robot) return MARK_ROBOT;
+  return MARK_EMPTY;
+}
 
-Important geometry:
-- The board is a rectangular grid placed on a flat surface, BUT the photo is taken with perspective tilt.
-- The board is tilted about ~15 degrees relative to the camera: the TOP side of the board appears HIGHER (farther) than the BOTTOM side (closer).
-- Because of perspective, cells near the TOP look smaller than cells near the BOTTOM.
+// so ảnh scan với bàn cờ đã lưu -> { newX, unexpected, missing } (index ô) | { error }
+function diffGameScan(game, scan) {
+  if (!scan?.found) return { error: "board_not_found" };
+  if (Number(scan.rows) !== game.rows || Number(scan.cols) !== game.cols) {
+    return { error: "grid_mismatch", expected: { rows: game.rows, cols: game.cols }, got: { rows: scan.rows, cols: scan.cols } };
+  }
 
-Grid specification:
-- Expected grid size: 4 columns x 6 rows.
-- Rows are counted from TOP to BOTTOM: row 0 is the TOP row, row 5 is the BOTTOM row.
-- Columns are counted from LEFT to RIGHT: col 0 is the LEFT column, col 3 is the RIGHT column.
+  const newX = [];
+  const unexpected = [];
+  const missing = [];
+  for (const c of scan.cells || []) {
+    const row = Number(c?.row);
+    const col = Number(c?.col);
+    if (!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || row >= game.rows || col < 0 || col >= game.cols) continue;
+    const idx = row * game.cols + col;
+    const have = game.board[idx];
+    const seen = scanStateToMark(c.state);
+    if (seen === have) continue;
+    if (have === MARK_EMPTY && seen === MARK_PLAYER) newX.push(idx);
+    else if (seen === MARK_EMPTY) missing.push(idx);
+    else unexpected.push(idx);
+  }
+  return { newX, unexpected, missing };
+}
 
-Marks:
-- Human player uses handwritten "X" marks (state = "player_x").
-  These X marks may vary in size, thickness, and style, and may not be centered perfectly in the cell.
-  The X size can be inconsistent across cells.
-- Robot uses a "circle" mark (state = "robot_circle").
-  Circles may vary in thickness and may be slightly imperfect.
+/* ---------- announce + MQTT ---------- */
+function gameAnnounceText(game, robotMove) {
+  const at = robotMove ? `Em đánh hàng ${robotMove.row + 1}, cột ${robotMove.col + 1}.` : "";
+  if (game.status === "robot_won") return `${at} Em thắng rồi nha! Chơi ván nữa không?`.trim();
+  if (game.status === "player_won") return "Bạn thắng rồi, giỏi quá! Chơi ván nữa nha.";
+  if (game.status === "draw") return `${at} Hoà rồi! Mình chơi ván nữa nha.`.trim();
+  return at;
+}
 
-Output rules:
-- Return ONLY valid JSON (no markdown, no extra text).
-- All bboxes must be normalized to [0..1] in original image space.
-- Cell state must be exactly one of:
-  - "empty"
-  - "player_x"
-  - "robot_circle"
-- If the board or cells cannot be reliably detected, set found=false and still return valid JSON with cells as an empty list (or empty array).
+async function announceGame(game, robotMove) {
+  const text = gameAnnounceText(game, robotMove);
+  let audio_url = null;
+  try {
+    audio_url = text ? await textToSpeechMp3Pi(text, "game", null) : null;
+  } catch (e) {
+    console.error("⚠️ game announce TTS fail:", e?.message || e);
+  }
 
-Required JSON schema:
-{
-  "found": true/false,
-  "rows": 6,
-  "cols": 4,
-  "cells": [
-    {"row": 0, "col": 0, "state": "empty", "bbox": [x1,y1,x2,y2]},
-    ...
-  ]
-}
-      `.trim();
-
-      const user = [
-        {
-          type: "text",
-          text: `
-Return exactly:
-{
-  "found": boolean,
-  "rows": number,
-  "cols": number,
-  "cell_count": number,
-  "grid_bbox": [x1,y1,x2,y2],
-  "cells": [
-    { "row": number, "col": number, "bbox": [x1,y1,x2,y2], "state": "empty"|"player_x"|"robot_line" }
-  ],
-  "empty_count": number,
-  "player_count": number,
-  "robot_count": number,
-  "image_space": "normalized",
-  "confidence": number
+  mqttClient.publish(
+    GAME_MOVE_TOPIC,
+    JSON.stringify({
+      action: robotMove ? "move" : "game_over",
+      game_id: game.id,
+      robot: game.robot,
+      ...(robotMove ? { row: robotMove.row, col: robotMove.col } : {}),
+      status: game.status,
+      winner: game.winner,
+      text,
+      audio_url,
+      ts: Date.now(),
+    }),
+    { qos: 1 }
+  );
+  console.log("🎲 GAME_MOVE:", { robot: game.robot, robot_move: robotMove, status: game.status });
+  return { text, audio_url };
 }
-          `.trim(),
-        },
-        { type: "image_url", image_url: { url: dataUrl } },
-      ];
-
-      const model = process.env.VISION_MODEL || "gpt-4.1-mini";
-      const completion = await openai.chat.completions.create({
-        model,
-        messages: [
-          { role: "system", content: system },
-          { role: "user", content: user },
-        ],
-        temperature: 0,
-        max_tokens: 1200,
-        response_format: { type: "json_object" },
-      });
 
-      const raw = completion.choices?.[0]?.message?.content?.trim() || "";
-      let result = null;
-      try {
-        result = JSON.parse(raw);
-      } catch (e) {
-        return res.json({ ...fallback, debug: "JSON.parse failed", raw_head: raw.slice(0, 300) });
-      }
+async function robotGameTurn(game) {
+  const pick = await chooseRobotMoveAsync(game.board, gameGeo(game), { level: game.level });
+  if (!pick) return null;
+  applyGameMove(game, pick.idx, "robot");
+  return { row: Math.floor(pick.idx / game.cols), col: pick.idx % game.cols, depth: pick.depth, score: pick.score, random: pick.random };
+}
+
+async function startGame(robot, opts = {}) {
+  return await withGameLock(robot, async () => {
+    const game = newGame(robot, opts);
+    const robot_move = game.robot_first ? await robotGameTurn(game) : null;
+    saveGame(game);
+    const said = robot_move ? await announceGame(game, robot_move) : { text: "Mình chơi cờ nha! Bạn đánh trước đi.", audio_url: null };
+    return { ok: true, game: summarizeGame(game), robot_move, reply_text: said.text, audio_url: said.audio_url };
+  });
+}
 
-      const found = !!result.found;
-
-      // Use fixed expected size if model trả bậy
-      const rows = Number.isFinite(result.rows) ? Math.max(1, Math.floor(result.rows)) : 6;
-      const cols = Number.isFinite(result.cols) ? Math.max(1, Math.floor(result.cols)) : 4;
-
-      const grid_bbox = sanitizeBboxNormalized(result.grid_bbox);
-
-      // sanitize cells
-      const cellsRaw = Array.isArray(result.cells) ? result.cells : [];
-      let cells = cellsRaw
-        .map((c) => ({
-          // keep original for debug but will recompute anyway
-          row: Number.isFinite(c?.row) ? Math.max(0, Math.floor(c.row)) : 0,
-          col: Number.isFinite(c?.col) ? Math.max(0, Math.floor(c.col)) : 0,
-          bbox: sanitizeBboxNormalized(c?.bbox),
-          state: normalizeState(c?.state),
-        }))
-        .filter((c) => c.bbox);
-
-      // ✅ 핵심: recompute row/col from geometry
-      if (grid_bbox) {
-        cells = recomputeRowColFromGrid(cells, grid_bbox, rows, cols);
-        cells = dedupeByRowCol(cells);
+// nước của người chơi: { scan } (kết quả scanChessBoard) hoặc { row, col } (nhập tay) -> robot đáp
+async function playGameMove(robot, { scan = null, row = null, col = null } = {}) {
+  return await withGameLock(robot, async () => {
+    const game = getGame(robot);
+    if (!game) return { ok: false, error: "no_game" };
+    if (game.status !== "playing") return { ok: false, error: "game_over", game: summarizeGame(game) };
+
+    let idx;
+    let missing = [];
+    if (scan) {
+      const diff = diffGameScan(game, scan);
+      if (diff.error) return { ok: false, ...diff, game: summarizeGame(game) };
+      const cells = (list) => list.map((i) => ({ row: Math.floor(i / game.cols), col: i % game.cols }));
+      if (diff.unexpected.length) return { ok: false, error: "board_mismatch", cells: cells(diff.unexpected), game: summarizeGame(game) };
+      if (!diff.newX.length) return { ok: false, error: "no_new_move", game: summarizeGame(game) };
+      if (diff.newX.length > 1) return { ok: false, error: "multiple_new_moves", cells: cells(diff.newX), game: summarizeGame(game) };
+      idx = diff.newX[0];
+      if (!isPlayableCell(game.board, gameGeo(game), idx)) return { ok: false, error: "illegal_move", cells: cells([idx]), game: summarizeGame(game) };
+      missing = cells(diff.missing);
+    } else {
+      const r = Number(row);
+      const c = Number(col);
+      if (!Number.isInteger(r) || !Number.isInteger(c) || r < 0 || r >= game.rows || c < 0 || c >= game.cols) {
+        return { ok: false, error: "bad_cell" };
       }
+      idx = r * game.cols + c;
+      if (game.board[idx] !== MARK_EMPTY) return { ok: false, error: "cell_taken", game: summarizeGame(game) };
+      if (!isPlayableCell(game.board, gameGeo(game), idx)) return { ok: false, error: "illegal_move", game: summarizeGame(game) };
+    }
 
-      const counts = cells.reduce(
-        (acc, c) => {
-          if (c.state === "player_x") acc.player += 1;
-          else if (c.state === "robot_line") acc.robot += 1;
-          else acc.empty += 1;
-          return acc;
-        },
-        { empty: 0, player: 0, robot: 0 }
-      );
+    applyGameMove(game, idx, "player");
+    const player_move = game.moves.at(-1);
+    const robot_move = game.status === "playing" ? await robotGameTurn(game) : null;
+    saveGame(game);
 
-      const cell_count =
-        Number.isFinite(result.cell_count) && result.cell_count > 0
-          ? Math.floor(result.cell_count)
-          : rows * cols;
-
-      const response = {
-        found,
-        rows,
-        cols,
-        cell_count,
-        grid_bbox,
-        cells,
-        empty_count: Number.isFinite(result.empty_count) ? Math.max(0, Math.floor(result.empty_count)) : counts.empty,
-        player_count: Number.isFinite(result.player_count) ? Math.max(0, Math.floor(result.player_count)) : counts.player,
-        robot_count: Number.isFinite(result.robot_count) ? Math.max(0, Math.floor(result.robot_count)) : counts.robot,
-        image_space: "normalized",
-        confidence: Number.isFinite(result.confidence) ? clamp01(result.confidence) : 0.6,
-      };
-
-      if (!response.found) {
-        return res.json({
-          ...fallback,
-          confidence: Math.min(response.confidence, 0.3),
-          debug: "model_returned_found_false",
-          grid_bbox: response.grid_bbox,
-        });
-      }
+    const said = robot_move || game.status !== "playing" ? await announceGame(game, robot_move) : { text: "", audio_url: null };
+    return {
+      ok: true,
+      game: summarizeGame(game),
+      player_move,
+      robot_move,
+      ...(missing.length ? { warnings: { missing_marks: missing } } : {}),
+      reply_text: said.text,
+      audio_url: said.audio_url,
+    };
+  });
+}
 
-      return res.json(response);
-    } catch (err) {
-      console.error("/scan_chess error:", err);
-      return res.status(500).json({ ...fallback, debug: err?.message || "vision failed" });
+setInterval(() => {
+  const now = Date.now();
+  for (const [robot, g] of games.entries()) {
+    if (now - (g?.updatedAt || 0) > GAME_TTL_MS) games.delete(robot);
+  }
+}, 30 * 60 * 1000);
+
+/* ---------- REST ---------- */
+const GAME_ERROR_STATUS = { no_game: 404, bad_cell: 400, no_input: 400, bad_profile: 400, board_not_found: 422, unstable_scan: 422 };
+
+function gameRobot(req) {
+  return String(req.body?.robot || req.query.robot || req.headers["x-device-id"] || "default").trim() || "default";
+}
+
+function gameRoute(handler) {
+  return async (req, res) => {
+    try {
+      const out = await handler(gameRobot(req), req, res);
+      if (out && !res.headersSent) res.status(out.ok === false ? GAME_ERROR_STATUS[out.error] || 409 : 200).json(out);
+    } catch (e) {
+      console.error(`${req.path} error:`, e);
+      res.status(500).json({ ok: false, error: e?.message || "server error" });
     }
+  };
+}
+
+// body: { robot, profile?, level?: easy|normal|hard, robot_first?, rows?, cols?, win_length?, player_mark?, robot_mark? }
+app.post("/game/start", gameRoute(async (robot, req) => {
+  const b = req.body || {};
+  const opts = scanChessOptions(req);
+  if (opts.error) return { ok: false, error: "bad_profile", detail: opts.error };
+  const { profile } = opts;
+  return await startGame(robot, {
+    profile: profile.name,
+    rows: profile.rows,
+    cols: profile.cols,
+    winLength: b.win_length,
+    level: b.level,
+    robotFirst: b.robot_first === true || b.robot_first === "true" || b.robot_first === "1",
+    marks: profile.marks,
+  });
+}));
+
+// ảnh bàn cờ (multipart image/photo/file/frame/frames; nhiều ảnh -> consensus) | JSON { scan } (kết quả /scan_chess) | { row, col }
+app.post("/game/move", uploadChessFrames, gameRoute(async (robot, req) => {
+  const imageFiles = chessImageFiles(req);
+  const b = req.body || {};
+  if (imageFiles.length) {
+    const game = getGame(robot);
+    if (!game) return { ok: false, error: "no_game" };
+    const opts = scanChessOptions(req, { profile: game.profile, rows: game.rows, cols: game.cols, marks: game.marks });
+    if (opts.error) return { ok: false, error: "bad_profile", detail: opts.error };
+    const scan = imageFiles.length > 1 ? await scanChessConsensus(imageFiles, opts) : await scanChessBoard(imageFiles[0], opts);
+    if (scan.rescan) return { ok: false, error: "unstable_scan", scan, game: summarizeGame(game) };
+    const out = await playGameMove(robot, { scan });
+    return out.ok ? out : { ...out, scan };
   }
-);
+  if (b.scan) return await playGameMove(robot, { scan: b.scan });
+  if (b.row != null && b.col != null) return await playGameMove(robot, { row: b.row, col: b.col });
+  return { ok: false, error: "no_input" };
+}));
+
+app.get("/game/status", gameRoute(async (robot) => {
+  const game = getGame(robot);
+  return game ? { ok: true, game: summarizeGame(game) } : { ok: false, error: "no_game" };
+}));
+
+// ván mới, giữ cấu hình ván cũ
+app.post("/game/reset", gameRoute(async (robot) => {
+  const old = getGame(robot);
+  if (!old) return { ok: false, error: "no_game" };
+  return await startGame(robot, {
+    profile: old.profile,
+    rows: old.rows,
+    cols: old.cols,
+    winLength: old.win_length,
+    level: old.level,
+    robotFirst: old.robot_first,
+    marks: old.marks,
+  });
+}));
 
 
 /* ===========================================================================  
@@ -2158,7 +7602,7 @@ app.post(
         req.files?.wav?.[0] ||
         req.files?.recording?.[0]
       );
-      const userKey = getClientKey(req);
+      let userKey = getClientKey(req);
 
       if (!audioFile?.buffer) {
         return res.status(400).json({ error: "No audio uploaded" });
@@ -2167,6 +7611,8 @@ app.post(
       let meta = {};
       try { meta = req.body?.meta ? JSON.parse(req.body.meta) : {}; } catch { meta = {}; }
       const memoryArr = Array.isArray(meta.memory) ? meta.memory : [];
+      const metaUser = (meta.user || meta.device || meta.device_id || "").toString().trim();
+      if (metaUser) userKey = metaUser;
 
       const wavPath = path.join(audioDir, `pi_v2_${Date.now()}.wav`);
       fs.writeFileSync(wavPath, audioFile.buffer);
@@ -2187,273 +7633,24 @@ app.post(
         try { fs.unlinkSync(wavPath); } catch { }
       }
 
-      if (isClapText(text)) {
-        return res.json({ status: "ok", transcript: text, label: "clap", reply_text: "", audio_url: null });
-      }
-
-      if (detectStopPlayback(text)) {
-        const replyText = "Dạ, em tắt nhạc nha.";
-        const audio_url = await textToSpeechMp3Pi(replyText, "stop");
-        return res.json({ status: "ok", transcript: text, label: "stop_playback", reply_text: replyText, audio_url });
-      }
-
-      let label = overrideLabelByText("unknown", text);
-      if (label !== "nhac" && shouldAutoSwitchToMusic(text)) label = "nhac";
-
-      // ===========================
-      // MUSIC
-      // ===========================
-      if (label === "nhac") {
-        const q = extractSongQuery(text) || text;
-        const top = await searchYouTubeTop1(q);
-
-        const durationStr = formatDuration(top?.seconds);
-        const isLong = typeof top?.seconds === "number" && top.seconds >= LONG_VIDEO_SECONDS;
-
-        console.log("🎵 YT_SEARCH_RESULT:", {
-          stt: text,
-          q,
-          found: !!top?.url,
-          title: top?.title,
-          url: top?.url,
-          seconds: top?.seconds,
-          duration: durationStr,
-          route: isLong ? "PODCAST_TRANSCRIPT" : "LOCAL_YTDLP",
-        }, `(${ms()}ms)`);
-
-        if (!top?.url) {
-          try {
-            const introText = `Ây da, mình tìm được bài hát "${q}" rồi, mình sẽ cho bạn nghe đây, nghe vui nha.`;
-            const intro_url = await textToSpeechMp3Pi(introText, "music_intro");
-            const songMp3Path = await downloadFromItunes(q, audioDir);
-
-            const introLocalPath = audioUrlToLocalPath(intro_url);
-            const final_audio_url = await concatMp3LocalToPublicUrl(introLocalPath, songMp3Path, "music_final");
-
-            safeUnlink(introLocalPath);
-            safeUnlink(songMp3Path);
-
-            return res.json({ status: "ok", transcript: text, label: "nhac", reply_text: introText, audio_url: final_audio_url, source: "itunes" });
-          } catch (e2) {
-            const replyText = "Em không tìm thấy bài trên YouTube và iTunes. Anh nói lại tên bài + ca sĩ giúp em nha.";
-            const audio_url = await textToSpeechMp3Pi(replyText, "yt_fail");
-            return res.json({ status: "ok", transcript: text, label: "nhac", reply_text: replyText, audio_url });
-          }
-        }
-
-        // ✅ LONG VIDEO => transcript -> GPT punctuation -> podcast chunks
-        if (isLong) {
-          const wantWait = String(req.query.wait || req.query.sync || "0") === "1";
-
-          const jobMeta = {
-            type: "yt_podcast",
-            user: userKey,
-            stt: text,
-            q,
-            yt: { title: top.title, url: top.url, seconds: top.seconds, duration: durationStr },
-            remote: REMOTE_YT_SERVER,
-          };
-
-          const processLongPodcast = async () => {
-            console.log("📥 LONG_YT -> FETCH TRANSCRIPT REMOTE:", {
-              remote: REMOTE_YT_SERVER,
-              url: top.url,
-              title: top.title,
-              seconds: top.seconds,
-              duration: durationStr,
-            });
-
-            // 1) remote transcript
-            let transcript = "";
-            try {
-              transcript = await fetchRemoteTranscriptText(top.url);
-            } catch (e) {
-              console.error("⚠️ Remote transcript fetch error:", e?.message || e);
-              transcript = "";
-            }
-
-            if (transcript) {
-              console.log("✅ Remote transcript length:", transcript.length);
-            } else {
-              console.log("⚠️ Remote transcript empty -> fallback local captions (yt-dlp vtt)");
-              transcript = await getYoutubeTranscriptTextLocalFallback(top.url);
-            }
-
-            if (!transcript) {
-              throw new Error("No transcript available (remote + local captions both empty)");
-            }
-
-            // 2) punctuation by GPT
-            console.log("✍️ Punctuating transcript by GPT...");
-            const punctuated = await punctuateTranscriptWithGpt(transcript, "vi");
-            const finalText = punctuated || transcript;
-
-            // 3) create podcast session
-            const podcast_id = createPodcastSession({
-              title: top.title,
-              url: top.url,
-              transcriptText: finalText,
-            });
-
-            const s = getPodcastSession(podcast_id);
-            const total = s?.chunks?.length || 0;
-
-            console.log("✅ PODCAST READY:", { podcast_id, total });
-
-            // 4) generate first audio chunk
-            const introText = `Video này hơi dài. Em sẽ đọc theo từng đoạn. Đây là "${top.title}".`;
-            const firstChunk = s.chunks[0] || "";
-            const firstText = `${introText}\n\n${firstChunk}`.trim();
-
-            const audio_url = await textToSpeechMp3Long(firstText, `pod_first_${podcast_id}`);
-
-            // publish MQTT first chunk (robot sẽ play)
-            mqttClient.publish(
-              "robot/music",
-              JSON.stringify({
-                label: "nhac",
-                text: introText,
-                audio_url,
-                user: userKey,
-                podcast: { podcast_id, index: 0, total },
-                yt: { title: top.title, url: top.url, seconds: top.seconds, duration: durationStr, route: "podcast_transcript" },
-              }),
-              { qos: 1 }
-            );
-
-            return {
-              status: "ok",
-              transcript: text,
-              label: "nhac",
-              reply_text: introText,
-              audio_url,
-              play: null,
-              used_vision: false,
-              podcast: { podcast_id, index: 0, total },
-            };
-          };
-
-          if (!wantWait) {
-            const job_id = createJob(jobMeta);
-            console.log("🧵 JOB_CREATED:", { job_id, ...jobMeta });
-            runJob(job_id, processLongPodcast).catch((e) => console.error("❌ Job failed:", job_id, e?.message || e));
-
-            return res.status(202).json({
-              status: "processing",
-              job_id,
-              transcript: text,
-              label: "nhac",
-              title: top.title,
-              url: top.url,
-              seconds: top.seconds,
-              duration: durationStr,
-              route: "PODCAST_TRANSCRIPT",
-              remote: REMOTE_YT_SERVER,
-            });
-          }
-
-          const job_id = createJob({ ...jobMeta, note: "sync_wait=1" });
-          try {
-            const result = await runJob(job_id, processLongPodcast);
-            return res.json({ ...result, job_id });
-          } catch (e) {
-            console.error("❌ Podcast long error:", e?.message || e);
-            const replyText = `Em bị lỗi khi lấy transcript cho video dài "${top.title}". Anh thử bài khác giúp em nha.`;
-            const audio_url = await textToSpeechMp3Pi(replyText, "yt_podcast_fail");
-            return res.json({ status: "ok", transcript: text, label: "nhac", reply_text: replyText, audio_url, job_id });
-          }
-        }
-
-        // ✅ SHORT VIDEO => tải mp3 local như cũ + ghép intro
-        const introText = `Ây da, mình tìm được bài hát "${top.title}" rồi, mình sẽ cho bạn nghe đây, nghe vui nha.`;
-        const intro_url = await textToSpeechMp3Pi(introText, "music_intro");
-        let songMp3Path;
-        try {
-          songMp3Path = await ytdlpExtractMp3FromYoutube(top.url, audioDir);
-        } catch (e) {
-          console.error("⚠️ yt-dlp failed, fallback to iTunes");
-          console.error("YouTube download failed, trying iTunes fallback:", e?.message || e);
-          try {
-            songMp3Path = await downloadFromItunes(q, audioDir);
-            console.log("✅ Fallback to iTunes successful");
-          } catch (e2) {
-            console.error("iTunes fallback failed:", e2?.message || e2);
-            const replyText = "Em không tải được bài hát từ YouTube và iTunes. Anh thử bài khác giúp em nha.";
-            const audio_url = await textToSpeechMp3Pi(replyText, "download_fail");
-            return res.json({ status: "ok", transcript: text, label: "nhac", reply_text: replyText, audio_url });
-          }
-        }
-        const introLocalPath = audioUrlToLocalPath(intro_url);
-        const final_audio_url = await concatMp3LocalToPublicUrl(introLocalPath, songMp3Path, "music_final");
-
-        safeUnlink(introLocalPath);
-        safeUnlink(songMp3Path);
-
-        mqttClient.publish(
-          "robot/music",
-          JSON.stringify({
-            label: "nhac",
-            text: introText,
-            audio_url: final_audio_url,
-            user: userKey,
-            yt: { title: top.title, url: top.url, seconds: top.seconds, duration: durationStr, route: "local" },
-          }),
-          { qos: 1 }
-        );
-
-        return res.json({
-          status: "ok",
-          transcript: text,
-          label: "nhac",
-          reply_text: introText,
-          audio_url: final_audio_url,
-          play: null,
-          used_vision: false,
-        });
-      }
-
-      // ===========================
-      // MOVEMENT labels -> MQTT
-      // ===========================
-      if (["tien", "lui", "trai", "phai"].includes(label)) {
-        mqttClient.publish("robot/label", JSON.stringify({ label }), { qos: 1, retain: true });
-        return res.json({ status: "ok", transcript: text, label, reply_text: "", audio_url: null });
-      }
-
-      // ===========================
-      // GPT (chat / question) — TEXT ONLY
-      // ===========================
-      const memoryText = (memoryArr || [])
-        .slice(-12)
-        .map((m, i) => {
-          const u = (m.transcript || "").trim();
-          const a = (m.reply_text || "").trim();
-          return `#${i + 1} USER: ${u}\n#${i + 1} BOT: ${a}`;
-        })
-        .join("\n\n");
-
-      const system = `
-Bạn là dog robot của Matthew. Trả lời ngắn gọn, dễ hiểu, thân thiện.
-Tạm thời KHÔNG mô tả ảnh. Trả lời dựa trên câu nói của người dùng.
-`.trim();
-
-      const messages = [{ role: "system", content: system }];
-      if (memoryText) messages.push({ role: "system", content: `Robot recent memory:\n${memoryText}`.slice(0, 6000) });
-
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4.1-mini",
-        messages: [...messages, { role: "user", content: text }],
-        temperature: 0.25,
-        max_tokens: 260,
-      });
-
-      const replyText = completion.choices?.[0]?.message?.content?.trim() || "Em chưa hiểu câu này.";
-      const audio_url = await textToSpeechMp3Pi(replyText, "pi_v2");
-
-      mqttClient.publish("robot/music", JSON.stringify({ audio_url, text: replyText, label, user: userKey }), { qos: 1 });
-
-      console.log("✅ PI_V2 done");
-      return res.json({ status: "ok", transcript: text, label, reply_text: replyText, audio_url, play: null, used_vision: false });
+      const wantWait = String(req.query.wait || req.query.sync || "0") === "1";
+      const stream = String(req.query.stream || "") === "1" || meta.stream === true || TTS_STREAM_REPLIES;
+      const result = await handlePidogChatText({
+        text,
+        userKey,
+        memoryArr,
+        wantWait,
+        requestId: makePidogRequestId(),
+        transport: "pi_v2",
+        stream,
+        voice: parseVoiceOptions(meta, req.query),
+        // userKey fallback là IP -> không đọc/ghi memory dài hạn
+        memory: !!metaUser,
+      });
+
+      console.log("✅ PI_V2 done", `(${ms()}ms)`);
+      if (result?.status === "processing") return res.status(202).json(result);
+      return res.json(result);
 
     } catch (err) {
       console.error("pi_upload_audio_v2 error:", err);
@@ -2520,6 +7717,7 @@ function triggerScanEndpoint(pathUrl, payload) {
     try {
       const msg = { ...payload, time: Date.now() };
       mqttClient.publish(pathUrl, JSON.stringify(msg), { qos: 1 });
+      setScanStatus("scanning", { topic: pathUrl });
       console.log(`📡 Triggered scan → ${pathUrl}`);
       res.json({ status: "ok", topic: pathUrl, payload: msg });
     } catch (e) {
@@ -2568,6 +7766,15 @@ server.listen(PORT, async () => {
   console.log(` Server listening on port ${PORT}`);
   console.log(` Voice server: ${VOICE_SERVER_URL}`);
   console.log(` Remote YT server: ${REMOTE_YT_SERVER}`);
+  if (!EVENTS_TOKEN) console.warn("⚠️ EVENTS_TOKEN chưa cấu hình -> /events chỉ nhận kết nối từ localhost");
+  if (!MEMORY_TOKEN) console.warn("⚠️ MEMORY_TOKEN chưa cấu hình -> /memory chỉ nhận request từ localhost");
+  if (!JANITOR_TOKEN) console.warn("⚠️ JANITOR_TOKEN chưa cấu hình -> /audio_janitor chỉ nhận request từ localhost");
+  failInterruptedChatAnswers();
+  finalizeInterruptedPodcastSessions();
+  resumeInterruptedJobs();
+  scanMusicLibrary().catch((e) => console.error("⚠️ music library scan fail:", e?.message || e));
   await checkYtdlpReady();
   await checkYtServerConnectivity(REMOTE_YT_SERVER);
+  await prewarmTtsCache();
+  sweepAudioFiles();
 });